@@ -5,11 +5,37 @@ const fs = require('fs-extra');
 const { app } = require('electron');
 const logger = require('./logger');
 const ERROR_TYPES = require('./error-types');
+const { DEFAULT_PROMPTS } = require('./default-prompts');
+const { spanishPhoneticKey } = require('./spanish-phonetics');
+const { importedTemplateName } = require('./template-bundle');
 
 // Ubicación de la base de datos
 const DEFAULT_DB_PATH = path.join(app.getPath('userData'), 'signia_data.sqlite'); // Nombre de archivo actualizado
 const BACKUP_DIR = path.join(app.getPath('userData'), 'db_backups');
 
+// Ciclo de vida de un informe: estados válidos y transiciones permitidas desde cada uno
+const REPORT_STATUSES = Object.freeze(['draft', 'preliminary', 'final', 'amended']);
+const REPORT_STATUS_TRANSITIONS = Object.freeze({
+  draft: ['draft', 'preliminary', 'final'],
+  preliminary: ['draft', 'preliminary', 'final'],
+  final: ['amended'], // Un informe firmado solo puede modificarse como adenda
+  amended: ['amended', 'final']
+});
+
+// Qué hacer al importar un término cuyo heard_term ya existe
+const TERM_IMPORT_STRATEGIES = Object.freeze(['skip', 'overwrite', 'keep_higher_frequency']);
+// Qué hacer al importar una plantilla cuyo nombre ya existe
+const TEMPLATE_IMPORT_STRATEGIES = Object.freeze(['rename', 'overwrite', 'skip']);
+
+// Órdenes del listado de plantillas (ORDER BY); 'specialty' es el histórico
+const TEMPLATE_SORT_ORDERS = Object.freeze({
+  specialty: 'specialty, modality, priority DESC, name',
+  modality: 'modality, specialty, priority DESC, name',
+  priority: 'priority DESC, name',
+  name: 'name COLLATE NOCASE',
+  updated: 'updated_at DESC, id DESC',
+});
+
 class DatabaseManager extends EventEmitter {
   constructor(options = {}) {
     super();
@@ -23,7 +49,7 @@ class DatabaseManager extends EventEmitter {
     // Estado de la migración
     this.currentSchemaVersion = 0; // Se leerá de la BD
     // Definir aquí la versión más reciente del esquema que este código soporta
-    this.latestSchemaVersion = 2; // Ejemplo: Incrementar al añadir tablas/columnas
+    this.latestSchemaVersion = 11; // Ejemplo: Incrementar al añadir tablas/columnas
   }
 
   // --- Métodos de Conexión y Inicialización ---
@@ -186,11 +212,16 @@ class DatabaseManager extends EventEmitter {
         frequency INTEGER DEFAULT 1,
         variants TEXT,                   -- JSON array de strings
         context_words TEXT,              -- JSON array de strings
+        phonetic_key TEXT,               -- Clave fonética de heard_term (Añadida en v7)
+        pack_id TEXT,                    -- Paquete de diccionario de origen; NULL = término del usuario (Añadida en v8)
+        rejected_forms TEXT,             -- JSON array: formas dictadas que el usuario no quiere reemplazar por este término (Añadida en v9)
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       );`,
       // Índices
       `CREATE INDEX IF NOT EXISTS idx_medical_terms_heard ON medical_terms(heard_term);`,
+      `CREATE INDEX IF NOT EXISTS idx_medical_terms_phonetic ON medical_terms(phonetic_key);`,
+      `CREATE INDEX IF NOT EXISTS idx_medical_terms_pack ON medical_terms(pack_id);`,
       `CREATE INDEX IF NOT EXISTS idx_medical_terms_spec_mod ON medical_terms(specialty, modality);`,
       `CREATE INDEX IF NOT EXISTS idx_medical_terms_frequency ON medical_terms(frequency DESC);`, // Para getMostFrequentTerms
 
@@ -211,6 +242,108 @@ class DatabaseManager extends EventEmitter {
        `CREATE INDEX IF NOT EXISTS idx_templates_spec_mod ON templates(specialty, modality);`,
        `CREATE INDEX IF NOT EXISTS idx_templates_priority ON templates(priority DESC);`,
 
+      // Uso de plantillas: cada vez que el usuario elige una, con el tipo de estudio (para sugerir plantillas) (Añadida en v10)
+      `CREATE TABLE IF NOT EXISTS template_usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        template_id INTEGER NOT NULL REFERENCES templates(id) ON DELETE CASCADE,
+        exam_modality TEXT, -- Modalidad canónica del estudio ('TC', 'RM'...) o NULL
+        exam_region TEXT,   -- Región canónica del estudio ('thorax', 'neuro'...) o NULL
+        used_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );`,
+      `CREATE INDEX IF NOT EXISTS idx_template_usage_template ON template_usage(template_id);`,
+
+
+      // Tabla de Informes (Añadida en v3)
+      `CREATE TABLE IF NOT EXISTS reports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT,
+        content TEXT NOT NULL DEFAULT '',
+        status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'preliminary', 'final', 'amended')),
+        patient_id TEXT,
+        patient_name TEXT,
+        accession_number TEXT,
+        specialty TEXT,
+        modality TEXT,
+        template_id INTEGER REFERENCES templates(id) ON DELETE SET NULL, -- Plantilla de origen (opcional)
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        finalized_at DATETIME -- Momento de la (última) firma
+      );`,
+      // Índices
+       `CREATE INDEX IF NOT EXISTS idx_reports_patient ON reports(patient_id);`,
+       `CREATE INDEX IF NOT EXISTS idx_reports_accession ON reports(accession_number);`,
+       `CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status);`,
+       `CREATE INDEX IF NOT EXISTS idx_reports_updated ON reports(updated_at DESC);`,
+
+      // Tabla de Revisiones de Informes (Añadida en v4) - Inmutable, una fila por guardado
+      `CREATE TABLE IF NOT EXISTS report_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        report_id INTEGER NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+        revision_number INTEGER NOT NULL,
+        content TEXT NOT NULL,
+        status TEXT NOT NULL,
+        source TEXT,  -- Origen de los cambios: 'dictation', 'ai', 'manual' (separados por comas si son varios)
+        author TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (report_id, revision_number)
+      );`,
+       `CREATE INDEX IF NOT EXISTS idx_report_revisions_report ON report_revisions(report_id, revision_number DESC);`,
+
+      // Biblioteca de Prompts para tareas IA (Añadida en v5)
+      `CREATE TABLE IF NOT EXISTS prompts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        task TEXT NOT NULL,      -- 'improve', 'summarize_impression', 'translate', 'simplify_patient', ...
+        specialty TEXT,          -- NULL = cualquier especialidad
+        model TEXT,              -- NULL = cualquier modelo
+        template TEXT NOT NULL,  -- Placeholders: {{text}}, {{specialty}}, {{modality}}
+        description TEXT,
+        is_default INTEGER DEFAULT 0, -- 1 = prompt de fábrica
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );`,
+       `CREATE INDEX IF NOT EXISTS idx_prompts_task ON prompts(task, specialty, model);`,
+
+      // Frases personalizadas de comandos de voz (Añadida en v6). Las frases por defecto viven en VoiceCommandService
+      `CREATE TABLE IF NOT EXISTS voice_commands (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phrase TEXT NOT NULL COLLATE NOCASE, -- Ej. 'ir a hallazgos', 'seleccionar {texto}'
+        action TEXT NOT NULL,                -- 'delete_last_sentence', 'undo', 'goto_section', 'next_field', 'previous_field', 'select'
+        argument TEXT,                       -- Ej. clave de sección para 'goto_section'
+        language TEXT NOT NULL DEFAULT 'es',
+        enabled INTEGER DEFAULT 1,           -- 0 = desactiva también la frase por defecto equivalente
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (phrase, language)
+      );`,
+
+      // Paquetes de diccionario instalados (Añadida en v8). Sus términos se marcan con medical_terms.pack_id
+      `CREATE TABLE IF NOT EXISTS term_packs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        pack_id TEXT NOT NULL UNIQUE,        -- Ej. 'neuro', 'thorax'
+        name TEXT NOT NULL,
+        specialty TEXT,
+        version TEXT NOT NULL,
+        description TEXT,
+        term_count INTEGER DEFAULT 0,        -- Términos que aporta (sin contar los del usuario que se respetaron)
+        installed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );`,
+
+      // Mapeo de botones por modelo de dictáfono (Añadida en v11). Sin fila se usa el perfil de dictaphone-profiles
+      `CREATE TABLE IF NOT EXISTS dictaphone_configs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        vendor_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        profile_id TEXT,                     -- Perfil del que parte el mapeo
+        report_layout TEXT,                  -- JSON: disposición de informe aprendida; NULL = la del perfil
+        button_mapping TEXT NOT NULL,        -- JSON: botón -> acción
+        usage_page INTEGER,                  -- Interfaz HID de los botones de un dispositivo sin perfil
+        device_name TEXT,                    -- Nombre mostrado de un dispositivo sin perfil
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(vendor_id, product_id)
+      );`,
 
        // Trigger para actualizar 'updated_at' en medical_terms
        `CREATE TRIGGER IF NOT EXISTS update_medical_terms_updated_at
@@ -226,6 +359,29 @@ class DatabaseManager extends EventEmitter {
         FOR EACH ROW
         BEGIN
             UPDATE templates SET updated_at = CURRENT_TIMESTAMP WHERE id = OLD.id;
+        END;`,
+
+       // Trigger que impide modificar revisiones ya guardadas
+       `CREATE TRIGGER IF NOT EXISTS prevent_report_revisions_update
+        BEFORE UPDATE ON report_revisions
+        BEGIN
+            SELECT RAISE(ABORT, 'Las revisiones de informe son inmutables');
+        END;`,
+
+       // Trigger para actualizar 'updated_at' en prompts
+       `CREATE TRIGGER IF NOT EXISTS update_prompts_updated_at
+        AFTER UPDATE ON prompts
+        FOR EACH ROW
+        BEGIN
+            UPDATE prompts SET updated_at = CURRENT_TIMESTAMP WHERE id = OLD.id;
+        END;`,
+
+       // Trigger para actualizar 'updated_at' en reports
+       `CREATE TRIGGER IF NOT EXISTS update_reports_updated_at
+        AFTER UPDATE ON reports
+        FOR EACH ROW
+        BEGIN
+            UPDATE reports SET updated_at = CURRENT_TIMESTAMP WHERE id = OLD.id;
         END;`
     ];
 
@@ -274,8 +430,214 @@ class DatabaseManager extends EventEmitter {
             this.logger.info("Migración v1 -> v2 completada.");
         }
 
+        // Migración v2 -> v3: Tabla 'reports' (los informes dejan de guardarse como plantillas)
+        if (this.currentSchemaVersion < 3) {
+            this.logger.info("Aplicando migración v2 -> v3...");
+            await this.transaction(async (dbm) => {
+                await dbm.run(`CREATE TABLE IF NOT EXISTS reports (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    title TEXT,
+                    content TEXT NOT NULL DEFAULT '',
+                    status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'preliminary', 'final', 'amended')),
+                    patient_id TEXT,
+                    patient_name TEXT,
+                    accession_number TEXT,
+                    specialty TEXT,
+                    modality TEXT,
+                    template_id INTEGER REFERENCES templates(id) ON DELETE SET NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    finalized_at DATETIME
+                );`);
+                await dbm.run("CREATE INDEX IF NOT EXISTS idx_reports_patient ON reports(patient_id);");
+                await dbm.run("CREATE INDEX IF NOT EXISTS idx_reports_accession ON reports(accession_number);");
+                await dbm.run("CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status);");
+                await dbm.run("CREATE INDEX IF NOT EXISTS idx_reports_updated ON reports(updated_at DESC);");
+                await dbm._setSchemaVersion(3);
+            });
+            this.logger.info("Migración v2 -> v3 completada.");
+        }
+
+        // Migración v3 -> v4: Historial inmutable de revisiones de informes
+        if (this.currentSchemaVersion < 4) {
+            this.logger.info("Aplicando migración v3 -> v4...");
+            await this.transaction(async (dbm) => {
+                await dbm.run(`CREATE TABLE IF NOT EXISTS report_revisions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    report_id INTEGER NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+                    revision_number INTEGER NOT NULL,
+                    content TEXT NOT NULL,
+                    status TEXT NOT NULL,
+                    source TEXT,
+                    author TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (report_id, revision_number)
+                );`);
+                await dbm.run("CREATE INDEX IF NOT EXISTS idx_report_revisions_report ON report_revisions(report_id, revision_number DESC);");
+                await dbm.run(`CREATE TRIGGER IF NOT EXISTS prevent_report_revisions_update
+                    BEFORE UPDATE ON report_revisions
+                    BEGIN
+                        SELECT RAISE(ABORT, 'Las revisiones de informe son inmutables');
+                    END;`);
+                // Revisión inicial para los informes ya existentes
+                await dbm.run(`INSERT INTO report_revisions (report_id, revision_number, content, status, source, created_at)
+                               SELECT id, 1, content, status, 'migration', updated_at FROM reports;`);
+                await dbm._setSchemaVersion(4);
+            });
+            this.logger.info("Migración v3 -> v4 completada.");
+        }
+
+        // Migración v4 -> v5: Biblioteca de prompts con los prompts por defecto
+        if (this.currentSchemaVersion < 5) {
+            this.logger.info("Aplicando migración v4 -> v5...");
+            await this.transaction(async (dbm) => {
+                await dbm.run(`CREATE TABLE IF NOT EXISTS prompts (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL UNIQUE,
+                    task TEXT NOT NULL,
+                    specialty TEXT,
+                    model TEXT,
+                    template TEXT NOT NULL,
+                    description TEXT,
+                    is_default INTEGER DEFAULT 0,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );`);
+                await dbm.run("CREATE INDEX IF NOT EXISTS idx_prompts_task ON prompts(task, specialty, model);");
+                for (const prompt of DEFAULT_PROMPTS) {
+                    await dbm.run("INSERT OR IGNORE INTO prompts (name, task, template, description, is_default) VALUES (?, ?, ?, ?, 1)",
+                        [prompt.name, prompt.task, prompt.template, prompt.description]);
+                }
+                await dbm._setSchemaVersion(5);
+            });
+            this.logger.info("Migración v4 -> v5 completada.");
+        }
+
+        // Migración v5 -> v6: Frases personalizadas de comandos de voz
+        if (this.currentSchemaVersion < 6) {
+            this.logger.info("Aplicando migración v5 -> v6...");
+            await this.transaction(async (dbm) => {
+                await dbm.run(`CREATE TABLE IF NOT EXISTS voice_commands (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    phrase TEXT NOT NULL COLLATE NOCASE,
+                    action TEXT NOT NULL,
+                    argument TEXT,
+                    language TEXT NOT NULL DEFAULT 'es',
+                    enabled INTEGER DEFAULT 1,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (phrase, language)
+                );`);
+                await dbm._setSchemaVersion(6);
+            });
+            this.logger.info("Migración v5 -> v6 completada.");
+        }
+
+        // Migración v6 -> v7: Clave fonética en medical_terms (y cálculo para los términos existentes)
+        if (this.currentSchemaVersion < 7) {
+            this.logger.info("Aplicando migración v6 -> v7...");
+            await this.transaction(async (dbm) => {
+                try {
+                    await dbm.run("ALTER TABLE medical_terms ADD COLUMN phonetic_key TEXT;");
+                } catch (alterError) {
+                    if (!alterError.message.includes('duplicate column name')) throw alterError;
+                    this.logger.warn("Columna 'phonetic_key' ya existe en 'medical_terms'.");
+                }
+                await dbm.run("CREATE INDEX IF NOT EXISTS idx_medical_terms_phonetic ON medical_terms(phonetic_key);");
+                const terms = await dbm.all("SELECT id, heard_term FROM medical_terms WHERE phonetic_key IS NULL");
+                for (const term of terms) {
+                    await dbm.run("UPDATE medical_terms SET phonetic_key = ? WHERE id = ?", [spanishPhoneticKey(term.heard_term), term.id]);
+                }
+                this.logger.info(`Clave fonética calculada para ${terms.length} términos.`);
+                await dbm._setSchemaVersion(7);
+            });
+            this.logger.info("Migración v6 -> v7 completada.");
+        }
+
+        // Migración v7 -> v8: Paquetes de diccionario por especialidad
+        if (this.currentSchemaVersion < 8) {
+            this.logger.info("Aplicando migración v7 -> v8...");
+            await this.transaction(async (dbm) => {
+                try {
+                    await dbm.run("ALTER TABLE medical_terms ADD COLUMN pack_id TEXT;");
+                } catch (alterError) {
+                    if (!alterError.message.includes('duplicate column name')) throw alterError;
+                    this.logger.warn("Columna 'pack_id' ya existe en 'medical_terms'.");
+                }
+                await dbm.run("CREATE INDEX IF NOT EXISTS idx_medical_terms_pack ON medical_terms(pack_id);");
+                await dbm.run(`CREATE TABLE IF NOT EXISTS term_packs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    pack_id TEXT NOT NULL UNIQUE,
+                    name TEXT NOT NULL,
+                    specialty TEXT,
+                    version TEXT NOT NULL,
+                    description TEXT,
+                    term_count INTEGER DEFAULT 0,
+                    installed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );`);
+                await dbm._setSchemaVersion(8);
+            });
+            this.logger.info("Migración v7 -> v8 completada.");
+        }
+
+        // Migración v8 -> v9: Formas dictadas rechazadas por término (lista negra de reemplazos)
+        if (this.currentSchemaVersion < 9) {
+            this.logger.info("Aplicando migración v8 -> v9...");
+            await this.transaction(async (dbm) => {
+                try {
+                    await dbm.run("ALTER TABLE medical_terms ADD COLUMN rejected_forms TEXT;");
+                } catch (alterError) {
+                    if (!alterError.message.includes('duplicate column name')) throw alterError;
+                    this.logger.warn("Columna 'rejected_forms' ya existe en 'medical_terms'.");
+                }
+                await dbm._setSchemaVersion(9);
+            });
+            this.logger.info("Migración v8 -> v9 completada.");
+        }
+
+        // Migración v9 -> v10: Uso de plantillas por tipo de estudio (sugerencia de plantillas)
+        if (this.currentSchemaVersion < 10) {
+            this.logger.info("Aplicando migración v9 -> v10...");
+            await this.transaction(async (dbm) => {
+                await dbm.run(`CREATE TABLE IF NOT EXISTS template_usage (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    template_id INTEGER NOT NULL REFERENCES templates(id) ON DELETE CASCADE,
+                    exam_modality TEXT,
+                    exam_region TEXT,
+                    used_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );`);
+                await dbm.run("CREATE INDEX IF NOT EXISTS idx_template_usage_template ON template_usage(template_id);");
+                await dbm._setSchemaVersion(10);
+            });
+            this.logger.info("Migración v9 -> v10 completada.");
+        }
+
+        // Migración v10 -> v11: Configuración de botones por modelo de dictáfono
+        if (this.currentSchemaVersion < 11) {
+            this.logger.info("Aplicando migración v10 -> v11...");
+            await this.transaction(async (dbm) => {
+                // Mapeo de botones por modelo de dictáfono (VID/PID), con la disposición de informe aprendida si difiere del perfil
+                await dbm.run(`CREATE TABLE IF NOT EXISTS dictaphone_configs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    vendor_id INTEGER NOT NULL,
+                    product_id INTEGER NOT NULL,
+                    profile_id TEXT,
+                    report_layout TEXT,
+                    button_mapping TEXT NOT NULL,
+                    usage_page INTEGER,
+                    device_name TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(vendor_id, product_id)
+                );`);
+                await dbm._setSchemaVersion(11);
+            });
+            this.logger.info("Migración v10 -> v11 completada.");
+        }
+
         // Añadir futuras migraciones aquí:
-        // if (this.currentSchemaVersion < 3) { ... await this._setSchemaVersion(3); }
+        // if (this.currentSchemaVersion < 12) { ... await this._setSchemaVersion(12); }
 
         this.logger.info('Migraciones completadas exitosamente.');
 
@@ -472,17 +834,18 @@ class DatabaseManager extends EventEmitter {
   async addOrUpdateMedicalTerm(heardTerm, correctTerm, specialty = null, modality = null, variants = [], contextWords = []) {
       const heardTermLower = heardTerm.toLowerCase().trim();
       const sql = `
-          INSERT INTO medical_terms (heard_term, correct_term, specialty, modality, variants, context_words, frequency, created_at, updated_at)
-          VALUES (?, ?, ?, ?, ?, ?, 1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+          INSERT INTO medical_terms (heard_term, correct_term, specialty, modality, variants, context_words, phonetic_key, frequency, created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, 1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
           ON CONFLICT(heard_term) DO UPDATE SET
               correct_term = excluded.correct_term, specialty = excluded.specialty, modality = excluded.modality,
-              variants = excluded.variants, context_words = excluded.context_words,
+              variants = excluded.variants, context_words = excluded.context_words, phonetic_key = excluded.phonetic_key,
+              pack_id = NULL, -- Editado por el usuario: deja de pertenecer al paquete (las actualizaciones no lo tocan)
               frequency = frequency + 1, updated_at = CURRENT_TIMESTAMP
           RETURNING id;`;
       const variantsJson = JSON.stringify(variants || []);
       const contextJson = JSON.stringify(contextWords || []);
       // Usar get para RETURNING en sqlite3 node module
-      const result = await this.get(sql, [heardTermLower, correctTerm.trim(), specialty, modality, variantsJson, contextJson]);
+      const result = await this.get(sql, [heardTermLower, correctTerm.trim(), specialty, modality, variantsJson, contextJson, spanishPhoneticKey(heardTermLower)]);
       return result?.id;
   }
 
@@ -502,6 +865,17 @@ class DatabaseManager extends EventEmitter {
        return await this.all(sql, params);
   }
 
+  // Términos que suenan igual (misma clave fonética) aunque se escriban distinto
+  async findTermsByPhoneticKey(phoneticKey, specialty = null, modality = null, limit = 5) {
+       if (!phoneticKey) return [];
+       let sql = "SELECT * FROM medical_terms WHERE phonetic_key = ?";
+       const params = [phoneticKey];
+       if (specialty) { sql += " AND (specialty = ? OR specialty IS NULL)"; params.push(specialty); }
+       if (modality) { sql += " AND (modality = ? OR modality IS NULL)"; params.push(modality); }
+       sql += " ORDER BY frequency DESC LIMIT ?"; params.push(limit);
+       return await this.all(sql, params);
+  }
+
   async getMostFrequentTerms(limit = 1000) {
       const sql = "SELECT * FROM medical_terms ORDER BY frequency DESC LIMIT ?";
       return await this.all(sql, [limit]);
@@ -512,31 +886,233 @@ class DatabaseManager extends EventEmitter {
       await this.run(sql, [termId]);
   }
 
+  // Reemplazo revertido por el usuario: resta frecuencia y el término baja en el ranking (bloquearlo es cosa de rejected_forms)
+  async penalizeMedicalTerm(termId, amount = 1) {
+      const sql = "UPDATE medical_terms SET frequency = MAX(frequency - ?, 0), updated_at = CURRENT_TIMESTAMP WHERE id = ? RETURNING frequency";
+      const row = await this.get(sql, [amount, termId]);
+      return row?.frequency ?? null; // null si el término no existe
+  }
+
+  async setMedicalTermRejectedForms(termId, rejectedForms) {
+      const sql = "UPDATE medical_terms SET rejected_forms = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?";
+      await this.run(sql, [JSON.stringify(rejectedForms || []), termId]);
+  }
+
+  async getMedicalTermById(termId) {
+      return await this.get("SELECT * FROM medical_terms WHERE id = ?", [termId]);
+  }
+
   async getTermFrequency(termId) {
        const sql = "SELECT frequency FROM medical_terms WHERE id = ?";
        const row = await this.get(sql, [termId]);
        return row?.frequency ?? 0; // Devolver 0 si no se encuentra
   }
 
+  // Diccionario completo (o filtrado) en formato de intercambio, ver utils/medical-terms-io
+  async exportMedicalTerms(filters = {}) {
+      let sql = "SELECT * FROM medical_terms WHERE 1=1";
+      const params = [];
+      if (filters.specialty) { sql += " AND specialty = ?"; params.push(filters.specialty); }
+      if (filters.modality) { sql += " AND modality = ?"; params.push(filters.modality); }
+      sql += " ORDER BY heard_term ASC";
+      const rows = await this.all(sql, params);
+      return rows.map(row => { const { id, packId, ...term } = this._mapTermRow(row); return term; });
+  }
+
+  /**
+   * Importa términos del diccionario. Con dryRun no se escribe nada y el informe indica lo que se haría.
+   * Conflicto = heard_term ya existente con datos distintos; se resuelve según 'strategy':
+   * 'skip' conserva el existente, 'overwrite' lo sustituye, 'keep_higher_frequency' se queda con el de mayor frecuencia.
+   * @param {object[]} terms - { heardTerm, correctTerm, specialty, modality, variants, contextWords, frequency } (opcionales undefined = sin cambios)
+   * @param {{ strategy?: string, dryRun?: boolean }} [options]
+   * @returns {Promise<{dryRun: boolean, strategy: string, total: number, inserted: number, updated: number, unchanged: number, skipped: number,
+   *   invalid: Array<{index: number, heardTerm: string, reason: string}>, conflicts: Array<{heardTerm: string, existing: object, incoming: object, action: 'skip'|'overwrite'}>}>}
+   */
+  async importMedicalTerms(terms, options = {}) {
+      const { strategy = 'skip', dryRun = false } = options;
+      if (!TERM_IMPORT_STRATEGIES.includes(strategy)) {
+          throw this._createError(ERROR_TYPES.DATABASE_QUERY_ERROR, `Estrategia de importación no válida: ${strategy}`);
+      }
+      const report = { dryRun, strategy, total: terms.length, inserted: 0, updated: 0, unchanged: 0, skipped: 0, invalid: [], conflicts: [] };
+      const sameList = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+      const apply = async (dbm) => {
+          const seen = new Set();
+          for (const [index, term] of terms.entries()) {
+              const heardTerm = (term.heardTerm || '').toLowerCase().trim();
+              const correctTerm = (term.correctTerm || '').trim();
+              if (!heardTerm || !correctTerm) { report.invalid.push({ index, heardTerm, reason: 'Faltan heard_term o correct_term' }); continue; }
+              if (seen.has(heardTerm)) { report.invalid.push({ index, heardTerm, reason: 'heard_term repetido en el archivo' }); continue; }
+              seen.add(heardTerm);
+              const row = await dbm.get("SELECT * FROM medical_terms WHERE heard_term = ?", [heardTerm]);
+              const existing = row ? this._mapTermRow(row) : null;
+              // Campos ausentes en el archivo (undefined): se conserva el valor existente
+              const incoming = {
+                  heardTerm, correctTerm,
+                  specialty: term.specialty !== undefined ? (term.specialty || null) : (existing?.specialty ?? null),
+                  modality: term.modality !== undefined ? (term.modality || null) : (existing?.modality ?? null),
+                  variants: term.variants ?? existing?.variants ?? [], contextWords: term.contextWords ?? existing?.contextWords ?? [],
+                  frequency: Number.isFinite(term.frequency) && term.frequency > 0 ? Math.round(term.frequency) : (existing?.frequency ?? 1)
+              };
+              const params = [incoming.correctTerm, incoming.specialty, incoming.modality, JSON.stringify(incoming.variants), JSON.stringify(incoming.contextWords), incoming.frequency, spanishPhoneticKey(heardTerm)];
+
+              if (!existing) {
+                  report.inserted++;
+                  if (!dryRun) await dbm.run(`INSERT INTO medical_terms (correct_term, specialty, modality, variants, context_words, frequency, phonetic_key, heard_term) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`, [...params, heardTerm]);
+                  continue;
+              }
+              const sameContent = existing.correctTerm === incoming.correctTerm && existing.specialty === incoming.specialty && existing.modality === incoming.modality
+                  && sameList(existing.variants, incoming.variants) && sameList(existing.contextWords, incoming.contextWords);
+              if (sameContent && (strategy === 'skip' || existing.frequency >= incoming.frequency)) { report.unchanged++; continue; }
+
+              const action = strategy === 'overwrite' || (strategy === 'keep_higher_frequency' && incoming.frequency > existing.frequency) ? 'overwrite' : 'skip';
+              report.conflicts.push({ heardTerm, existing, incoming, action });
+              if (action === 'skip') { report.skipped++; continue; }
+              report.updated++;
+              if (!dryRun) await dbm.run(`UPDATE medical_terms SET correct_term = ?, specialty = ?, modality = ?, variants = ?, context_words = ?, frequency = ?, phonetic_key = ?, pack_id = NULL WHERE id = ?`, [...params, existing.id]);
+          }
+      };
+
+      if (dryRun) await apply(this); else await this.transaction(apply);
+      this.logger.info(`Importación de términos${dryRun ? ' (simulación)' : ''}: ${report.inserted} nuevos, ${report.updated} actualizados, ${report.skipped} omitidos, ${report.invalid.length} inválidos.`);
+      return report;
+  }
+
+  // Paquetes de diccionario
+  async getInstalledTermPacks() {
+      const rows = await this.all("SELECT * FROM term_packs ORDER BY name ASC");
+      return rows.map(row => this._mapTermPackRow(row));
+  }
+
+  async getInstalledTermPack(packId) {
+      const row = await this.get("SELECT * FROM term_packs WHERE pack_id = ?", [packId]);
+      return row ? this._mapTermPackRow(row) : null;
+  }
+
+  /**
+   * Instala o actualiza un paquete como unidad (transacción). Nunca sobrescribe términos del usuario (pack_id NULL)
+   * ni de otros paquetes; en una actualización elimina los términos del paquete que ya no incluye y conserva su frecuencia.
+   * @param {{ id: string, name: string, specialty?: string, modality?: string, version: string, description?: string, terms: object[] }} pack
+   * @returns {Promise<{packId: string, version: string, previousVersion: string|null, inserted: number, updated: number, removed: number, skippedUserTerms: string[], skippedOtherPacks: string[]}>}
+   */
+  async installTermPack(pack) {
+      if (!pack?.id || !pack.name || !pack.version || !Array.isArray(pack.terms)) {
+          throw this._createError(ERROR_TYPES.DATABASE_QUERY_ERROR, 'Paquete de términos inválido (requiere id, name, version y terms)');
+      }
+      return await this.transaction(async (dbm) => {
+          const previous = await dbm.get("SELECT version FROM term_packs WHERE pack_id = ?", [pack.id]);
+          const result = { packId: pack.id, version: pack.version, previousVersion: previous?.version || null, inserted: 0, updated: 0, removed: 0, skippedUserTerms: [], skippedOtherPacks: [] };
+          const packTerms = new Set();
+          for (const term of pack.terms) {
+              const heardTerm = (term.heardTerm || '').toLowerCase().trim();
+              const correctTerm = (term.correctTerm || '').trim();
+              if (!heardTerm || !correctTerm || packTerms.has(heardTerm)) continue;
+              packTerms.add(heardTerm);
+              // Sin especialidad/modalidad propia el término hereda la del paquete (si no, aplicaría en todas las especialidades)
+              const params = [correctTerm, term.specialty ?? pack.specialty ?? null, term.modality ?? pack.modality ?? null, JSON.stringify(term.variants || []), JSON.stringify(term.contextWords || []), spanishPhoneticKey(heardTerm)];
+              const existing = await dbm.get("SELECT id, pack_id FROM medical_terms WHERE heard_term = ?", [heardTerm]);
+              if (!existing) {
+                  await dbm.run(`INSERT INTO medical_terms (correct_term, specialty, modality, variants, context_words, phonetic_key, heard_term, pack_id, frequency) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)`, [...params, heardTerm, pack.id]);
+                  result.inserted++;
+              } else if (existing.pack_id === pack.id) {
+                  await dbm.run(`UPDATE medical_terms SET correct_term = ?, specialty = ?, modality = ?, variants = ?, context_words = ?, phonetic_key = ? WHERE id = ?`, [...params, existing.id]);
+                  result.updated++;
+              } else if (existing.pack_id) { result.skippedOtherPacks.push(heardTerm); packTerms.delete(heardTerm); }
+              else { result.skippedUserTerms.push(heardTerm); packTerms.delete(heardTerm); }
+          }
+          // Términos que la nueva versión ya no incluye
+          const owned = await dbm.all("SELECT id, heard_term FROM medical_terms WHERE pack_id = ?", [pack.id]);
+          for (const row of owned.filter(r => !packTerms.has(r.heard_term.toLowerCase()))) {
+              await dbm.run("DELETE FROM medical_terms WHERE id = ?", [row.id]); result.removed++;
+          }
+          await dbm.run(`INSERT INTO term_packs (pack_id, name, specialty, version, description, term_count) VALUES (?, ?, ?, ?, ?, ?)
+                         ON CONFLICT(pack_id) DO UPDATE SET name = excluded.name, specialty = excluded.specialty, version = excluded.version,
+                             description = excluded.description, term_count = excluded.term_count, updated_at = CURRENT_TIMESTAMP`,
+              [pack.id, pack.name, pack.specialty || null, pack.version, pack.description || null, packTerms.size]);
+          this.logger.info(`Paquete '${pack.id}' v${pack.version} ${result.previousVersion ? `actualizado desde v${result.previousVersion}` : 'instalado'}: ${result.inserted} nuevos, ${result.updated} actualizados, ${result.removed} eliminados, ${result.skippedUserTerms.length} del usuario respetados.`);
+          return result;
+      });
+  }
+
+  // Elimina el paquete y solo los términos que siguen perteneciéndole (los editados por el usuario se conservan)
+  async uninstallTermPack(packId) {
+      return await this.transaction(async (dbm) => {
+          const { changes: removedTerms } = await dbm.run("DELETE FROM medical_terms WHERE pack_id = ?", [packId]);
+          const { changes } = await dbm.run("DELETE FROM term_packs WHERE pack_id = ?", [packId]);
+          return { uninstalled: changes > 0, removedTerms };
+      });
+  }
+
+  _mapTermPackRow(row) {
+      return {
+          packId: row.pack_id, name: row.name, specialty: row.specialty, version: row.version, description: row.description,
+          termCount: row.term_count, installedAt: row.installed_at, updatedAt: row.updated_at
+      };
+  }
+
+  _mapTermRow(row) {
+      const parseList = (value) => { try { const list = JSON.parse(value || '[]'); return Array.isArray(list) ? list : []; } catch { return []; } };
+      return {
+          id: row.id, heardTerm: row.heard_term, correctTerm: row.correct_term, specialty: row.specialty || null, modality: row.modality || null, packId: row.pack_id || null,
+          variants: parseList(row.variants), contextWords: parseList(row.context_words), frequency: row.frequency ?? 1
+      };
+  }
+
 
   // Templates
   async saveTemplate(templateData) {
       const { id, name, content, specialty, modality, tags, priority } = templateData;
-      const tagsJson = JSON.stringify(tags || []);
+      if (!name?.trim() || !content?.trim()) {
+          throw this._createError(ERROR_TYPES.DATABASE_QUERY_ERROR, 'La plantilla requiere nombre y contenido');
+      }
+      const duplicate = await this.get("SELECT id FROM templates WHERE name = ? COLLATE NOCASE AND id IS NOT ?", [name.trim(), id ?? null]);
+      if (duplicate) throw this._createError(ERROR_TYPES.DATABASE_QUERY_ERROR, `Ya existe una plantilla llamada '${name.trim()}'`);
+      const tagsJson = JSON.stringify(this._normalizeTemplateTags(tags));
+      const params = [name.trim(), content, specialty || null, modality || null, tagsJson, Number.parseInt(priority, 10) || 0];
       if (id) { // Update
           const sql = `UPDATE templates SET name=?, content=?, specialty=?, modality=?, tags=?, priority=?, updated_at=CURRENT_TIMESTAMP WHERE id = ?`;
-          await this.run(sql, [name, content, specialty, modality, tagsJson, priority ?? 0, id]); return id;
+          await this.run(sql, [...params, id]); return id;
       } else { // Insert
           const sql = `INSERT INTO templates (name, content, specialty, modality, tags, priority) VALUES (?, ?, ?, ?, ?, ?)`;
-          const result = await this.run(sql, [name, content, specialty, modality, tagsJson, priority ?? 0]); return result.lastID;
+          const result = await this.run(sql, params); return result.lastID;
       }
   }
 
-  async getAllTemplates() {
-       const sql = "SELECT * FROM templates ORDER BY specialty, modality, priority DESC, name";
-       const templates = await this.all(sql);
-       // Parsear tags JSON al devolver
-       return templates.map(t => ({ ...t, tags: t.tags ? JSON.parse(t.tags) : [] }));
+  /**
+   * @param {object} [filters]
+   * @param {string} [filters.search] - Texto en el nombre o en alguna etiqueta.
+   * @param {string[]} [filters.tags] - Etiquetas requeridas (todas; sin distinguir mayúsculas).
+   * @param {string} [filters.specialty]
+   * @param {string} [filters.modality]
+   * @param {'specialty'|'modality'|'priority'|'name'|'updated'} [filters.sortBy='specialty']
+   */
+  async getAllTemplates(filters = {}) {
+       const { search, tags, specialty, modality, sortBy = 'specialty' } = filters;
+       let sql = "SELECT * FROM templates WHERE 1=1"; const params = [];
+       if (specialty) { sql += " AND specialty = ?"; params.push(specialty); }
+       if (modality) { sql += " AND modality = ?"; params.push(modality); }
+       sql += ` ORDER BY ${TEMPLATE_SORT_ORDERS[sortBy] || TEMPLATE_SORT_ORDERS.specialty}`;
+       let templates = (await this.all(sql, params)).map(t => this._mapTemplateRow(t));
+       // Etiquetas en JSON: el filtro se aplica tras parsearlas
+       const requiredTags = this._normalizeTemplateTags(tags).map(tag => tag.toLowerCase());
+       if (requiredTags.length > 0) templates = templates.filter(t => requiredTags.every(tag => t.tags.some(own => own.toLowerCase() === tag)));
+       const needle = search?.trim().toLowerCase();
+       if (needle) templates = templates.filter(t => t.name.toLowerCase().includes(needle) || t.tags.some(tag => tag.toLowerCase().includes(needle)));
+       return templates;
+  }
+
+  async getTemplate(id) {
+      const row = await this.get("SELECT * FROM templates WHERE id = ?", [id]);
+      return row ? this._mapTemplateRow(row) : null;
+  }
+
+  // Copia con nombre libre ("X (copia)", "X (copia 2)"...); devuelve el id nuevo
+  async duplicateTemplate(id, name = null) {
+      const source = await this.getTemplate(id);
+      if (!source) throw this._createError(ERROR_TYPES.DATABASE_QUERY_ERROR, `Plantilla ${id} no encontrada`);
+      let copyName = name?.trim() || `${source.name} (copia)`;
+      for (let n = 2; !name && await this.get("SELECT 1 FROM templates WHERE name = ? COLLATE NOCASE", [copyName]); n++) copyName = `${source.name} (copia ${n})`;
+      return this.saveTemplate({ ...source, id: null, name: copyName });
   }
 
   async deleteTemplate(id) {
@@ -545,6 +1121,321 @@ class DatabaseManager extends EventEmitter {
       return result.changes > 0; // Devuelve true si se eliminó algo
   }
 
+  // Plantillas para un paquete portable (sin id ni fechas); sin ids se exportan todas
+  async exportTemplates(ids = null) {
+      const list = Array.isArray(ids) && ids.length > 0 ? ids : null;
+      const sql = `SELECT * FROM templates${list ? ` WHERE id IN (${list.map(() => '?').join(', ')})` : ''} ORDER BY name COLLATE NOCASE`;
+      const rows = await this.all(sql, list || []);
+      return rows.map(row => { const { name, content, specialty, modality, tags, priority } = this._mapTemplateRow(row); return { name, content, specialty, modality, tags, priority }; });
+  }
+
+  /**
+   * Importa plantillas de un paquete. Con dryRun no se escribe nada y el informe indica lo que se haría.
+   * Conflicto = nombre ya existente (sin distinguir mayúsculas) con datos distintos; se resuelve según 'strategy':
+   * 'rename' importa con otro nombre ("X (importada)"), 'overwrite' sustituye la existente (conserva su id y su uso), 'skip' la conserva.
+   * @param {object[]} templates - { name, content, specialty, modality, tags, priority }
+   * @param {{ strategy?: string, dryRun?: boolean }} [options]
+   * @returns {Promise<{dryRun: boolean, strategy: string, total: number, inserted: number, updated: number, renamed: number, unchanged: number, skipped: number,
+   *   invalid: Array<{index: number, name: string, reason: string}>, conflicts: Array<{name: string, existing: object, incoming: object, action: 'rename'|'overwrite'|'skip', newName?: string}>}>}
+   */
+  async importTemplates(templates, options = {}) {
+      const { strategy = 'rename', dryRun = false } = options;
+      if (!TEMPLATE_IMPORT_STRATEGIES.includes(strategy)) {
+          throw this._createError(ERROR_TYPES.DATABASE_QUERY_ERROR, `Estrategia de importación no válida: ${strategy}`);
+      }
+      const report = { dryRun, strategy, total: templates.length, inserted: 0, updated: 0, renamed: 0, unchanged: 0, skipped: 0, invalid: [], conflicts: [] };
+
+      const apply = async (dbm) => {
+          const seen = new Set(); const takenNames = new Set(); // takenNames: nombres asignados en esta importación (dryRun no los inserta)
+          const nameExists = async (name) => takenNames.has(name.toLowerCase()) || !!(await dbm.get("SELECT 1 FROM templates WHERE name = ? COLLATE NOCASE", [name]));
+          const insert = async (template, name) => {
+              takenNames.add(name.toLowerCase());
+              if (!dryRun) await dbm.run(`INSERT INTO templates (name, content, specialty, modality, tags, priority) VALUES (?, ?, ?, ?, ?, ?)`,
+                  [name, template.content, template.specialty || null, template.modality || null, JSON.stringify(this._normalizeTemplateTags(template.tags)), template.priority || 0]);
+          };
+          for (const [index, raw] of templates.entries()) {
+              const name = (raw.name || '').trim();
+              if (!name || !raw.content?.trim()) { report.invalid.push({ index, name, reason: 'Faltan nombre o contenido' }); continue; }
+              if (seen.has(name.toLowerCase())) { report.invalid.push({ index, name, reason: 'Nombre repetido en el paquete' }); continue; }
+              seen.add(name.toLowerCase());
+              const incoming = { name, content: raw.content, specialty: raw.specialty || null, modality: raw.modality || null, tags: this._normalizeTemplateTags(raw.tags), priority: Number.parseInt(raw.priority, 10) || 0 };
+              const row = await dbm.get("SELECT * FROM templates WHERE name = ? COLLATE NOCASE", [name]);
+              if (!row) { report.inserted++; await insert(incoming, name); continue; }
+
+              const existing = this._mapTemplateRow(row);
+              const sameContent = existing.content === incoming.content && (existing.specialty || null) === incoming.specialty && (existing.modality || null) === incoming.modality
+                  && JSON.stringify(existing.tags) === JSON.stringify(incoming.tags) && existing.priority === incoming.priority;
+              if (sameContent) { report.unchanged++; continue; }
+
+              const conflict = { name, existing: { id: existing.id, name: existing.name, specialty: existing.specialty, modality: existing.modality, tags: existing.tags, priority: existing.priority }, incoming: { ...incoming, content: undefined }, action: strategy };
+              report.conflicts.push(conflict);
+              if (strategy === 'skip') { report.skipped++; continue; }
+              if (strategy === 'overwrite') {
+                  report.updated++;
+                  if (!dryRun) await dbm.run(`UPDATE templates SET name=?, content=?, specialty=?, modality=?, tags=?, priority=?, updated_at=CURRENT_TIMESTAMP WHERE id = ?`,
+                      [incoming.name, incoming.content, incoming.specialty, incoming.modality, JSON.stringify(incoming.tags), incoming.priority, existing.id]);
+                  continue;
+              }
+              const newName = await importedTemplateName(name, nameExists);
+              conflict.newName = newName; report.renamed++;
+              await insert(incoming, newName);
+          }
+      };
+
+      if (dryRun) await apply(this); else await this.transaction(apply);
+      this.logger.info(`Importación de plantillas${dryRun ? ' (simulación)' : ''}: ${report.inserted} nuevas, ${report.updated} sobrescritas, ${report.renamed} renombradas, ${report.skipped} omitidas, ${report.invalid.length} inválidas.`);
+      return report;
+  }
+
+  async recordTemplateUsage(templateId, { modality = null, region = null } = {}) {
+      const result = await this.run("INSERT INTO template_usage (template_id, exam_modality, exam_region) VALUES (?, ?, ?)", [templateId, modality || null, region || null]);
+      return result.lastID;
+  }
+
+  /**
+   * Veces que se eligió cada plantilla: en total y para estudios de la misma modalidad y región.
+   * @returns {Promise<Map<number, {total: number, inContext: number, lastUsedAt: string}>>}
+   */
+  async getTemplateUsageStats({ modality = null, region = null } = {}) {
+      const sql = `SELECT template_id, COUNT(*) AS total,
+                          SUM(CASE WHEN (? IS NULL OR exam_modality = ?) AND (? IS NULL OR exam_region = ?) AND (? IS NOT NULL OR ? IS NOT NULL) THEN 1 ELSE 0 END) AS in_context,
+                          MAX(used_at) AS last_used_at
+                   FROM template_usage GROUP BY template_id`;
+      const rows = await this.all(sql, [modality, modality, region, region, modality, region]);
+      return new Map(rows.map(r => [r.template_id, { total: r.total, inContext: r.in_context || 0, lastUsedAt: r.last_used_at }]));
+  }
+
+  // Etiquetas sin espacios sobrantes ni duplicadas; admite array o texto separado por comas
+  _normalizeTemplateTags(tags) {
+      const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+      const seen = new Set();
+      return list.map(tag => String(tag).trim()).filter(tag => tag && !seen.has(tag.toLowerCase()) && seen.add(tag.toLowerCase()));
+  }
+
+  _mapTemplateRow(row) {
+      let tags = [];
+      try { const parsed = JSON.parse(row.tags || '[]'); if (Array.isArray(parsed)) tags = parsed; } catch { /* Etiquetas corruptas: se ignoran */ }
+      return { ...row, tags, priority: row.priority ?? 0 };
+  }
+
+  // Reports
+  async saveReport(reportData) {
+      const { id, title, content, specialty, modality, patientId, patientName, accessionNumber, templateId, source, author } = reportData;
+      const status = reportData.status || 'draft';
+      if (!REPORT_STATUSES.includes(status)) {
+          throw this._createError(ERROR_TYPES.DATABASE_QUERY_ERROR, `Estado de informe inválido: '${status}'`);
+      }
+      // Informe y revisión se guardan juntos: no puede existir uno sin la otra
+      return await this.transaction(async (dbm) => {
+          let reportId = id;
+          if (id) { // Update
+              const existing = await dbm.get("SELECT * FROM reports WHERE id = ?", [id]);
+              if (!existing) throw this._createError(ERROR_TYPES.DATABASE_QUERY_ERROR, `Informe ${id} no encontrado`);
+              // Volver a guardar un informe firmado sin cambios no es una transición: no se toca (ni su fecha de firma)
+              const unchanged = [[existing.content, content ?? ''], [existing.title, title], [existing.patient_id, patientId], [existing.patient_name, patientName],
+                  [existing.accession_number, accessionNumber], [existing.specialty, specialty], [existing.modality, modality], [existing.template_id, templateId]]
+                  .every(([stored, value]) => (stored ?? null) === (value ?? null));
+              if (existing.status === 'final' && status === 'final' && unchanged) return id;
+              if (!REPORT_STATUS_TRANSITIONS[existing.status]?.includes(status)) {
+                  throw this._createError(ERROR_TYPES.DATABASE_QUERY_ERROR, `Transición de estado no permitida: '${existing.status}' -> '${status}'`);
+              }
+              const sql = `UPDATE reports SET title=?, content=?, status=?, patient_id=?, patient_name=?, accession_number=?, specialty=?, modality=?, template_id=?,
+                           finalized_at = CASE WHEN ? = 'final' THEN CURRENT_TIMESTAMP ELSE finalized_at END, updated_at=CURRENT_TIMESTAMP WHERE id = ?`;
+              await dbm.run(sql, [title, content ?? '', status, patientId ?? null, patientName ?? null, accessionNumber ?? null, specialty ?? null, modality ?? null, templateId ?? null, status, id]);
+          } else { // Insert
+              const sql = `INSERT INTO reports (title, content, status, patient_id, patient_name, accession_number, specialty, modality, template_id, finalized_at)
+                           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CASE WHEN ? = 'final' THEN CURRENT_TIMESTAMP ELSE NULL END)`;
+              const result = await dbm.run(sql, [title, content ?? '', status, patientId ?? null, patientName ?? null, accessionNumber ?? null, specialty ?? null, modality ?? null, templateId ?? null, status]);
+              reportId = result.lastID;
+          }
+          await dbm._addReportRevision(reportId, content ?? '', status, source, author);
+          return reportId;
+      });
+  }
+
+  async getReport(id) {
+      const row = await this.get("SELECT * FROM reports WHERE id = ?", [id]);
+      return row ? this._mapReportRow(row) : null;
+  }
+
+  async listReports(filters = {}) {
+      const { status, patientId, accessionNumber, specialty, modality, limit = 100, offset = 0 } = filters;
+      // El listado no incluye 'content' para no transferir informes completos
+      let sql = `SELECT id, title, status, patient_id, patient_name, accession_number, specialty, modality, template_id, created_at, updated_at, finalized_at
+                 FROM reports WHERE 1=1`;
+      const params = [];
+      if (status) { sql += " AND status = ?"; params.push(status); }
+      if (patientId) { sql += " AND patient_id = ?"; params.push(patientId); }
+      if (accessionNumber) { sql += " AND accession_number = ?"; params.push(accessionNumber); }
+      if (specialty) { sql += " AND specialty = ?"; params.push(specialty); }
+      if (modality) { sql += " AND modality = ?"; params.push(modality); }
+      sql += " ORDER BY updated_at DESC, id DESC LIMIT ? OFFSET ?"; params.push(limit, offset);
+      const rows = await this.all(sql, params);
+      return rows.map(r => this._mapReportRow(r));
+  }
+
+  async deleteReport(id) {
+      const sql = "DELETE FROM reports WHERE id = ?";
+      const result = await this.run(sql, [id]);
+      return result.changes > 0; // Devuelve true si se eliminó algo
+  }
+
+  // Report Revisions
+  async _addReportRevision(reportId, content, status, source = null, author = null) {
+      const last = await this.get("SELECT revision_number, content, status FROM report_revisions WHERE report_id = ? ORDER BY revision_number DESC LIMIT 1", [reportId]);
+      if (last && last.content === content && last.status === status) return null; // Guardado sin cambios: no duplicar revisión
+      const revisionNumber = (last?.revision_number || 0) + 1;
+      const sql = "INSERT INTO report_revisions (report_id, revision_number, content, status, source, author) VALUES (?, ?, ?, ?, ?, ?)";
+      const result = await this.run(sql, [reportId, revisionNumber, content, status, source || 'manual', author]);
+      return result.lastID;
+  }
+
+  async listReportRevisions(reportId) {
+      // Sin 'content': el contenido se pide por revisión al comparar
+      const sql = `SELECT id, report_id, revision_number, status, source, author, length(content) AS content_length, created_at
+                   FROM report_revisions WHERE report_id = ? ORDER BY revision_number DESC`;
+      const rows = await this.all(sql, [reportId]);
+      return rows.map(r => ({ id: r.id, reportId: r.report_id, revisionNumber: r.revision_number, status: r.status, source: r.source, author: r.author, contentLength: r.content_length, createdAt: r.created_at }));
+  }
+
+  async getReportRevision(revisionId) {
+      const row = await this.get("SELECT * FROM report_revisions WHERE id = ?", [revisionId]);
+      if (!row) return null;
+      return { id: row.id, reportId: row.report_id, revisionNumber: row.revision_number, content: row.content, status: row.status, source: row.source, author: row.author, createdAt: row.created_at };
+  }
+
+  _mapReportRow(row) { // snake_case (BD) -> camelCase (renderer)
+      return {
+          id: row.id, title: row.title, content: row.content, status: row.status,
+          patientId: row.patient_id, patientName: row.patient_name, accessionNumber: row.accession_number,
+          specialty: row.specialty, modality: row.modality, templateId: row.template_id,
+          createdAt: row.created_at, updatedAt: row.updated_at, finalizedAt: row.finalized_at
+      };
+  }
+
+  // Prompts
+  async getAllPrompts(filters = {}) {
+      const { task, specialty, model } = filters;
+      let sql = "SELECT * FROM prompts WHERE 1=1"; const params = [];
+      if (task) { sql += " AND task = ?"; params.push(task); }
+      if (specialty) { sql += " AND (specialty IS NULL OR specialty = ?)"; params.push(specialty); }
+      if (model) { sql += " AND (model IS NULL OR model = ?)"; params.push(model); }
+      sql += " ORDER BY task, specialty, model, name";
+      const rows = await this.all(sql, params);
+      return rows.map(r => this._mapPromptRow(r));
+  }
+
+  async getPrompt(id) {
+      const row = await this.get("SELECT * FROM prompts WHERE id = ?", [id]);
+      return row ? this._mapPromptRow(row) : null;
+  }
+
+  async savePrompt(promptData) {
+      const { id, name, task, specialty, model, template, description } = promptData;
+      if (!name || !task || !template) {
+          throw this._createError(ERROR_TYPES.DATABASE_QUERY_ERROR, 'El prompt requiere nombre, tarea y plantilla');
+      }
+      if (id) { // Update
+          const sql = `UPDATE prompts SET name=?, task=?, specialty=?, model=?, template=?, description=?, updated_at=CURRENT_TIMESTAMP WHERE id = ?`;
+          await this.run(sql, [name, task, specialty || null, model || null, template, description ?? null, id]); return id;
+      } else { // Insert
+          const sql = `INSERT INTO prompts (name, task, specialty, model, template, description) VALUES (?, ?, ?, ?, ?, ?)`;
+          const result = await this.run(sql, [name, task, specialty || null, model || null, template, description ?? null]); return result.lastID;
+      }
+  }
+
+  async deletePrompt(id) {
+      const sql = "DELETE FROM prompts WHERE id = ?";
+      const result = await this.run(sql, [id]);
+      return result.changes > 0; // Devuelve true si se eliminó algo
+  }
+
+  // Prompt más específico para la tarea: especialidad y modelo exactos pesan más que los genéricos (NULL)
+  async findPromptForTask(task, specialty = null, model = null) {
+      const sql = `SELECT * FROM prompts
+                   WHERE task = ? AND (specialty IS NULL OR specialty = ?) AND (model IS NULL OR model = ?)
+                   ORDER BY (specialty IS NOT NULL) * 2 + (model IS NOT NULL) DESC, is_default ASC, updated_at DESC LIMIT 1`;
+      const row = await this.get(sql, [task, specialty, model]);
+      return row ? this._mapPromptRow(row) : null;
+  }
+
+  _mapPromptRow(row) {
+      return {
+          id: row.id, name: row.name, task: row.task, specialty: row.specialty, model: row.model,
+          template: row.template, description: row.description, isDefault: row.is_default === 1,
+          createdAt: row.created_at, updatedAt: row.updated_at
+      };
+  }
+
+  // Voice Commands
+  async getVoiceCommands(language = null) {
+      const sql = language ? "SELECT * FROM voice_commands WHERE language = ? ORDER BY phrase" : "SELECT * FROM voice_commands ORDER BY language, phrase";
+      const rows = await this.all(sql, language ? [language] : []);
+      return rows.map(r => ({ id: r.id, phrase: r.phrase, action: r.action, argument: r.argument, language: r.language, enabled: r.enabled === 1 }));
+  }
+
+  async saveVoiceCommand(commandData) {
+      const { id, phrase, action, argument, language = 'es', enabled = true } = commandData;
+      if (!phrase?.trim() || !action) throw this._createError(ERROR_TYPES.DATABASE_QUERY_ERROR, 'El comando de voz requiere frase y acción');
+      if (id) { // Update
+          const sql = `UPDATE voice_commands SET phrase=?, action=?, argument=?, language=?, enabled=?, updated_at=CURRENT_TIMESTAMP WHERE id = ?`;
+          await this.run(sql, [phrase.trim(), action, argument ?? null, language, enabled ? 1 : 0, id]); return id;
+      } else { // Insert (o reemplazo de la misma frase/idioma)
+          const sql = `INSERT INTO voice_commands (phrase, action, argument, language, enabled) VALUES (?, ?, ?, ?, ?)
+                       ON CONFLICT(phrase, language) DO UPDATE SET action = excluded.action, argument = excluded.argument, enabled = excluded.enabled, updated_at = CURRENT_TIMESTAMP`;
+          await this.run(sql, [phrase.trim(), action, argument ?? null, language, enabled ? 1 : 0]);
+          const row = await this.get("SELECT id FROM voice_commands WHERE phrase = ? AND language = ?", [phrase.trim(), language]);
+          return row?.id;
+      }
+  }
+
+  async deleteVoiceCommand(id) {
+      const sql = "DELETE FROM voice_commands WHERE id = ?";
+      const result = await this.run(sql, [id]);
+      return result.changes > 0; // Devuelve true si se eliminó algo
+  }
+
+  // Dictaphone Configs
+  async getDictaphoneConfig(vendorId, productId) {
+      const row = await this.get("SELECT * FROM dictaphone_configs WHERE vendor_id = ? AND product_id = ?", [vendorId, productId]);
+      return row ? this._mapDictaphoneConfigRow(row) : null;
+  }
+
+  async getAllDictaphoneConfigs() {
+      const rows = await this.all("SELECT * FROM dictaphone_configs ORDER BY updated_at DESC");
+      return rows.map(row => this._mapDictaphoneConfigRow(row));
+  }
+
+  /**
+   * Guarda (o reemplaza) la configuración de un modelo de dictáfono.
+   * @param {{vendorId: number, productId: number, profileId?: string, reportLayout?: object, buttons: Object<string, string|null>, usagePage?: number, deviceName?: string}} config
+   *   usagePage/deviceName: solo para dispositivos sin perfil (su disposición es la aprendida).
+   */
+  async saveDictaphoneConfig(config) {
+      const { vendorId, productId, profileId = null, reportLayout = null, buttons, usagePage = null, deviceName = null } = config || {};
+      if (!Number.isInteger(vendorId) || !Number.isInteger(productId)) throw this._createError(ERROR_TYPES.DATABASE_QUERY_ERROR, 'La configuración del dictáfono requiere vendorId y productId');
+      if (!buttons || typeof buttons !== 'object') throw this._createError(ERROR_TYPES.DATABASE_QUERY_ERROR, 'La configuración del dictáfono requiere el mapeo de botones');
+      const sql = `INSERT INTO dictaphone_configs (vendor_id, product_id, profile_id, report_layout, button_mapping, usage_page, device_name) VALUES (?, ?, ?, ?, ?, ?, ?)
+                   ON CONFLICT(vendor_id, product_id) DO UPDATE SET profile_id = excluded.profile_id, report_layout = excluded.report_layout,
+                   button_mapping = excluded.button_mapping, usage_page = excluded.usage_page, device_name = excluded.device_name, updated_at = CURRENT_TIMESTAMP`;
+      await this.run(sql, [vendorId, productId, profileId, reportLayout ? JSON.stringify(reportLayout) : null, JSON.stringify(buttons), Number.isInteger(usagePage) ? usagePage : null, deviceName || null]);
+      return this.getDictaphoneConfig(vendorId, productId);
+  }
+
+  async deleteDictaphoneConfig(vendorId, productId) {
+      const result = await this.run("DELETE FROM dictaphone_configs WHERE vendor_id = ? AND product_id = ?", [vendorId, productId]);
+      return result.changes > 0;
+  }
+
+  _mapDictaphoneConfigRow(row) {
+      const parse = (value) => { try { return value ? JSON.parse(value) : null; } catch { return null; } }; // JSON corrupto: se usa el perfil
+      return {
+          id: row.id, vendorId: row.vendor_id, productId: row.product_id, profileId: row.profile_id,
+          reportLayout: parse(row.report_layout), buttons: parse(row.button_mapping) || {},
+          usagePage: row.usage_page ?? null, deviceName: row.device_name || null, updatedAt: row.updated_at
+      };
+  }
+
   // --- Limpieza ---
 
   async cleanup() {
@@ -562,4 +1453,6 @@ class DatabaseManager extends EventEmitter {
   }
 }
 
-module.exports = DatabaseManager;
\ No newline at end of file
+module.exports = DatabaseManager;
+module.exports.TERM_IMPORT_STRATEGIES = TERM_IMPORT_STRATEGIES;
+module.exports.TEMPLATE_IMPORT_STRATEGIES = TEMPLATE_IMPORT_STRATEGIES;
\ No newline at end of file
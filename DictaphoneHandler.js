@@ -2,6 +2,9 @@
 
 const EventEmitter = require('events');
 const usbDetect = require('usb-detection');
+const HID = require('node-hid');
+const HidReportDecoder = require('./HidReportDecoder');
+const { DICTAPHONE_PROFILES, findProfile, getProfile, hex } = require('./dictaphone-profiles');
 const { DEVICE_STATUS } = require('../utils/constants'); // Asumiendo que tienes constantes definidas
 const logger = require('../utils/logger'); // Asumiendo un logger configurado
 
@@ -9,39 +12,194 @@ const logger = require('../utils/logger'); // Asumiendo un logger configurado
 const INITIAL_RECONNECT_DELAY = 1000; // 1 segundo
 const MAX_RECONNECT_DELAY = 30000; // 30 segundos
 const BACKOFF_FACTOR = 2;
+const DEFAULT_MAX_RECONNECT_ATTEMPTS = 10;
+
+const hexByte = (value) => `0x${value.toString(16).padStart(2, '0')}`;
+
+// profileId of devices without a profile, configured through learning mode (their saved layout acts as the profile)
+const LEARNED_PROFILE_ID = 'learned';
+
+// Default button -> action mapping. Actions are the ones RadiologistAppController.handleDictaphoneAction() understands.
+// Profiles override it with their own defaultMapping.
+const DEFAULT_BUTTON_ACTIONS = Object.freeze({
+    record: 'record',
+    stop: 'stop',
+    play: 'play_pause',
+    play_pause: 'play_pause',
+    rewind: 'rewind',
+    fast_forward: 'fast_forward',
+    insert: 'toggle_dictation',
+    eol: 'save_report', // End-of-letter
+    instruction: 'new_report',
+});
 
 /**
  * @class DictaphoneHandler
  * @extends EventEmitter
- * @description Handles detection, connection, and events for a USB dictaphone.
- * Includes exponential backoff for reconnection attempts.
+ * @description Detects every supported dictation microphone and foot pedal (see dictaphone-profiles), opens their HID
+ * interfaces and merges their button reports into a single action stream (e.g. a SpeechMike plus a foot pedal).
+ * Each device keeps its own profile and button mapping. Devices without a profile can be opened by path for learning mode;
+ * once their learned layout is saved they are detected like supported ones. Includes exponential backoff for reconnection attempts.
+ *
+ * Events: 'dictaphoneConnected' ({ device, config }), 'dictaphoneDisconnected' ({ device, reason }),
+ * 'dictaphoneButton' ({ button, pressed, action, devicePath }), 'dictaphoneAction' (action), 'dictaphoneError' (Error),
+ * 'dictaphoneReconnecting' ({ attempt, maxAttempts }), 'dictaphoneReconnectFailed' ({ message }),
+ * 'learningModeStarted' ({ devices }), 'buttonLearningData' (learned button, see _handleLearningReport), 'learningModeStopped' ({ learned, configs }).
  */
 class DictaphoneHandler extends EventEmitter {
     /**
      * Creates an instance of DictaphoneHandler.
-     * @param {number} vendorId - The USB vendor ID of the dictaphone.
-     * @param {number} productId - The USB product ID of the dictaphone.
+     * @param {object} [options]
+     * @param {object} [options.logger]
+     * @param {object} [options.dbManager] - Persists the per-device button mapping (dictaphone_configs).
+     * @param {number} [options.maxReconnectAttempts=10]
+     * @param {object[]} [options.profiles] - Device profiles (defaults to DICTAPHONE_PROFILES).
      */
-    constructor(vendorId, productId) {
+    constructor(options = {}) {
         super();
-        this.vendorId = vendorId;
-        this.productId = productId;
-        this.device = null;
+        this.logger = options.logger || logger;
+        this.dbManager = options.dbManager || null;
+        this.maxReconnectAttempts = options.maxReconnectAttempts ?? DEFAULT_MAX_RECONNECT_ATTEMPTS;
+        this.profiles = options.profiles || DICTAPHONE_PROFILES;
+        // path -> { info, hidDevice, decoder, config: { profileId, buttons, reportLayout, customized, customLayout, modified }, learningPrevious }
+        this.connections = new Map();
+        this.primaryPath = null; // Device chosen by the user (getActiveDevice, dictaphoneConfig); defaults to the first connected
+        this.lostDevices = new Set(); // Keys (see _deviceKey) of devices lost by error/removal, pending reconnection
+        this.learning = null; // { learned: Map<id, formattedData> } while learning mode is active
+        this.savedConfigs = []; // dictaphone_configs rows; the ones with a learned layout make their VID/PID detectable
+        this.connectPromise = null; // findAndConnect in flight; overlapping calls wait for it
         this.status = DEVICE_STATUS.DISCONNECTED;
         this.reconnectAttempt = 0;
         this.reconnectTimeout = null;
         this.isMonitoring = false; // Flag to prevent multiple monitoring starts
-        logger.info(`DictaphoneHandler initialized for VID: ${vendorId}, PID: ${productId}`);
+        this._onUsbAdd = (device) => this._handleUsbAdded(device);
+        this._onUsbRemove = (device) => this._handleUsbRemoved(device);
+        this.logger.info(`DictaphoneHandler initialized (${this.profiles.length} device profiles).`);
+    }
+
+    /**
+     * @public
+     * @description Config of the primary device (kept for single-device callers; see getDeviceConfig).
+     * @type {object|null}
+     */
+    get dictaphoneConfig() {
+        return this._primaryConnection()?.config || null;
+    }
+
+    /**
+     * @public
+     * @description Lists the HID interfaces of plugged-in devices that match a profile or a learned config (one entry per device).
+     * @param {object} [options]
+     * @param {boolean} [options.includeUnsupported=false] - Also list every other HID interface (supported: false), to pick one for learning mode.
+     * @returns {object[]} - { path, vendorId, productId, manufacturer, product, serialNumber, usagePage, profileId, modelName, type, supported, connected, primary }
+     */
+    getConnectedDevices({ includeUnsupported = false } = {}) {
+        const seen = new Set();
+        const devices = [];
+        const primaryPath = this._primaryConnection()?.info.path;
+        for (const info of HID.devices()) {
+            const match = this._matchDevice(info);
+            if (!match && !includeUnsupported && !this.connections.has(info.path)) continue;
+            if (match) {
+                const { usagePage } = match.profile;
+                if (usagePage !== undefined && info.usagePage !== undefined && info.usagePage !== usagePage) continue; // Audio/mouse interfaces
+                const key = `${info.vendorId}:${info.productId}:${info.serialNumber || info.path}`; // One entry per device, not per interface
+                if (seen.has(key)) continue;
+                seen.add(key);
+            }
+            const device = this._describeDevice(info, match);
+            devices.push({ ...device, supported: !!match, connected: this.connections.has(device.path), primary: device.path === primaryPath });
+        }
+        return devices;
+    }
+
+    /**
+     * @public
+     * @description Connects the given HID path (and makes it the primary device), or every supported device not yet connected.
+     * A path without a profile is opened with an empty layout, so learning mode can capture its buttons.
+     * Starts USB monitoring so hot-plugged devices are picked up automatically.
+     * @param {string|null} [devicePath]
+     * @returns {Promise<object|null>} - The given device, or the primary one; null if none is available.
+     */
+    async findAndConnect(devicePath = null) {
+        // Two USB 'add' events (mic and pedal on one hub) or a hot-plug during a reconnect must not open the same path twice
+        const run = (this.connectPromise || Promise.resolve()).catch(() => {}).then(() => this._findAndConnect(devicePath));
+        this.connectPromise = run;
+        try {
+            return await run;
+        } finally {
+            if (this.connectPromise === run) this.connectPromise = null;
+        }
     }
 
     /**
      * @private
-     * @description Checks if a specific USB device matches the target dictaphone.
-     * @param {object} device - The USB device object from usb-detection.
-     * @returns {boolean} - True if the device matches, false otherwise.
+     * @description findAndConnect body; only one runs at a time.
+     * @param {string|null} devicePath
+     * @returns {Promise<object|null>}
+     */
+    async _findAndConnect(devicePath) {
+        if (!this.isMonitoring) this.startMonitoring();
+        await this._loadSavedConfigs();
+        const candidates = this.getConnectedDevices({ includeUnsupported: !!devicePath });
+        if (devicePath) {
+            const target = candidates.find(d => d.path === devicePath);
+            if (!target) throw new Error(`Dictaphone not found: ${devicePath}`);
+            const info = this.connections.get(devicePath)?.info || await this._connect(target);
+            this.primaryPath = devicePath;
+            return info;
+        }
+        const pending = candidates.filter(d => !d.connected);
+        for (const target of pending) {
+            try {
+                await this._connect(target);
+            } catch (error) {
+                this._emitError(error); // One failing device must not prevent connecting the others
+            }
+        }
+        if (this.connections.size === 0) {
+            this.logger.info('No supported dictaphone found.');
+            if (pending.length > 0) throw new Error('Could not open any supported dictaphone');
+            return null;
+        }
+        return this.getActiveDevice();
+    }
+
+    /**
+     * @public
+     * @returns {object|null} - Info of the primary device.
+     */
+    getActiveDevice() {
+        return this._primaryConnection()?.info || null;
+    }
+
+    /**
+     * @public
+     * @returns {object[]} - Info of every connected device.
+     */
+    getActiveDevices() {
+        return [...this.connections.values()].map(conn => conn.info);
+    }
+
+    /**
+     * @public
+     * @param {string|null} [devicePath] - Defaults to the primary device.
+     * @returns {object|null} - Button mapping/layout config of a connected device.
+     */
+    getDeviceConfig(devicePath = null) {
+        return (devicePath ? this.connections.get(devicePath) : this._primaryConnection())?.config || null;
+    }
+
+    /**
+     * @public
+     * @description Default button mapping of a model (by profile model name, concrete model name or product ID).
+     * @param {string} [modelName]
+     * @param {number} [productId]
+     * @returns {Object<string, string|null>}
      */
-    _isTargetDevice(device) {
-        return device.vendorId === this.vendorId && device.productId === this.productId;
+    getDefaultMappings(modelName, productId) {
+        const profile = getProfile({ modelName, productId }, this.profiles);
+        return profile ? { ...profile.defaultMapping } : { ...DEFAULT_BUTTON_ACTIONS };
     }
 
     /**
@@ -50,44 +208,15 @@ class DictaphoneHandler extends EventEmitter {
      */
     startMonitoring() {
         if (this.isMonitoring) {
-            logger.warn('Dictaphone monitoring is already active.');
+            this.logger.warn('Dictaphone monitoring is already active.');
             return;
         }
-        logger.info('Starting USB monitoring for dictaphone...');
+        this.logger.info('Starting USB monitoring for dictaphones...');
         this.isMonitoring = true;
         usbDetect.startMonitoring();
-
-        // Check for existing devices on start
-        this.checkForDevice();
-
-        // Listener for device addition
-        usbDetect.on(`add:${this.vendorId}:${this.productId}`, (device) => {
-             if (this._isTargetDevice(device)) {
-                logger.info('Target dictaphone detected (added).', device);
-                this._handleDeviceConnected(device);
-            }
-        });
-         usbDetect.on(`add`, (device) => { // Generic add for logging non-target devices if needed
-             if (!this._isTargetDevice(device)) {
-                 logger.debug(`Other USB device added: ${device.deviceName}`);
-             }
-         });
-
-
-        // Listener for device removal
-        usbDetect.on(`remove:${this.vendorId}:${this.productId}`, (device) => {
-            if (this._isTargetDevice(device)) {
-                logger.info('Target dictaphone removed.');
-                this._handleDeviceDisconnected();
-            }
-        });
-        usbDetect.on(`remove`, (device) => { // Generic remove for logging
-             if (!this._isTargetDevice(device)) {
-                 logger.debug(`Other USB device removed: ${device.deviceName}`);
-             }
-         });
-
-        logger.info('USB monitoring started.');
+        usbDetect.on('add', this._onUsbAdd);
+        usbDetect.on('remove', this._onUsbRemove);
+        this.logger.info('USB monitoring started.');
     }
 
     /**
@@ -96,103 +225,160 @@ class DictaphoneHandler extends EventEmitter {
      */
     stopMonitoring() {
         if (!this.isMonitoring) {
-            logger.warn('Dictaphone monitoring is not active.');
+            this.logger.warn('Dictaphone monitoring is not active.');
             return;
         }
-        logger.info('Stopping USB monitoring for dictaphone...');
-        if (this.reconnectTimeout) {
-            clearTimeout(this.reconnectTimeout); // Clear any pending reconnect attempts
-            this.reconnectTimeout = null;
-        }
+        this.logger.info('Stopping USB monitoring for dictaphones...');
+        this._clearReconnect();
+        usbDetect.removeListener?.('add', this._onUsbAdd);
+        usbDetect.removeListener?.('remove', this._onUsbRemove);
         usbDetect.stopMonitoring();
         this.isMonitoring = false;
-        this.status = DEVICE_STATUS.DISCONNECTED; // Assume disconnected when stopped
-        logger.info('USB monitoring stopped.');
+        this.logger.info('USB monitoring stopped.');
     }
 
     /**
-     * @public
-     * @description Manually checks if the dictaphone is currently connected.
+     * @private
+     * @description A supported device was plugged in: connect it alongside the ones already active.
+     * @param {object} device - The USB device object from usb-detection.
      */
-    async checkForDevice() {
-        logger.info('Checking for existing dictaphone connection...');
-        try {
-            const devices = await usbDetect.find(this.vendorId, this.productId);
-            if (devices && devices.length > 0) {
-                logger.info('Dictaphone found during initial check.');
-                this._handleDeviceConnected(devices[0]);
-            } else {
-                logger.info('Dictaphone not found during initial check.');
-                this._handleDeviceDisconnected(); // Ensure status is disconnected if not found
-                // Optionally start reconnect attempts if desired even if not found initially
-                // this._scheduleReconnect();
-            }
-        } catch (error) {
-            logger.error('Error finding USB devices:', error);
-            this.status = DEVICE_STATUS.ERROR;
-            this.emit('error', error);
-            // Consider scheduling a reconnect attempt even on error
-            this._scheduleReconnect();
+    _handleUsbAdded(device) {
+        const match = this._matchDevice(device);
+        if (!match) {
+            this.logger.debug(`Other USB device added: ${device.deviceName}`);
+            return;
         }
+        this.logger.info(`Supported dictaphone plugged in: ${match.device.model} (${hex(device.vendorId)}:${hex(device.productId)}).`);
+        // The HID interface may appear slightly after the USB device
+        setTimeout(() => this.findAndConnect().catch(error => this._emitError(error)), 500);
     }
 
     /**
      * @private
-     * @description Handles the logic when the dictaphone is connected.
-     * @param {object} device - The connected USB device object.
-     */
-    _handleDeviceConnected(device) {
-        if (this.status !== DEVICE_STATUS.CONNECTED) {
-            logger.info(`Dictaphone connected: ${device.deviceName}`);
-            this.device = device; // Store device info
-            this.status = DEVICE_STATUS.CONNECTED;
-            this.reconnectAttempt = 0; // Reset reconnect attempts on successful connection
-            if (this.reconnectTimeout) {
-                clearTimeout(this.reconnectTimeout); // Cancel any pending reconnect
-                this.reconnectTimeout = null;
+     * @description usb-detection does not report the HID path: disconnect the devices whose interface is gone.
+     * @param {object} device - The USB device object from usb-detection.
+     */
+    _handleUsbRemoved(device) {
+        if (![...this.connections.values()].some(conn => conn.info.vendorId === device.vendorId && conn.info.productId === device.productId)) return;
+        const present = new Set(HID.devices().map(info => info.path));
+        for (const [path, conn] of this.connections) {
+            if (conn.info.vendorId === device.vendorId && conn.info.productId === device.productId && !present.has(path)) {
+                this.logger.info(`Dictaphone removed: ${conn.info.modelName}.`);
+                this._handleDeviceDisconnected(path, 'removed');
             }
-            this.emit('connected', this.device);
-            // TODO: Add logic here to interact with the device if necessary
-            // e.g., open device, set up listeners for button presses, etc.
-            // For now, we just emit 'connected'.
-            this._setupDeviceListeners(); // Example placeholder
-        } else {
-            logger.debug('Dictaphone already marked as connected.');
         }
     }
 
     /**
      * @private
-     * @description Handles the logic when the dictaphone is disconnected.
+     * @description Opens the HID interface of a device and listens for button reports.
+     * @param {object} deviceInfo - Entry from getConnectedDevices().
+     * @returns {Promise<object>} - The connected device info.
+     */
+    async _connect(deviceInfo) {
+        const { connected, primary, supported, ...info } = deviceInfo;
+        const profile = this.profiles.find(p => p.id === info.profileId);
+        const saved = await this._loadSavedConfig(info);
+        const existing = this.connections.get(info.path); // Connected by someone else while the config was loading
+        if (existing) return existing.info;
+        let hidDevice;
+        try {
+            hidDevice = new HID.HID(info.path);
+        } catch (error) {
+            this.logger.error('Failed to open HID device:', error);
+            throw new Error(`Could not open ${info.product || info.modelName}: ${error.message}`);
+        }
+        let reportLayout = saved?.reportLayout || profile?.reportLayout || null;
+        let decoder;
+        try {
+            decoder = reportLayout ? new HidReportDecoder(reportLayout) : null;
+        } catch (error) {
+            this.logger.warn(`Saved report layout is invalid, using the profile layout: ${error.message}`);
+            reportLayout = profile?.reportLayout || null;
+            decoder = reportLayout ? new HidReportDecoder(reportLayout) : null;
+        }
+        const config = {
+            profileId: info.profileId, reportLayout, usagePage: info.usagePage ?? null,
+            buttons: { ...DEFAULT_BUTTON_ACTIONS, ...(profile?.defaultMapping || {}), ...(saved?.buttons || {}) },
+            customized: !!saved, customLayout: !!saved?.reportLayout && reportLayout === saved.reportLayout, modified: false,
+        };
+        const conn = { info, hidDevice, decoder, config, learningPrevious: null };
+        hidDevice.on('data', (data) => this._handleDictaphoneData(conn, data));
+        hidDevice.on('error', (error) => {
+            this.logger.error(`HID device error (${info.modelName}):`, error);
+            this._emitError(error);
+            this._handleDeviceDisconnected(info.path, 'error'); // Treat HID error as disconnect
+        });
+        this.connections.set(info.path, conn);
+        this.lostDevices.delete(this._deviceKey(info));
+        if (this.lostDevices.size === 0) {
+            this._clearReconnect();
+            this.reconnectAttempt = 0;
+        }
+        this.status = DEVICE_STATUS.CONNECTED;
+        this.logger.info(`Dictaphone connected: ${info.modelName} - ${info.product || info.path} (${this.connections.size} active)`);
+        this.emit('dictaphoneConnected', { device: info, config });
+        return info;
+    }
+
+    /**
+     * @private
+     * @description Closes a device, releasing any button still held (so hold-to-record stops).
+     * @param {string} devicePath
+     * @param {string} reason - 'removed' | 'error' | 'cleanup'
+     * @param {object} [options]
+     * @param {boolean} [options.reconnect=true] - Schedule reconnection attempts.
      */
-    _handleDeviceDisconnected() {
-        if (this.status !== DEVICE_STATUS.DISCONNECTED) {
-            logger.warn('Dictaphone disconnected.');
-            const previousDevice = this.device;
-            this.device = null;
+    _handleDeviceDisconnected(devicePath, reason, { reconnect = true } = {}) {
+        const conn = this.connections.get(devicePath);
+        if (!conn) {
+            this.logger.debug('Dictaphone already marked as disconnected.');
+            return;
+        }
+        this._closeConnection(conn);
+        this.connections.delete(devicePath);
+        if (this.primaryPath === devicePath) this.primaryPath = null;
+        if (this.connections.size === 0) {
             this.status = DEVICE_STATUS.DISCONNECTED;
-            this._removeDeviceListeners(); // Example placeholder
-            this.emit('disconnected', previousDevice); // Emit event after cleanup
-            // Start reconnection attempts when disconnected
+            if (this.learning) this.stopLearningMode();
+        }
+        this.logger.warn(`Dictaphone disconnected: ${conn.info.modelName} (${reason}).`);
+        this.emit('dictaphoneDisconnected', { device: conn.info, reason });
+        if (reconnect) {
+            this.lostDevices.add(this._deviceKey(conn.info));
             this._scheduleReconnect();
-        } else {
-             logger.debug('Dictaphone already marked as disconnected.');
         }
     }
 
     /**
      * @private
-     * @description Schedules the next reconnection attempt with exponential backoff.
+     * @description Closes the HID handle and releases any button still held.
+     */
+    _closeConnection(conn) {
+        conn.hidDevice.removeAllListeners();
+        try { conn.hidDevice.close(); } catch (error) { this.logger.debug('Error closing HID device:', error); }
+        if (conn.decoder) conn.decoder.reset().forEach(event => this._emitButtonEvent(conn, event));
+    }
+
+    /**
+     * @private
+     * @description Schedules the next reconnection attempt with exponential backoff, while some lost device is still missing.
      */
     _scheduleReconnect() {
-        if (this.status === DEVICE_STATUS.CONNECTED || !this.isMonitoring) {
-            // Don't attempt reconnect if already connected or if monitoring stopped
+        if (this.lostDevices.size === 0 || !this.isMonitoring) {
+            // Nothing to reconnect, or monitoring stopped
             return;
         }
-
         if (this.reconnectTimeout) {
-             logger.debug('Reconnect attempt already scheduled.');
-             return; // Already scheduled
+            this.logger.debug('Reconnect attempt already scheduled.');
+            return; // Already scheduled
+        }
+        if (this.reconnectAttempt >= this.maxReconnectAttempts) {
+            this.logger.warn(`Dictaphone reconnection given up after ${this.reconnectAttempt} attempts (a new device plug-in will still be detected).`);
+            this.emit('dictaphoneReconnectFailed', { message: `Sin dictáfono tras ${this.reconnectAttempt} intentos.` });
+            this.lostDevices.clear();
+            this.reconnectAttempt = 0;
+            return;
         }
 
         // Calculate delay using exponential backoff
@@ -200,105 +386,297 @@ class DictaphoneHandler extends EventEmitter {
             INITIAL_RECONNECT_DELAY * Math.pow(BACKOFF_FACTOR, this.reconnectAttempt),
             MAX_RECONNECT_DELAY
         );
-
         this.reconnectAttempt++;
-
-        logger.info(`Scheduling dictaphone reconnect attempt ${this.reconnectAttempt} in ${delay / 1000} seconds.`);
+        this.logger.info(`Scheduling dictaphone reconnect attempt ${this.reconnectAttempt} in ${delay / 1000} seconds.`);
+        this.emit('dictaphoneReconnecting', { attempt: this.reconnectAttempt, maxAttempts: this.maxReconnectAttempts });
 
         this.reconnectTimeout = setTimeout(async () => {
             this.reconnectTimeout = null; // Clear the timeout ID before the check
-            if (this.status === DEVICE_STATUS.CONNECTED || !this.isMonitoring) {
-                 logger.info('Reconnect aborted (already connected or monitoring stopped).');
-                 return; // Stop if connected or monitoring stopped during the timeout
+            if (this.lostDevices.size === 0 || !this.isMonitoring) return;
+            try {
+                await this.findAndConnect();
+            } catch (error) {
+                this.logger.error('Error during reconnect attempt:', error);
+                this._emitError(error);
             }
-            logger.info(`Attempting to reconnect dictaphone (Attempt ${this.reconnectAttempt})...`);
-             try {
-                 // Use find() to check for the device again
-                 const devices = await usbDetect.find(this.vendorId, this.productId);
-                 if (devices && devices.length > 0) {
-                     logger.info('Dictaphone found during reconnect attempt.');
-                     this._handleDeviceConnected(devices[0]);
-                 } else {
-                     logger.info('Dictaphone still not found. Scheduling next attempt.');
-                     this._scheduleReconnect(); // Schedule the next attempt
-                 }
-             } catch (error) {
-                 logger.error('Error during reconnect attempt:', error);
-                 this.status = DEVICE_STATUS.ERROR;
-                 this.emit('error', error);
-                 // Still schedule next attempt even if there was an error during find
-                 this._scheduleReconnect();
-             }
+            this._scheduleReconnect(); // No-op once every lost device is back
         }, delay);
     }
 
     /**
      * @private
-     * @description Placeholder for setting up device-specific listeners (e.g., button presses).
-     * Needs actual implementation based on how the dictaphone communicates.
-     */
-    _setupDeviceListeners() {
-        // This requires a library or method to interact with the specific HID device
-        // For example, using 'node-hid'
-        logger.info('Setting up device listeners (Placeholder - Requires Implementation)');
-        // Example with pseudo-code:
-        // if (this.device) {
-        //    try {
-        //        const hidDevice = new HID.HID(this.device.path); // Assuming device.path is available
-        //        hidDevice.on('data', (data) => {
-        //            this._handleDictaphoneData(data);
-        //        });
-        //        hidDevice.on('error', (error) => {
-        //            logger.error('HID device error:', error);
-        //            this._handleDeviceDisconnected(); // Treat HID error as disconnect
-        //        });
-        //        this.hidDevice = hidDevice; // Store reference for cleanup
-        //    } catch (error) {
-        //        logger.error('Failed to open HID device:', error);
-        //        this._handleDeviceDisconnected(); // Could not connect
-        //    }
-        // }
+     */
+    _clearReconnect() {
+        if (this.reconnectTimeout) {
+            clearTimeout(this.reconnectTimeout);
+            this.reconnectTimeout = null;
+        }
+    }
+
+    /**
+     * @private
+     * @returns {object|undefined} - The user-chosen device, or the first connected one.
+     */
+    _primaryConnection() {
+        return (this.primaryPath && this.connections.get(this.primaryPath)) || this.connections.values().next().value;
     }
 
     /**
      * @private
-     * @description Placeholder for removing device-specific listeners.
+     * @description Identifies a physical device across reconnections (the HID path may change; without serial number, by model).
      */
-    _removeDeviceListeners() {
-        logger.info('Removing device listeners (Placeholder)');
-        // Example with pseudo-code:
-        // if (this.hidDevice) {
-        //     this.hidDevice.removeAllListeners(); // Remove listeners
-        //     this.hidDevice.close(); // Close the device handle
-        //     this.hidDevice = null;
-        // }
+    _deviceKey(info) {
+        return `${info.vendorId}:${info.productId}:${info.serialNumber || ''}`;
     }
 
     /**
      * @private
-     * @description Placeholder for handling data received from the dictaphone (e.g., button presses).
+     * @description Profile of a device: a built-in one, or a saved learned layout (treated as a profile of its own).
+     * @param {{vendorId: number, productId: number, product?: string, manufacturer?: string}} info - node-hid or usb-detection device.
+     * @returns {{profile: object, device: object}|null} - Same shape as findProfile().
+     */
+    _matchDevice(info) {
+        const match = findProfile(info.vendorId, info.productId, this.profiles);
+        if (match) return match;
+        const saved = this.savedConfigs.find(cfg => cfg.vendorId === info.vendorId && cfg.productId === info.productId && cfg.reportLayout);
+        if (!saved) return null;
+        return {
+            profile: { id: LEARNED_PROFILE_ID, manufacturer: info.manufacturer || null, type: null, usagePage: saved.usagePage ?? undefined },
+            device: { vendorId: info.vendorId, productId: info.productId, model: saved.deviceName || info.product || `HID ${hex(info.vendorId)}:${hex(info.productId)}` },
+        };
+    }
+
+    /**
+     * @private
+     * @param {object} info - node-hid device info.
+     * @param {{profile: object, device: object}|null} match - Result of _matchDevice(); null for a device without a profile.
+     */
+    _describeDevice(info, match) {
+        const { profile, device } = match || {};
+        const modelName = device?.model || info.product || `HID ${hex(info.vendorId)}:${hex(info.productId)}`;
+        return {
+            path: info.path, vendorId: info.vendorId, productId: info.productId,
+            manufacturer: info.manufacturer || profile?.manufacturer || null, product: info.product || modelName,
+            serialNumber: info.serialNumber || null, usagePage: info.usagePage ?? null,
+            profileId: profile?.id || LEARNED_PROFILE_ID, modelName, type: profile?.type || null,
+        };
+    }
+
+    /**
+     * @private
+     * @description Decodes a HID report into button press/release events and emits the mapped actions.
+     * @param {object} conn - Connection the report came from.
      * @param {Buffer} data - The data received from the HID device.
      */
-    _handleDictaphoneData(data) {
-        // Decode the data buffer to understand which button was pressed/released
-        // This is highly device-specific.
-        logger.debug('Received data from dictaphone:', data);
-        // Example: Assume byte 2 indicates button state
-        // const buttonCode = data[2];
-        // switch (buttonCode) {
-        //    case 0x01: // Example code for 'Record' pressed
-        //        this.emit('record_start');
-        //        break;
-        //    case 0x02: // Example code for 'Stop' pressed
-        //        this.emit('record_stop');
-        //        break;
-        //    // Add other button codes
-        // }
+    _handleDictaphoneData(conn, data) {
+        if (this.learning) {
+            this._handleLearningReport(conn, Buffer.from(data));
+            return;
+        }
+        if (!conn.decoder) {
+            this.logger.debug(`Received data from ${conn.info.modelName} (no report layout): ${Buffer.from(data).toString('hex')}`);
+            return;
+        }
+        for (const event of conn.decoder.decode(data)) this._emitButtonEvent(conn, event);
+    }
+
+    /**
+     * @private
+     * @param {object} conn
+     * @param {{button: string, pressed: boolean}} event
+     */
+    _emitButtonEvent(conn, { button, pressed }) {
+        const action = conn.config.buttons[button] ?? null;
+        this.logger.debug(`${conn.info.modelName} button ${button} ${pressed ? 'pressed' : 'released'}${action ? ` -> ${action}` : ''}`);
+        this.emit('dictaphoneButton', { button, pressed, action, devicePath: conn.info.path });
+        if (pressed && action) this.emit('dictaphoneAction', action);
+    }
+
+    /**
+     * @private
+     */
+    _emitError(error) {
+        if (this.listenerCount('dictaphoneError') > 0) this.emit('dictaphoneError', error);
+    }
+
+    /**
+     * @public
+     * @description Starts button learning mode on every connected device: reports are no longer turned into actions,
+     * each newly pressed button is reported through 'buttonLearningData' so the user can assign it an action.
+     */
+    startLearningMode() {
+        if (this.connections.size === 0) throw new Error('No dictaphone connected');
+        if (this.learning) return;
+        for (const conn of this.connections.values()) {
+            if (conn.decoder) conn.decoder.reset().forEach(event => this._emitButtonEvent(conn, event)); // Release held buttons before muting actions
+            conn.learningPrevious = null;
+        }
+        this.learning = { learned: new Map() };
+        this.logger.info(`Dictaphone learning mode started (${this.connections.size} devices).`);
+        this.emit('learningModeStarted', { devices: this.getActiveDevices() });
+    }
+
+    /**
+     * @public
+     * @description Stops learning mode. The learned mappings stay active; saveConfig() persists them.
+     * @returns {{learned: object[], configs: Object<string, object>}}
+     */
+    stopLearningMode() {
+        const configs = Object.fromEntries([...this.connections].map(([path, conn]) => [path, conn.config]));
+        if (!this.learning) return { learned: [], configs };
+        const learned = [...this.learning.learned.values()];
+        this.learning = null;
+        for (const conn of this.connections.values()) conn.decoder?.reset(); // Clean state; no release events for buttons pressed while learning
+        this.logger.info(`Dictaphone learning mode stopped (${learned.length} buttons captured).`);
+        const result = { learned, configs };
+        this.emit('learningModeStopped', result);
+        return result;
+    }
+
+    /**
+     * @public
+     * @description Assigns an action to a button captured in learning mode. Unknown bits/codes are added to the report layout.
+     * @param {object} formattedData - Payload of 'buttonLearningData' ({ devicePath, byte, mask } or { devicePath, byte, code }).
+     * @param {string|null} action - Action name, or null to disable the button.
+     * @returns {boolean} - False if the data does not describe a button of a connected device.
+     */
+    assignLearnedButton(formattedData, action) {
+        const conn = formattedData?.devicePath ? this.connections.get(formattedData.devicePath) : this._primaryConnection();
+        if (!conn) return false;
+        const { byte, mask, code } = formattedData;
+        const isCode = Number.isInteger(code) && code > 0;
+        if (!Number.isInteger(byte) || byte < 0 || (!isCode && !(Number.isInteger(mask) && mask > 0 && mask <= 0xff))) {
+            this.logger.warn('Invalid learned button data:', formattedData);
+            return false;
+        }
+        const layout = conn.config.reportLayout ? JSON.parse(JSON.stringify(conn.config.reportLayout)) : { buttons: {} };
+        const codeLayout = Number.isInteger(layout.codeByte);
+        if (isCode !== codeLayout || (codeLayout && byte !== layout.codeByte)) {
+            this.logger.warn(`Learned button does not fit the ${codeLayout ? 'code' : 'bitmap'} report layout of ${conn.info.modelName}.`);
+            return false;
+        }
+        let button = this._findLayoutButton(layout, formattedData);
+        if (!button) {
+            button = isCode ? `code_${code.toString(16)}` : `button_${byte}_${mask.toString(16)}`;
+            if (isCode) layout.codes[code] = button;
+            else layout.buttons[button] = { byte, mask };
+            conn.decoder = new HidReportDecoder(layout);
+            conn.config.reportLayout = layout;
+            conn.config.customLayout = true;
+        }
+        conn.config.buttons = { ...conn.config.buttons, [button]: action || null };
+        conn.config.modified = true;
+        const learned = this.learning?.learned.get(formattedData.id);
+        if (learned) Object.assign(learned, { button, action: action || null });
+        this.logger.info(`${conn.info.modelName} button ${button} -> ${action || '(none)'}`);
+        return true;
+    }
+
+    /**
+     * @public
+     * @description Persists the button mapping (and learned layout, if any) of a device model.
+     * @param {string|null} [devicePath] - Defaults to every connected device with unsaved changes.
+     * @returns {Promise<boolean>}
+     */
+    async saveConfig(devicePath = null) {
+        const targets = devicePath ? [this.connections.get(devicePath)].filter(Boolean) : [...this.connections.values()].filter(conn => conn.config.modified);
+        if (this.connections.size === 0 || (devicePath && targets.length === 0)) return false;
+        if (!this.dbManager?.saveDictaphoneConfig) {
+            this.logger.warn('Cannot save dictaphone config: no database available.');
+            return false;
+        }
+        for (const { info, config } of targets) {
+            const learnedDevice = config.profileId === LEARNED_PROFILE_ID;
+            await this.dbManager.saveDictaphoneConfig({
+                vendorId: info.vendorId, productId: info.productId, profileId: config.profileId, buttons: config.buttons,
+                reportLayout: config.customLayout ? config.reportLayout : null, // Profile layouts are not copied, so profile fixes still apply
+                usagePage: learnedDevice ? config.usagePage : null, deviceName: learnedDevice ? info.modelName : null, // Lets _matchDevice() find it again
+            });
+            config.customized = true;
+            config.modified = false;
+            this.logger.info(`Dictaphone config saved for ${hex(info.vendorId)}:${hex(info.productId)}.`);
+        }
+        await this._loadSavedConfigs();
+        return true;
+    }
+
+    /**
+     * @private
+     * @description Detects which bits (bitmap layouts) or code (code layouts) became active since the device's previous report.
+     * The idle state is assumed to be all zeros until the first report arrives.
+     * @param {object} conn
+     * @param {Buffer} data
+     */
+    _handleLearningReport(conn, data) {
+        const layout = conn.config.reportLayout || {};
+        const reportId = Number.isInteger(layout.reportId) ? layout.reportId : null;
+        if (reportId !== null && data[0] !== reportId) return;
+        const previous = conn.learningPrevious;
+        conn.learningPrevious = data;
+        const raw = data.toString('hex');
+        const pressed = [];
+        if (Number.isInteger(layout.codeByte)) {
+            const code = data[layout.codeByte];
+            if (code && code !== previous?.[layout.codeByte]) pressed.push({ byte: layout.codeByte, code });
+        } else {
+            for (let byte = reportId !== null ? 1 : 0; byte < data.length; byte++) {
+                const newBits = data[byte] & ~(previous?.[byte] || 0);
+                for (let mask = 1; mask <= 0x80; mask <<= 1) if (newBits & mask) pressed.push({ byte, mask });
+            }
+        }
+        for (const bit of pressed) {
+            const id = `${conn.info.path}|${bit.code !== undefined ? `${bit.byte}=${bit.code}` : `${bit.byte}:${bit.mask}`}`;
+            const button = this._findLayoutButton(layout, bit);
+            const formattedData = {
+                id, devicePath: conn.info.path, deviceName: conn.info.modelName, ...bit, raw, button,
+                label: bit.code !== undefined ? `Byte ${bit.byte} = ${hexByte(bit.code)}` : `Byte ${bit.byte} · bit ${hexByte(bit.mask)}`,
+                action: button ? conn.config.buttons[button] ?? null : null,
+            };
+            this.learning.learned.set(id, formattedData);
+            this.logger.debug(`Learning (${conn.info.modelName}): ${formattedData.label}${button ? ` (${button})` : ''} [${raw}]`);
+            this.emit('buttonLearningData', formattedData);
+        }
+    }
+
+    /**
+     * @private
+     * @returns {string|null} - Name of the layout button matching a learned bit/code.
+     */
+    _findLayoutButton(layout, { byte, mask, code }) {
+        if (code !== undefined) return layout.codes?.[code] ?? null;
+        return Object.entries(layout.buttons || {}).find(([, bit]) => bit.byte === byte && bit.mask === mask)?.[0] || null;
+    }
+
+    /**
+     * @private
+     * @description Refreshes savedConfigs (errors are logged; devices without a profile are then not detected).
+     */
+    async _loadSavedConfigs() {
+        if (!this.dbManager?.getAllDictaphoneConfigs) return;
+        try {
+            this.savedConfigs = await this.dbManager.getAllDictaphoneConfigs();
+        } catch (error) {
+            this.logger.error('Failed to load saved dictaphone configs:', error);
+        }
+    }
+
+    /**
+     * @private
+     * @returns {Promise<object|null>} - Saved config of the device model, or null (errors are logged, the profile defaults apply).
+     */
+    async _loadSavedConfig(deviceInfo) {
+        if (!this.dbManager?.getDictaphoneConfig) return null;
+        try {
+            return await this.dbManager.getDictaphoneConfig(deviceInfo.vendorId, deviceInfo.productId);
+        } catch (error) {
+            this.logger.error('Failed to load saved dictaphone config:', error);
+            return null;
+        }
     }
 
     /**
      * @public
-     * @description Gets the current status of the dictaphone connection.
+     * @description Gets the current status of the dictaphone connection (CONNECTED while any device is connected).
      * @returns {DEVICE_STATUS} - The current status.
      */
     getStatus() {
@@ -310,12 +688,15 @@ class DictaphoneHandler extends EventEmitter {
      * @description Cleans up resources, stops monitoring.
      */
     cleanup() {
-        logger.info('Cleaning up DictaphoneHandler...');
-        this.stopMonitoring(); // Stops monitoring and clears reconnect timeout
-        this._removeDeviceListeners(); // Ensure device listeners are removed
+        this.logger.info('Cleaning up DictaphoneHandler...');
+        if (this.isMonitoring) this.stopMonitoring(); // Stops monitoring and clears reconnect timeout
+        for (const path of [...this.connections.keys()]) this._handleDeviceDisconnected(path, 'cleanup', { reconnect: false });
+        this.lostDevices.clear();
         this.removeAllListeners(); // Remove all event listeners attached to this handler
-        logger.info('DictaphoneHandler cleanup complete.');
+        this.logger.info('DictaphoneHandler cleanup complete.');
     }
 }
 
 module.exports = DictaphoneHandler;
+module.exports.DEFAULT_BUTTON_ACTIONS = DEFAULT_BUTTON_ACTIONS;
+module.exports.LEARNED_PROFILE_ID = LEARNED_PROFILE_ID;
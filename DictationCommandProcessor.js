@@ -0,0 +1,125 @@
+const logger = require('../utils/logger');
+
+// Comandos hablados de puntuación/formato por idioma (clave = prefijo del código de idioma, ej. 'es' de 'es-ES').
+// insert: texto a insertar; spaceBefore/spaceAfter: espaciado alrededor; capitalizeNext: mayúscula en la siguiente palabra.
+const SPOKEN_COMMANDS = {
+  es: {
+    literal: 'literal', // "literal coma" -> escribe la palabra "coma"
+    commands: [
+      { phrase: 'punto y aparte', insert: '.\n', capitalizeNext: true },
+      { phrase: 'punto y seguido', insert: '.', spaceAfter: true, capitalizeNext: true },
+      { phrase: 'punto y coma', insert: ';', spaceAfter: true },
+      { phrase: 'puntos suspensivos', insert: '...', spaceAfter: true },
+      { phrase: 'punto final', insert: '.', spaceAfter: true, capitalizeNext: true },
+      { phrase: 'punto', insert: '.', spaceAfter: true, capitalizeNext: true },
+      { phrase: 'coma', insert: ',', spaceAfter: true },
+      { phrase: 'dos puntos', insert: ':', spaceAfter: true },
+      { phrase: 'abrir paréntesis', insert: '(', spaceBefore: true },
+      { phrase: 'cerrar paréntesis', insert: ')', spaceAfter: true },
+      { phrase: 'abrir interrogación', insert: '¿', spaceBefore: true, capitalizeNext: true },
+      { phrase: 'cerrar interrogación', insert: '?', spaceAfter: true, capitalizeNext: true },
+      { phrase: 'abrir exclamación', insert: '¡', spaceBefore: true, capitalizeNext: true },
+      { phrase: 'cerrar exclamación', insert: '!', spaceAfter: true, capitalizeNext: true },
+      { phrase: 'abrir comillas', insert: '"', spaceBefore: true },
+      { phrase: 'cerrar comillas', insert: '"', spaceAfter: true },
+      { phrase: 'barra', insert: '/' },
+      { phrase: 'guion', insert: '-' },
+      { phrase: 'nueva línea', insert: '\n', capitalizeNext: true },
+      { phrase: 'nuevo párrafo', insert: '\n\n', capitalizeNext: true },
+      { phrase: 'mayúscula', capitalizeNext: true },
+    ]
+  },
+  en: {
+    literal: 'literal',
+    commands: [
+      { phrase: 'new paragraph', insert: '\n\n', capitalizeNext: true },
+      { phrase: 'new line', insert: '\n', capitalizeNext: true },
+      { phrase: 'full stop', insert: '.', spaceAfter: true, capitalizeNext: true },
+      { phrase: 'period', insert: '.', spaceAfter: true, capitalizeNext: true },
+      { phrase: 'comma', insert: ',', spaceAfter: true },
+      { phrase: 'semicolon', insert: ';', spaceAfter: true },
+      { phrase: 'colon', insert: ':', spaceAfter: true },
+      { phrase: 'question mark', insert: '?', spaceAfter: true, capitalizeNext: true },
+      { phrase: 'exclamation mark', insert: '!', spaceAfter: true, capitalizeNext: true },
+      { phrase: 'open parenthesis', insert: '(', spaceBefore: true },
+      { phrase: 'close parenthesis', insert: ')', spaceAfter: true },
+      { phrase: 'open quote', insert: '"', spaceBefore: true },
+      { phrase: 'close quote', insert: '"', spaceAfter: true },
+      { phrase: 'slash', insert: '/' },
+      { phrase: 'hyphen', insert: '-' },
+      { phrase: 'capital', capitalizeNext: true },
+    ]
+  }
+};
+
+// Minúsculas y sin tildes para comparar palabras dictadas con las frases de comando
+const normalizeWord = (word) => word.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+
+/**
+ * Convierte comandos hablados ("punto", "coma", "nueva línea", "mayúscula"...) en puntuación y formato.
+ * Se aplica a la transcripción antes del reemplazo de términos médicos.
+ */
+class DictationCommandProcessor {
+  constructor(options = {}) {
+    this.logger = options.logger || logger;
+    this.defaultLanguage = options.language || 'es-ES';
+    this.grammars = {}; // Caché { lang: { literal, commands: [{ words: [...], ...cmd }] } }
+  }
+
+  /**
+   * @param {string} text - Transcripción en bruto.
+   * @param {string} [language] - Código de idioma (ej. 'es-ES'); sin gramática para el idioma, el texto se devuelve igual.
+   * @returns {{ text: string, commandsApplied: string[] }}
+   */
+  process(text, language = this.defaultLanguage) {
+    if (!text) return { text: text || '', commandsApplied: [] };
+    const grammar = this._getGrammar(language);
+    if (!grammar) return { text, commandsApplied: [] };
+
+    const words = text.split(/\s+/).filter(Boolean);
+    const normalized = words.map(normalizeWord);
+    const commandsApplied = [];
+    let output = ''; let noSpaceNext = true; let capitalizeNext = false;
+
+    const appendWord = (word) => {
+        if (output && !noSpaceNext && !/\s$/.test(output)) output += ' ';
+        output += capitalizeNext ? word.charAt(0).toLocaleUpperCase() + word.slice(1) : word;
+        noSpaceNext = false; capitalizeNext = false;
+    };
+
+    for (let i = 0; i < words.length; i++) {
+        // "literal <palabra>": la palabra se escribe tal cual aunque sea un comando
+        if (normalized[i] === grammar.literal && i + 1 < words.length) { appendWord(words[++i]); continue; }
+        const command = grammar.commands.find(cmd => cmd.words.every((w, k) => normalized[i + k] === w));
+        if (!command) { appendWord(words[i]); continue; }
+
+        commandsApplied.push(command.phrase);
+        i += command.words.length - 1;
+        if (command.insert) {
+            if (command.spaceBefore) { if (output && !noSpaceNext && !/\s$/.test(output)) output += ' '; }
+            else output = output.replace(/[ \t]+$/, ''); // La puntuación se pega a la palabra anterior
+            output += command.insert;
+            noSpaceNext = !command.spaceAfter;
+        }
+        if (command.capitalizeNext) capitalizeNext = true;
+    }
+
+    if (commandsApplied.length) this.logger.debug(`Comandos de dictado aplicados (${language}): ${commandsApplied.join(', ')}`);
+    return { text: output.replace(/[ \t]+\n/g, '\n').replace(/[ \t]+$/, ''), commandsApplied }; // Conserva saltos finales ("punto y aparte")
+  }
+
+  // Gramática del idioma ('es-ES' -> 'es'), con frases más largas primero ("punto y coma" antes que "punto")
+  _getGrammar(language) {
+    const lang = (language || this.defaultLanguage).toLowerCase().split(/[-_]/)[0];
+    if (this.grammars[lang]) return this.grammars[lang];
+    const definition = SPOKEN_COMMANDS[lang];
+    if (!definition) { this.logger.debug(`Sin comandos de dictado para el idioma '${language}'.`); return null; }
+    const commands = definition.commands
+        .map(cmd => ({ ...cmd, words: cmd.phrase.split(/\s+/).map(normalizeWord) }))
+        .sort((a, b) => b.words.length - a.words.length);
+    this.grammars[lang] = { literal: normalizeWord(definition.literal), commands };
+    return this.grammars[lang];
+  }
+}
+
+module.exports = DictationCommandProcessor;
@@ -0,0 +1,127 @@
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+
+// Modos de dictado (como en los sistemas de dictado dedicados):
+//   - push_to_talk: graba mientras el botón está pulsado y se detiene al soltarlo
+//   - toggle: cada pulsación inicia o detiene
+//   - hands_free: una pulsación inicia; se detiene tras 'silenceTimeoutMs' sin transcripción (o con otra pulsación)
+const DICTATION_MODES = Object.freeze(['push_to_talk', 'toggle', 'hands_free']);
+const DEFAULT_SILENCE_TIMEOUT_MS = 5000;
+const MIN_SILENCE_TIMEOUT_MS = 1000;
+
+class DictationModeService extends EventEmitter {
+  /**
+   * @param {object} speechService - SpeechRecognitionService (startListening/stopListening, isListening y sus eventos).
+   * @param {object} [options]
+   * @param {string} [options.mode='toggle']
+   * @param {number} [options.silenceTimeoutMs=5000] - Solo hands_free.
+   */
+  constructor(speechService, options = {}) {
+    super();
+    if (!speechService) throw new Error('DictationModeService requiere un SpeechRecognitionService');
+    this.speechService = speechService;
+    this.logger = options.logger || logger;
+    this.mode = 'toggle';
+    this.silenceTimeoutMs = DEFAULT_SILENCE_TIMEOUT_MS;
+    this.heldSources = new Set(); // push_to_talk: botones pulsados ('<dispositivo>:<botón>', 'screen'); se detiene al soltar el último
+    this.pending = Promise.resolve(); // Inicio/parada en curso: las pulsaciones rápidas se encadenan en orden
+    this.silenceTimer = null;
+    this.configure(options);
+    // El temporizador de silencio se arma con cualquier inicio (dictáfono, botón en pantalla o IPC)
+    this._onStarted = () => this._armSilenceTimer();
+    this._onActivity = () => this._armSilenceTimer();
+    this._onStopped = () => { this._clearSilenceTimer(); this.heldSources.clear(); };
+    speechService.on('dictationStarted', this._onStarted);
+    speechService.on('transcriptionUpdate', this._onActivity);
+    speechService.on('dictationStopped', this._onStopped);
+    speechService.on('dictationError', this._onStopped);
+  }
+
+  /**
+   * @param {{mode?: string, silenceTimeoutMs?: number}} config
+   * @returns {{mode: string, silenceTimeoutMs: number}}
+   */
+  configure({ mode, silenceTimeoutMs } = {}) {
+    if (mode !== undefined && mode !== null) {
+      if (!DICTATION_MODES.includes(mode)) throw new Error(`Modo de dictado desconocido: '${mode}' (${DICTATION_MODES.join(', ')})`);
+      this.mode = mode;
+    }
+    if (silenceTimeoutMs !== undefined && silenceTimeoutMs !== null) {
+      const value = Number(silenceTimeoutMs);
+      if (!Number.isFinite(value) || value < MIN_SILENCE_TIMEOUT_MS) throw new Error(`Tiempo de silencio inválido: ${silenceTimeoutMs} (mínimo ${MIN_SILENCE_TIMEOUT_MS} ms)`);
+      this.silenceTimeoutMs = value;
+    }
+    this.heldSources.clear();
+    if (this.mode === 'hands_free' && this.speechService.isListening) this._armSilenceTimer(); else this._clearSilenceTimer();
+    this.logger.info(`Modo de dictado: ${this.mode}${this.mode === 'hands_free' ? ` (silencio ${this.silenceTimeoutMs} ms)` : ''}`);
+    return this.getConfig();
+  }
+
+  getConfig() { return { mode: this.mode, silenceTimeoutMs: this.silenceTimeoutMs }; }
+
+  /**
+   * Pulsación del botón de grabar.
+   * @param {string} [source='screen'] - Identifica el botón para emparejar pulsación y liberación.
+   */
+  press(source = 'screen') {
+    if (this.mode === 'push_to_talk') {
+      this.heldSources.add(source);
+      return this._start();
+    }
+    return this.toggle(); // toggle y hands_free: la pulsación alterna (en hands_free también detiene antes del silencio)
+  }
+
+  /**
+   * Liberación del botón de grabar: solo tiene efecto en push_to_talk.
+   * @param {string} [source='screen']
+   */
+  release(source = 'screen') {
+    if (this.mode !== 'push_to_talk' || !this.heldSources.delete(source)) return this.pending;
+    return this.heldSources.size === 0 ? this._stop() : this.pending; // Otro botón (ej. el pedal) sigue pulsado
+  }
+
+  // El estado se lee al ejecutarse en la cola (dos pulsaciones rápidas: inicia y detiene)
+  toggle() { return this._enqueue(() => this.speechService.isListening ? this.speechService.stopListening() : this.speechService.startListening()); }
+
+  stop() { this.heldSources.clear(); return this._stop(); }
+
+  cleanup() {
+    this._clearSilenceTimer();
+    this.speechService.removeListener('dictationStarted', this._onStarted);
+    this.speechService.removeListener('transcriptionUpdate', this._onActivity);
+    this.speechService.removeListener('dictationStopped', this._onStopped);
+    this.speechService.removeListener('dictationError', this._onStopped);
+    this.removeAllListeners();
+  }
+
+  _start() { return this._enqueue(() => this.speechService.isListening ? null : this.speechService.startListening()); }
+
+  _stop() { return this._enqueue(() => this.speechService.isListening ? this.speechService.stopListening() : null); }
+
+  _enqueue(operation) {
+    this.pending = this.pending.then(operation).catch(error => {
+      this.logger.error('Error cambiando el estado del dictado:', error);
+      if (this.listenerCount('error') > 0) this.emit('error', error);
+    });
+    return this.pending;
+  }
+
+  _armSilenceTimer() {
+    this._clearSilenceTimer();
+    if (this.mode !== 'hands_free') return;
+    this.silenceTimer = setTimeout(() => {
+      this.silenceTimer = null;
+      if (!this.speechService.isListening) return;
+      this.logger.info(`Dictado detenido tras ${this.silenceTimeoutMs} ms de silencio.`);
+      this.emit('autoStopped', { reason: 'silence', silenceTimeoutMs: this.silenceTimeoutMs });
+      this._stop();
+    }, this.silenceTimeoutMs);
+  }
+
+  _clearSilenceTimer() {
+    if (this.silenceTimer) { clearTimeout(this.silenceTimer); this.silenceTimer = null; }
+  }
+}
+
+module.exports = DictationModeService;
+module.exports.DICTATION_MODES = DICTATION_MODES;
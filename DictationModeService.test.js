@@ -0,0 +1,81 @@
+// tests/DictationModeService.test.js
+jest.mock('../utils/logger', () => require('./test-utils').mockLogger);
+
+const { EventEmitter } = require('events');
+const DictationModeService = require('../services/DictationModeService');
+const { mockLogger } = require('./test-utils');
+
+// SpeechRecognitionService mínimo: emite los mismos eventos al iniciar/detener
+const createSpeechService = () => {
+  const service = new EventEmitter();
+  service.isListening = false;
+  service.startListening = jest.fn(async () => { service.isListening = true; service.emit('dictationStarted'); });
+  service.stopListening = jest.fn(async () => { service.isListening = false; service.emit('dictationStopped', { text: '' }); });
+  return service;
+};
+
+describe('DictationModeService', () => {
+  let speech; let modes;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    speech = createSpeechService();
+    modes = new DictationModeService(speech, { logger: mockLogger });
+  });
+
+  afterEach(() => { modes.cleanup(); jest.useRealTimers(); });
+
+  test('valida el modo y el tiempo de silencio', () => {
+    expect(modes.getConfig()).toEqual({ mode: 'toggle', silenceTimeoutMs: 5000 });
+    expect(() => modes.configure({ mode: 'dictado_magico' })).toThrow(/Modo de dictado desconocido/);
+    expect(() => modes.configure({ silenceTimeoutMs: 10 })).toThrow(/Tiempo de silencio inválido/);
+    expect(modes.configure({ mode: 'hands_free', silenceTimeoutMs: 2000 })).toEqual({ mode: 'hands_free', silenceTimeoutMs: 2000 });
+    expect(() => new DictationModeService(null)).toThrow();
+  });
+
+  test('toggle: dos pulsaciones rápidas inician y detienen en orden', async () => {
+    modes.press('pedal:record');
+    await modes.press('pedal:record');
+    expect(speech.startListening).toHaveBeenCalledTimes(1);
+    expect(speech.stopListening).toHaveBeenCalledTimes(1);
+    expect(speech.isListening).toBe(false);
+  });
+
+  test('push_to_talk: se detiene al soltar el último botón pulsado', async () => {
+    modes.configure({ mode: 'push_to_talk' });
+    await modes.press('speechmike:record');
+    await modes.press('pedal:record');
+    await modes.release('speechmike:record');
+    expect(speech.isListening).toBe(true);
+    await modes.release('pedal:record');
+    expect(speech.isListening).toBe(false);
+    await modes.release('pedal:record'); // Liberación sin pulsación: no hace nada
+    expect(speech.stopListening).toHaveBeenCalledTimes(1);
+  });
+
+  test('hands_free: se detiene tras el silencio y la transcripción reinicia la espera', async () => {
+    jest.useFakeTimers();
+    modes.configure({ mode: 'hands_free', silenceTimeoutMs: 2000 });
+    const autoStopped = jest.fn();
+    modes.on('autoStopped', autoStopped);
+    await modes.press();
+    jest.advanceTimersByTime(1500);
+    speech.emit('transcriptionUpdate', { text: 'hígado' });
+    jest.advanceTimersByTime(1500);
+    expect(autoStopped).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(500);
+    await modes.pending;
+    expect(autoStopped).toHaveBeenCalledWith({ reason: 'silence', silenceTimeoutMs: 2000 });
+    expect(speech.isListening).toBe(false);
+  });
+
+  test('los errores de inicio se emiten sin romper la cola', async () => {
+    const onError = jest.fn();
+    modes.on('error', onError);
+    speech.startListening.mockRejectedValueOnce(new Error('micrófono ocupado'));
+    await modes.press();
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'micrófono ocupado' }));
+    await modes.press();
+    expect(speech.isListening).toBe(true);
+  });
+});
@@ -0,0 +1,74 @@
+// Decodificador de informes HID de dictáfonos y pedales: convierte cada informe en eventos de pulsación/liberación por botón.
+// Los índices de byte son sobre el buffer tal como lo entrega node-hid (si el dispositivo numera sus informes, el byte 0 es el report ID).
+//
+// Dos disposiciones de informe:
+//   - Mapa de bits: { buttons: { record: { byte: 1, mask: 0x04 }, ... } }  -> varios botones pulsados a la vez
+//   - Código:       { codeByte: 1, codeLength?: 1|2, codes: { 0x01: 'record', ... } }  -> un botón cada vez (0 = ninguno)
+// 'reportId' (opcional) descarta los informes de otro tipo (ej. el del trackball de un SpeechMike).
+
+class HidReportDecoder {
+  /**
+   * @param {object} layout
+   * @param {number} [layout.reportId]
+   * @param {Object<string, {byte: number, mask: number}>} [layout.buttons] - Mapa de bits.
+   * @param {number} [layout.codeByte] - Byte del código de botón.
+   * @param {number} [layout.codeLength=1] - 2 = código little-endian de dos bytes.
+   * @param {Object<string|number, string>} [layout.codes] - Código -> botón.
+   */
+  constructor(layout = {}) {
+    const hasBitmap = layout.buttons && Object.keys(layout.buttons).length > 0;
+    const hasCodes = Number.isInteger(layout.codeByte) && layout.codes && Object.keys(layout.codes).length > 0;
+    if (!hasBitmap && !hasCodes) throw new Error('Disposición de informe HID sin botones (se espera buttons o codeByte/codes)');
+    this.reportId = Number.isInteger(layout.reportId) ? layout.reportId : null;
+    this.buttons = hasBitmap ? Object.entries(layout.buttons).map(([button, bit]) => ({ button, byte: bit.byte, mask: bit.mask })) : null;
+    this.codeByte = hasCodes ? layout.codeByte : null;
+    this.codeLength = layout.codeLength === 2 ? 2 : 1;
+    // Las claves de un objeto JSON son texto: se aceptan "1", "0x01" o números
+    this.codes = hasCodes ? new Map(Object.entries(layout.codes).map(([code, button]) => [Number(code), button])) : null;
+    this.pressed = new Set();
+  }
+
+  /**
+   * @param {Buffer|number[]} data - Informe recibido.
+   * @returns {Array<{button: string, pressed: boolean}>} Cambios respecto al informe anterior (liberaciones primero).
+   */
+  decode(data) {
+    if (!data || data.length === 0) return [];
+    if (this.reportId !== null && data[0] !== this.reportId) return [];
+    const current = this.buttons ? this._decodeBitmap(data) : this._decodeCode(data);
+    if (current === null) return []; // Informe demasiado corto o código desconocido: se mantiene el estado
+    const events = [];
+    for (const button of this.pressed) if (!current.has(button)) events.push({ button, pressed: false });
+    for (const button of current) if (!this.pressed.has(button)) events.push({ button, pressed: true });
+    this.pressed = current;
+    return events;
+  }
+
+  // Liberación de los botones que seguían pulsados (al desconectar el dispositivo)
+  reset() {
+    const events = [...this.pressed].map(button => ({ button, pressed: false }));
+    this.pressed = new Set();
+    return events;
+  }
+
+  getPressedButtons() { return [...this.pressed]; }
+
+  _decodeBitmap(data) {
+    const current = new Set();
+    for (const { button, byte, mask } of this.buttons) {
+      if (byte >= data.length) return null;
+      if ((data[byte] & mask) !== 0) current.add(button);
+    }
+    return current;
+  }
+
+  _decodeCode(data) {
+    if (this.codeByte + this.codeLength > data.length) return null;
+    const code = this.codeLength === 2 ? data[this.codeByte] | (data[this.codeByte + 1] << 8) : data[this.codeByte];
+    if (code === 0) return new Set();
+    const button = this.codes.get(code);
+    return button ? new Set([button]) : null;
+  }
+}
+
+module.exports = HidReportDecoder;
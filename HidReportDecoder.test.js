@@ -0,0 +1,53 @@
+// tests/HidReportDecoder.test.js
+const HidReportDecoder = require('../hardware/HidReportDecoder');
+
+describe('HidReportDecoder - mapa de bits', () => {
+  const layout = { reportId: 0x01, buttons: { record: { byte: 1, mask: 0x04 }, play: { byte: 1, mask: 0x08 }, eol: { byte: 2, mask: 0x01 } } };
+
+  test('emite pulsaciones y liberaciones solo al cambiar el estado', () => {
+    const decoder = new HidReportDecoder(layout);
+    expect(decoder.decode([0x01, 0x04, 0x00])).toEqual([{ button: 'record', pressed: true }]);
+    expect(decoder.decode([0x01, 0x04, 0x00])).toEqual([]);
+    expect(decoder.decode([0x01, 0x0c, 0x01])).toEqual([{ button: 'play', pressed: true }, { button: 'eol', pressed: true }]);
+    // Liberaciones primero
+    expect(decoder.decode([0x01, 0x08, 0x00])).toEqual([{ button: 'record', pressed: false }, { button: 'eol', pressed: false }]);
+    expect(decoder.getPressedButtons()).toEqual(['play']);
+  });
+
+  test('descarta informes de otro report ID o demasiado cortos sin perder el estado', () => {
+    const decoder = new HidReportDecoder(layout);
+    decoder.decode(Buffer.from([0x01, 0x04, 0x00]));
+    expect(decoder.decode([0x02, 0x00, 0x00])).toEqual([]);
+    expect(decoder.decode([0x01, 0x00])).toEqual([]);
+    expect(decoder.decode([])).toEqual([]);
+    expect(decoder.getPressedButtons()).toEqual(['record']);
+  });
+
+  test('reset libera los botones que seguían pulsados', () => {
+    const decoder = new HidReportDecoder(layout);
+    decoder.decode([0x01, 0x0c, 0x00]);
+    expect(decoder.reset()).toEqual([{ button: 'record', pressed: false }, { button: 'play', pressed: false }]);
+    expect(decoder.getPressedButtons()).toEqual([]);
+  });
+});
+
+describe('HidReportDecoder - código de botón', () => {
+  test('un botón cada vez; 0 libera y un código desconocido mantiene el estado', () => {
+    const decoder = new HidReportDecoder({ codeByte: 1, codes: { '0x01': 'record', 2: 'stop' } });
+    expect(decoder.decode([0x00, 0x01])).toEqual([{ button: 'record', pressed: true }]);
+    expect(decoder.decode([0x00, 0x02])).toEqual([{ button: 'record', pressed: false }, { button: 'stop', pressed: true }]);
+    expect(decoder.decode([0x00, 0x7f])).toEqual([]);
+    expect(decoder.decode([0x00, 0x00])).toEqual([{ button: 'stop', pressed: false }]);
+  });
+
+  test('códigos little-endian de dos bytes', () => {
+    const decoder = new HidReportDecoder({ codeByte: 1, codeLength: 2, codes: { 0x0102: 'fastForward' } });
+    expect(decoder.decode([0x00, 0x02, 0x01])).toEqual([{ button: 'fastForward', pressed: true }]);
+    expect(decoder.decode([0x00, 0x02])).toEqual([]);
+  });
+
+  test('rechaza disposiciones sin botones', () => {
+    expect(() => new HidReportDecoder({})).toThrow(/sin botones/);
+    expect(() => new HidReportDecoder({ codeByte: 1, codes: {} })).toThrow(/sin botones/);
+  });
+});
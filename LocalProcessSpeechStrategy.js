@@ -0,0 +1,203 @@
+const { EventEmitter } = require('events');
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs-extra');
+const logger = require('../utils/logger');
+const ERROR_TYPES = require('../utils/error-types');
+const { performance } = require('perf_hooks');
+
+// Asumiendo clase base
+class SpeechRecognitionStrategy extends EventEmitter {
+  constructor() { super(); this.isInitialized = false; this.isListening = false; }
+  async initialize(options) { throw new Error('Method not implemented'); }
+  async startListening(options) { throw new Error('Method not implemented'); }
+  async stopListening() { throw new Error('Method not implemented'); }
+  cleanup() { throw new Error('Method not implemented'); }
+}
+
+/**
+ * Reconocimiento offline mediante un motor local (whisper.cpp, Vosk...) lanzado como proceso hijo.
+ * El motor (o un script envoltorio) debe escribir en stdout el mismo protocolo que el script de Windows:
+ *   FINAL: <texto de un segmento>   INTERIM: <hipótesis>   ERROR: <mensaje>   INFO: <log>
+ * y terminar al recibir 'q' por stdin (si no lo hace, se fuerza el cierre tras stopTimeout). Lo que escriba hasta
+ * terminar forma parte del dictado: 'dictationStopped' se emite al cerrarse el proceso con la transcripción completa.
+ * Los argumentos admiten el placeholder {{language}} (ej. 'es-ES') y {{lang}} (ej. 'es').
+ */
+class LocalProcessSpeechStrategy extends SpeechRecognitionStrategy {
+  constructor(options = {}) {
+    super();
+    this.logger = options.logger || logger;
+    this.language = options.language || 'es-ES';
+    this.command = options.command || null;
+    this.args = Array.isArray(options.args) ? options.args : [];
+    this.cwd = options.cwd || undefined;
+    this.env = options.env || {};
+    this.stopTimeout = options.stopTimeout || 3000; // ms antes de forzar kill
+    this.dictationProcess = null; this.resolvedCommand = null;
+    this.lastTranscription = ''; this.stdoutBuffer = ''; this.killTimer = null;
+    this.stopPromise = null; // Parada en curso (hasta que el proceso termina)
+    this.isListening = false; this.isInitialized = false;
+    this.metrics = { startTime: 0, stopTime: 0, totalDictationTime: 0, errors: 0, updatesReceived: 0 };
+  }
+
+  async initialize(options = {}) {
+    if (this.isInitialized) return true;
+    this.logger.info('Inicializando LocalProcessSpeechStrategy...');
+    this.language = options.language || this.language;
+    if (!this.command) {
+        this.emit('dictationNeedsUserSetup', "Configure el motor de voz local (preferencia 'localSpeechEngine': { command, args }).");
+        throw this._createError(ERROR_TYPES.SPEECH_INIT_ERROR, 'Motor de voz local no configurado.');
+    }
+    this.resolvedCommand = await this._resolveCommand(this.command);
+    if (!this.resolvedCommand) {
+        this.emit('dictationNeedsUserSetup', `No se encontró el ejecutable del motor de voz local: ${this.command}`);
+        throw this._createError(ERROR_TYPES.SPEECH_UNAVAILABLE, `Ejecutable no encontrado: ${this.command}`);
+    }
+    this.isInitialized = true; this.logger.info(`LocalProcessSpeechStrategy inicializado (${this.resolvedCommand}).`); return true;
+  }
+
+  // Ruta absoluta/relativa se comprueba tal cual; un nombre simple se busca en el PATH
+  async _resolveCommand(command) {
+    const isExecutable = async (file) => { try { await fs.access(file, fs.constants.X_OK); return (await fs.stat(file)).isFile(); } catch { return false; } };
+    if (command.includes(path.sep) || command.includes('/')) return await isExecutable(path.resolve(this.cwd || process.cwd(), command)) ? command : null;
+    for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+        const candidate = path.join(dir, command);
+        if (await isExecutable(candidate)) return candidate;
+    }
+    return null;
+  }
+
+  _buildArgs() {
+    const lang = this.language.split(/[-_]/)[0];
+    return this.args.map(arg => String(arg).replace(/\{\{\s*language\s*\}\}/g, this.language).replace(/\{\{\s*lang\s*\}\}/g, lang));
+  }
+
+  async startListening(options = {}) {
+    if (!this.isInitialized) throw new Error('LocalProcessSpeechStrategy no inicializado.');
+    if (this.isListening) { this.logger.warn('Dictado local ya activo.'); return false; }
+    if (this.stopPromise) await this.stopPromise; // No mezclar la salida final del dictado anterior con el nuevo
+    this.language = options.language || this.language;
+    const args = this._buildArgs();
+    this.logger.info(`Iniciando dictado local (Idioma: ${this.language}): ${this.resolvedCommand} ${args.join(' ')}`);
+    this.metrics.startTime = performance.now(); this.lastTranscription = ''; this.stdoutBuffer = '';
+
+    try {
+      this.dictationProcess = spawn(this.resolvedCommand, args, { cwd: this.cwd, env: { ...process.env, ...this.env }, stdio: ['pipe', 'pipe', 'pipe'] });
+      const proc = this.dictationProcess;
+
+      this.isListening = true; this.emit('dictationStarted');
+
+      // stdout puede partir líneas entre fragmentos: acumular hasta el salto de línea
+      proc.stdout.on('data', (data) => {
+          this.stdoutBuffer += data.toString();
+          const lines = this.stdoutBuffer.split(/\r?\n/); this.stdoutBuffer = lines.pop();
+          lines.forEach(line => this._processRecognizerOutput(line.trim()));
+      });
+      proc.stderr.on('data', (data) => {
+          const errorMsg = data.toString().trim();
+          if (errorMsg.startsWith('FATAL:')) {
+               this.logger.error(`Error FATAL motor local: ${errorMsg}`);
+               this.stopListening().catch(() => {});
+               this.emit('dictationError', this._createError(ERROR_TYPES.SPEECH_STRATEGY_ERROR, `Error fatal motor local: ${errorMsg}`));
+          } else if (errorMsg) {
+               this.logger.debug(`Stderr motor local: ${errorMsg}`); // whisper.cpp/Vosk escriben su log en stderr
+          }
+      });
+      proc.on('close', (code, signal) => {
+        clearTimeout(this.killTimer); this.killTimer = null;
+        if (this.stdoutBuffer.trim()) { this._processRecognizerOutput(this.stdoutBuffer.trim()); this.stdoutBuffer = ''; }
+        this.logger.info(`Motor de voz local terminado (código ${code}${signal ? `, señal ${signal}` : ''}).`);
+        if (this.isListening) { // Cierre inesperado
+             this.isListening = false; this.metrics.errors++;
+             const error = this._createError(ERROR_TYPES.SPEECH_RECOGNITION, `Motor de voz local terminó inesperadamente (código ${code})`, { exitCode: code });
+             this.emit('dictationError', error); this.emit('dictationStopped', this.lastTranscription);
+             this._calculateAndEmitMetricsOnError();
+        }
+        if (this.dictationProcess === proc) this.dictationProcess = null;
+      });
+      proc.on('error', (err) => {
+        this.logger.error(`Error al lanzar motor de voz local: ${err.message}`); this.isListening = false; this.metrics.errors++;
+        const error = this._createError(ERROR_TYPES.SPEECH_INIT_ERROR, `Fallo lanzando motor local: ${err.message}`, { nativeError: err });
+        this.emit('dictationError', error); if (this.dictationProcess === proc) this.dictationProcess = null; this._calculateAndEmitMetricsOnError();
+      });
+      return true;
+    } catch (error) {
+      this.logger.error('Excepción iniciando dictado local:', error); this.isListening = false; this.metrics.errors++;
+      const structErr = this._createError(ERROR_TYPES.SPEECH_INIT_ERROR, `Fallo lanzando motor local: ${error.message}`, { nativeError: error });
+      this.emit('dictationError', structErr); return false;
+    }
+  }
+
+  _processRecognizerOutput(line) {
+     if (!line) return;
+     if (!this.isListening && !this.stopPromise && !line.startsWith('INFO:')) { this.logger.debug(`Salida motor local tras la parada ignorada: ${line}`); return; }
+     try {
+        // A diferencia del script de Windows, el motor local emite un FINAL por segmento: se acumulan
+        if (line.startsWith('FINAL:')) { const text = line.substring(6).trim(); if (!text) return; this.lastTranscription = this.lastTranscription ? `${this.lastTranscription} ${text}` : text; this.metrics.updatesReceived++; this.emit('transcriptionUpdate', { original: text, processed: text, isFinal: true }); }
+        else if (line.startsWith('INTERIM:')) { const text = line.substring(8).trim(); this.metrics.updatesReceived++; this.emit('transcriptionUpdate', { original: text, processed: text, isFinal: false }); }
+        else if (line.startsWith('ERROR:')) { const errorMsg = line.substring(6).trim(); this.logger.error(`Error reconocimiento local: ${errorMsg}`); this.metrics.errors++; const error = this._createError(ERROR_TYPES.SPEECH_RECOGNITION, `Error reconocimiento: ${errorMsg}`); this.emit('dictationError', error); }
+        else if (line.startsWith('INFO:')) { this.logger.debug(`Info motor local: ${line.substring(5).trim()}`); }
+        else { this.logger.debug(`Salida motor local ignorada: ${line}`); }
+     } catch(e) { this.logger.error("Error procesando salida motor local:", e, "Linea:", line); }
+  }
+
+  async stopListening() {
+    if (this.stopPromise) return this.stopPromise;
+    if (!this.isListening || !this.dictationProcess) { this.logger.warn('Dictado local no activo.'); return this.lastTranscription; }
+    this.logger.info('Deteniendo dictado local...'); this.isListening = false;
+    const proc = this.dictationProcess;
+    this.stopPromise = (async () => {
+      try {
+        // Los motores tipo whisper.cpp escriben el último segmento al recibir 'q': la salida se acepta hasta 'close'
+        const closed = new Promise(resolve => {
+          if (proc.exitCode !== null || proc.signalCode !== null) return resolve();
+          const fallback = setTimeout(() => { this.logger.warn("El motor local no terminó ni tras forzar el cierre."); resolve(); }, this.stopTimeout * 2);
+          proc.once('close', () => { clearTimeout(fallback); resolve(); });
+        });
+        this._terminateProcess(proc);
+        await closed;
+        if (this.metrics.startTime > 0) { this.metrics.stopTime = performance.now(); this.metrics.totalDictationTime += (this.metrics.stopTime - this.metrics.startTime) / 1000; this.emit('metrics', { ...this.metrics }); this.metrics.startTime = 0; }
+        this.emit('dictationStopped', this.lastTranscription);
+        return this.lastTranscription;
+      } catch (error) {
+        this.logger.error('Error deteniendo motor local:', error);
+        try { proc.kill(); } catch {}
+        if (this.dictationProcess === proc) this.dictationProcess = null;
+        const structErr = this._createError(ERROR_TYPES.SPEECH_RECOGNITION, `Fallo detener proceso: ${error.message}`, { nativeError: error });
+        this.emit('dictationError', structErr); this.emit('dictationStopped', this.lastTranscription); return this.lastTranscription;
+      } finally {
+        this.stopPromise = null;
+      }
+    })();
+    return this.stopPromise;
+  }
+
+  // Parada limpia con 'q' por stdin; si el motor no termina a tiempo, SIGTERM
+  _terminateProcess(proc) {
+    if (!proc) return;
+    if (proc.stdin?.writable) { proc.stdin.write("q\n"); proc.stdin.end(); this.logger.debug("Señal 'q' enviada al motor local."); }
+    clearTimeout(this.killTimer);
+    this.killTimer = setTimeout(() => {
+        if (proc.exitCode === null && proc.signalCode === null) { this.logger.warn('El motor local no terminó tras la señal de parada, forzando cierre (kill)...'); try { proc.kill(); } catch {} }
+    }, this.stopTimeout);
+  }
+
+  _calculateAndEmitMetricsOnError() {
+      if (this.metrics.startTime > 0) { this.metrics.stopTime = performance.now(); this.metrics.totalDictationTime += (this.metrics.stopTime - this.metrics.startTime) / 1000; this.emit('metrics', { ...this.metrics }); this.metrics.startTime = 0; }
+  }
+
+  cleanup() {
+    this.logger.info('Limpiando LocalProcessSpeechStrategy...');
+    if (this.dictationProcess) { this.logger.debug('Deteniendo motor local en cleanup...'); this._terminateProcess(this.dictationProcess); this.dictationProcess = null; }
+    this.removeAllListeners(); this.isInitialized = false; this.isListening = false;
+    this.logger.info('LocalProcessSpeechStrategy limpiado.');
+  }
+
+   _createError(type, message, details = {}) {
+      const error = new Error(message); error.type = type || ERROR_TYPES.SPEECH_STRATEGY_ERROR; error.timestamp = Date.now(); error.id = `${error.type}_${Date.now()}`; error.critical = details.critical === true; error.details = details.details || {};
+      if(details.nativeError) { error.details.nativeError = details.nativeError; if (!error.stack && details.nativeError instanceof Error) error.stack = details.nativeError.stack; }
+      if(details.exitCode !== undefined) error.details.exitCode = details.exitCode; return error;
+   }
+}
+
+module.exports = LocalProcessSpeechStrategy;
@@ -0,0 +1,216 @@
+const logger = require('../utils/logger');
+
+// Medidas dictadas en palabras -> cifras y unidades normalizadas:
+//   "tres coma dos por uno coma cinco centímetros" -> "3,2 x 1,5 cm",  "ciento veinte unidades Hounsfield" -> "120 UH"
+// Solo se tocan medidas (número + unidad, dimensiones "A por B" o decimales): "una lesión" o "dos nódulos" quedan igual.
+// Se aplica antes de los comandos de puntuación para que la "coma" decimal no se convierta en ','.
+
+const DECIMAL_SEPARATORS = Object.freeze([',', '.']);
+const UNIT_STYLES = Object.freeze(['abbreviated', 'full']); // "3 cm" | "3 centímetros"
+const DEFAULT_FORMAT = Object.freeze({ enabled: true, decimalSeparator: ',', unitStyle: 'abbreviated' });
+
+const SMALL_NUMBERS = {
+  cero: 0, un: 1, uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9,
+  diez: 10, once: 11, doce: 12, trece: 13, catorce: 14, quince: 15, dieciseis: 16, diecisiete: 17, dieciocho: 18, diecinueve: 19,
+  veinte: 20, veintiun: 21, veintiuno: 21, veintiuna: 21, veintidos: 22, veintitres: 23, veinticuatro: 24, veinticinco: 25,
+  veintiseis: 26, veintisiete: 27, veintiocho: 28, veintinueve: 29,
+};
+const TENS = { treinta: 30, cuarenta: 40, cincuenta: 50, sesenta: 60, setenta: 70, ochenta: 80, noventa: 90 };
+const HUNDREDS = {
+  ciento: 100, doscientos: 200, doscientas: 200, trescientos: 300, trescientas: 300, cuatrocientos: 400, cuatrocientas: 400,
+  quinientos: 500, quinientas: 500, seiscientos: 600, seiscientas: 600, setecientos: 700, setecientas: 700,
+  ochocientos: 800, ochocientas: 800, novecientos: 900, novecientas: 900,
+};
+
+// Unidades: formas dictadas (sin tildes) -> abreviatura y nombre completo. attached: sin espacio tras la cifra ("30°", "5%")
+const UNITS = [
+  { phrases: ['milimetros de mercurio', 'milimetro de mercurio', 'mmhg'], abbreviation: 'mmHg', singular: 'milímetro de mercurio', plural: 'milímetros de mercurio' },
+  { phrases: ['centimetros por segundo', 'centimetro por segundo', 'cm/s'], abbreviation: 'cm/s', singular: 'centímetro por segundo', plural: 'centímetros por segundo' },
+  { phrases: ['centimetros cubicos', 'centimetro cubico', 'cc', 'cm3'], abbreviation: 'cm³', singular: 'centímetro cúbico', plural: 'centímetros cúbicos' },
+  { phrases: ['centimetros cuadrados', 'centimetro cuadrado', 'cm2'], abbreviation: 'cm²', singular: 'centímetro cuadrado', plural: 'centímetros cuadrados' },
+  { phrases: ['milimetros cuadrados', 'milimetro cuadrado', 'mm2'], abbreviation: 'mm²', singular: 'milímetro cuadrado', plural: 'milímetros cuadrados' },
+  { phrases: ['milimetros', 'milimetro', 'mm'], abbreviation: 'mm', singular: 'milímetro', plural: 'milímetros' },
+  { phrases: ['centimetros', 'centimetro', 'cm'], abbreviation: 'cm', singular: 'centímetro', plural: 'centímetros' },
+  { phrases: ['mililitros', 'mililitro', 'ml'], abbreviation: 'ml', singular: 'mililitro', plural: 'mililitros' },
+  { phrases: ['unidades hounsfield', 'unidad hounsfield', 'hounsfield', 'uh'], abbreviation: 'UH', singular: 'unidad Hounsfield', plural: 'unidades Hounsfield' },
+  { phrases: ['por ciento'], abbreviation: '%', singular: 'por ciento', plural: 'por ciento', attached: true },
+  { phrases: ['grados', 'grado'], abbreviation: '°', singular: 'grado', plural: 'grados', attached: true },
+].map(unit => ({ ...unit, phrases: unit.phrases.map(p => p.split(' ')) }));
+const UNIT_PHRASES = UNITS.flatMap(unit => unit.phrases.map(words => ({ unit, words }))).sort((a, b) => b.words.length - a.words.length);
+
+const DIMENSION_WORDS = new Set(['por', 'x']);
+const NUMERIC_TOKEN = /^\d+(?:[.,]\d+)?$/;
+
+// Minúsculas, sin tildes y sin puntuación en los extremos (como en DictationCommandProcessor)
+const normalizeWord = (word) => word.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+const leadingPunctuation = (word) => word.match(/^[^\p{L}\p{N}]*/u)[0];
+const trailingPunctuation = (word) => word.match(/[^\p{L}\p{N}]*$/u)[0];
+
+/**
+ * Normaliza números y medidas dictados en español (transcripción -> normalizador -> comandos de puntuación -> términos).
+ */
+class MeasurementNormalizer {
+  constructor(options = {}) {
+    this.logger = options.logger || logger;
+    this.defaultLanguage = options.language || 'es-ES';
+  }
+
+  /**
+   * @param {string} text - Transcripción en bruto.
+   * @param {string} [language] - Código de idioma; por ahora solo español ('es-*'), el resto se devuelve igual.
+   * @param {object} [format] - Preferencia 'measurementFormat': { enabled, decimalSeparator: ','|'.', unitStyle: 'abbreviated'|'full' }.
+   * @returns {{ text: string, measurements: Array<{ original: string, normalized: string }> }}
+   */
+  process(text, language = this.defaultLanguage, format = {}) {
+    const options = this._resolveFormat(format);
+    const lang = (language || this.defaultLanguage).toLowerCase().split(/[-_]/)[0];
+    if (!text || !options.enabled || lang !== 'es') return { text: text || '', measurements: [] };
+
+    const parts = text.split(/(\s+)/); // Palabras en posiciones pares, separadores (se conservan) en impares
+    const measurements = []; const output = [];
+    for (const run of this._splitRuns(parts)) {
+      for (let i = 0; i < run.length;) {
+        if (run[i].norm === 'literal') { output.push(...run.slice(i, i + 2).map(t => t.word)); i += 2; continue; } // "literal tres": lo resuelve DictationCommandProcessor
+        const measurement = this._readMeasurement(run, i, options);
+        if (!measurement) { output.push(run[i].word); i++; continue; }
+        const original = run.slice(i, measurement.next).map(t => t.word).join(' ');
+        const normalized = leadingPunctuation(run[i].word) + measurement.text + trailingPunctuation(run[measurement.next - 1].word);
+        output.push(normalized, ...new Array(measurement.next - i - 1).fill(null)); // null = palabra absorbida por la medida
+        if (normalized !== original) measurements.push({ original, normalized });
+        i = measurement.next;
+      }
+    }
+
+    if (measurements.length === 0) return { text, measurements };
+    // Reconstruir: las palabras absorbidas desaparecen junto con el separador que las precede
+    let result = ''; let w = 0;
+    for (let i = 0; i < parts.length; i += 2, w++) {
+      if (output[w] === null) continue;
+      if (i > 0) result += parts[i - 1];
+      result += output[w] ?? '';
+    }
+    this.logger.debug(`Medidas normalizadas: ${measurements.map(m => `'${m.original}' -> '${m.normalized}'`).join(', ')}`);
+    return { text: result, measurements };
+  }
+
+  _resolveFormat(format) {
+    const merged = { ...DEFAULT_FORMAT, ...(format && typeof format === 'object' ? format : {}) };
+    if (!DECIMAL_SEPARATORS.includes(merged.decimalSeparator)) merged.decimalSeparator = DEFAULT_FORMAT.decimalSeparator;
+    if (!UNIT_STYLES.includes(merged.unitStyle)) merged.unitStyle = DEFAULT_FORMAT.unitStyle;
+    merged.enabled = merged.enabled !== false;
+    return merged;
+  }
+
+  // Tramos de palabras sin puntuación ni saltos de línea entre ellas: una medida nunca cruza ',', '.', '(' ...
+  _splitRuns(parts) {
+    const runs = []; let run = [];
+    for (let i = 0; i < parts.length; i += 2) {
+      const word = parts[i];
+      if (run.length > 0 && (trailingPunctuation(parts[i - 2]) || leadingPunctuation(word) || parts[i - 1].includes('\n'))) { runs.push(run); run = []; }
+      run.push({ word, norm: normalizeWord(word) });
+    }
+    if (run.length > 0) runs.push(run);
+    return runs;
+  }
+
+  // valor [unidad] ('por' valor [unidad])*  -> null si no es una medida
+  _readMeasurement(run, i, options) {
+    const values = []; let k = i;
+    let value = this._readValue(run, k, options);
+    if (!value) return null;
+    while (value) {
+      const unit = this._readUnit(run, value.next);
+      values.push({ ...value, unit: unit?.unit || null });
+      k = unit ? unit.next : value.next;
+      value = DIMENSION_WORDS.has(run[k]?.norm) ? this._readValue(run, k + 1, options) : null;
+    }
+    const isMeasurement = values.length > 1 || values.some(v => v.unit) || values.some(v => v.decimal && v.fromWords);
+    if (!isMeasurement) return null;
+    return { text: this._formatMeasurement(values, options), next: k };
+  }
+
+  // Número en cifras ("3", "3.2") o en palabras, con signo ("menos") y parte decimal ("coma cinco") opcionales
+  _readValue(run, k, options) {
+    let negative = false;
+    if (run[k]?.norm === 'menos' && run[k + 1]) { negative = true; k++; }
+    const integer = this._readInteger(run, k);
+    if (!integer) return null;
+    let { digits, next, fromWords } = integer; let fraction = integer.fraction || '';
+    if (!fraction && run[next]?.norm === 'coma') {
+      const decimals = this._readDecimals(run, next + 1);
+      if (decimals) { fraction = decimals.digits; next = decimals.next; fromWords = fromWords || decimals.fromWords; }
+    }
+    const text = (negative ? '-' : '') + digits + (fraction ? options.decimalSeparator + fraction : '');
+    return { text, next, fromWords, decimal: !!fraction, singular: !fraction && digits === '1' };
+  }
+
+  _readInteger(run, k) {
+    const token = run[k]?.norm;
+    if (!token) return null;
+    if (NUMERIC_TOKEN.test(token)) { const [digits, fraction] = token.split(/[.,]/); return { digits, fraction, next: k + 1, fromWords: false }; }
+    const parsed = this._parseNumberWords(run.map(t => t.norm), k);
+    return parsed ? { digits: String(parsed.value), next: parsed.next, fromWords: true } : null;
+  }
+
+  // Decimales tal como se dictan: "coma cero cinco" -> "05", "coma veinticinco" -> "25"
+  _readDecimals(run, k) {
+    if (/^\d+$/.test(run[k]?.norm || '')) return { digits: run[k].norm, next: k + 1, fromWords: false };
+    let zeros = ''; let next = k;
+    while (run[next]?.norm === 'cero') { zeros += '0'; next++; }
+    const parsed = this._parseNumberWords(run.map(t => t.norm), next);
+    if (parsed) return { digits: zeros + parsed.value, next: parsed.next, fromWords: true };
+    return zeros ? { digits: zeros, next, fromWords: true } : null;
+  }
+
+  // Entero en palabras hasta 999.999: [<0-999>] mil [<0-999>]
+  _parseNumberWords(tokens, k) {
+    const head = this._parseBelowThousand(tokens, k);
+    if (tokens[head ? head.next : k] !== 'mil') return head;
+    if (head && head.value === 0) return head;
+    const thousands = (head ? head.value : 1) * 1000; const afterMil = (head ? head.next : k) + 1;
+    const tail = this._parseBelowThousand(tokens, afterMil);
+    return tail && tail.value > 0 ? { value: thousands + tail.value, next: tail.next } : { value: thousands, next: afterMil };
+  }
+
+  _parseBelowThousand(tokens, k) {
+    if (tokens[k] === 'cien') return { value: 100, next: k + 1 };
+    if (tokens[k] in HUNDREDS) {
+      const rest = this._parseBelowHundred(tokens, k + 1);
+      return rest && rest.value > 0 ? { value: HUNDREDS[tokens[k]] + rest.value, next: rest.next } : { value: HUNDREDS[tokens[k]], next: k + 1 };
+    }
+    return this._parseBelowHundred(tokens, k);
+  }
+
+  _parseBelowHundred(tokens, k) {
+    const token = tokens[k];
+    if (token in SMALL_NUMBERS) return { value: SMALL_NUMBERS[token], next: k + 1 };
+    if (!(token in TENS)) return null;
+    const unit = tokens[k + 1] === 'y' ? SMALL_NUMBERS[tokens[k + 2]] : undefined; // "treinta y dos"
+    return unit >= 1 && unit <= 9 ? { value: TENS[token] + unit, next: k + 3 } : { value: TENS[token], next: k + 1 };
+  }
+
+  _readUnit(run, k) {
+    for (const { unit, words } of UNIT_PHRASES) {
+      if (words.every((word, j) => run[k + j]?.norm === word)) return { unit, next: k + words.length };
+    }
+    return null;
+  }
+
+  // "3,2 x 1,5 cm": si todas las dimensiones comparten unidad (o solo la lleva la última) se escribe una vez al final
+  _formatMeasurement(values, options) {
+    const withUnit = (text, unit, singular) => {
+      if (!unit) return text;
+      if (options.unitStyle === 'full') return `${text} ${singular ? unit.singular : unit.plural}`;
+      return unit.attached ? `${text}${unit.abbreviation}` : `${text} ${unit.abbreviation}`;
+    };
+    const units = values.map(v => v.unit);
+    const lastUnit = units[units.length - 1];
+    const shared = lastUnit && units.every((u, i) => u === lastUnit || (!u && i < units.length - 1));
+    if (values.length > 1 && shared) return withUnit(values.map(v => v.text).join(' x '), lastUnit, false);
+    return values.map(v => withUnit(v.text, v.unit, v.singular)).join(' x ');
+  }
+}
+
+module.exports = MeasurementNormalizer;
+module.exports.DECIMAL_SEPARATORS = DECIMAL_SEPARATORS;
+module.exports.UNIT_STYLES = UNIT_STYLES;
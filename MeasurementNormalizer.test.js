@@ -0,0 +1,54 @@
+// tests/MeasurementNormalizer.test.js
+jest.mock('../utils/logger', () => require('./test-utils').mockLogger);
+
+const MeasurementNormalizer = require('../services/MeasurementNormalizer');
+const { mockLogger } = require('./test-utils');
+
+describe('MeasurementNormalizer', () => {
+  let normalizer;
+
+  beforeEach(() => { normalizer = new MeasurementNormalizer({ logger: mockLogger }); });
+
+  test('dimensiones con decimales dictados y unidad compartida', () => {
+    const result = normalizer.process('nódulo de tres coma dos por uno coma cinco centímetros en el segmento');
+    expect(result.text).toBe('nódulo de 3,2 x 1,5 cm en el segmento');
+    expect(result.measurements).toEqual([{ original: 'tres coma dos por uno coma cinco centímetros', normalized: '3,2 x 1,5 cm' }]);
+  });
+
+  test('números compuestos y unidades de varias palabras', () => {
+    expect(normalizer.process('densidad de ciento veinte unidades Hounsfield').text).toBe('densidad de 120 UH');
+    expect(normalizer.process('mide treinta y dos milímetros').text).toBe('mide 32 mm');
+    expect(normalizer.process('volumen de dos mil quinientos mililitros').text).toBe('volumen de 2500 ml');
+    expect(normalizer.process('angulación de treinta grados').text).toBe('angulación de 30°');
+  });
+
+  test('decimales con ceros iniciales y valores negativos', () => {
+    expect(normalizer.process('grosor de cero coma cero cinco centímetros').text).toBe('grosor de 0,05 cm');
+    expect(normalizer.process('atenuación de menos diez unidades Hounsfield').text).toBe('atenuación de -10 UH');
+  });
+
+  test('no toca números que no son medidas', () => {
+    const text = 'una lesión y dos nódulos en el lóbulo superior';
+    expect(normalizer.process(text)).toEqual({ text, measurements: [] });
+  });
+
+  test('la puntuación corta la medida y se conserva', () => {
+    expect(normalizer.process('lesión de tres centímetros, otra de dos.').text).toBe('lesión de 3 cm, otra de dos.');
+    expect(normalizer.process('quiste (cinco milímetros).').text).toBe('quiste (5 mm).');
+  });
+
+  test('"literal" deja el número tal cual para DictationCommandProcessor', () => {
+    expect(normalizer.process('literal tres centímetros').text).toBe('literal tres centímetros');
+  });
+
+  test('respeta el separador decimal y el estilo de unidad de la preferencia', () => {
+    expect(normalizer.process('tres coma dos centímetros', 'es-ES', { decimalSeparator: '.' }).text).toBe('3.2 cm');
+    expect(normalizer.process('un centímetro', 'es-ES', { unitStyle: 'full' }).text).toBe('1 centímetro');
+    expect(normalizer.process('dos por tres centímetros', 'es-ES', { unitStyle: 'full' }).text).toBe('2 x 3 centímetros');
+  });
+
+  test('desactivado o en otro idioma devuelve el texto igual', () => {
+    expect(normalizer.process('tres centímetros', 'es-ES', { enabled: false }).text).toBe('tres centímetros');
+    expect(normalizer.process('three centimeters', 'en-US').text).toBe('three centimeters');
+  });
+});
@@ -2,6 +2,44 @@ const { EventEmitter } = require('events');
 const logger = require('../utils/logger');
 const os = require('os'); // Para _checkMemoryUsage
 const { performance } = require('perf_hooks'); // Para medir tiempo
+const path = require('path');
+const fs = require('fs-extra');
+const { spanishPhoneticKey } = require('../utils/spanish-phonetics');
+const { diffWords } = require('../utils/text-diff');
+
+// Palabra = letras/dígitos, admitiendo guiones o apóstrofos internos ("T2", "hipo-ecoico")
+const WORD_REGEX = /[\p{L}\p{N}]+(?:['-][\p{L}\p{N}]+)*/gu;
+
+// Paquetes de diccionario incluidos con la aplicación: term-pack-<id>.json
+const DEFAULT_PACKS_DIR = path.join(__dirname, '..', 'term-packs');
+const PACK_FILE_REGEX = /^term-pack-.+\.json$/i;
+
+// Compara versiones 'x.y.z' numéricamente (-1, 0, 1)
+const compareVersions = (a, b) => {
+  const pa = String(a).split('.').map(n => parseInt(n, 10) || 0); const pb = String(b).split('.').map(n => parseInt(n, 10) || 0);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) { const diff = (pa[i] || 0) - (pb[i] || 0); if (diff !== 0) return Math.sign(diff); }
+  return 0;
+};
+
+const stripAccents = (text) => text.normalize('NFD').replace(/\p{M}/gu, '');
+
+// ¿'word' es una flexión de 'base' (plural -s/-es o cambio de género -o/-a)? Palabra a palabra, sin tildes.
+// Solo se distinguen por la tilde ("consolidacion"/"consolidación") no es flexión: eso sí se corrige.
+const isInflectionOf = (word, base) => {
+  const wordParts = stripAccents(word).split(' '); const baseParts = stripAccents(base).split(' ');
+  if (wordParts.length !== baseParts.length) return false;
+  let inflected = false;
+  for (let i = 0; i < wordParts.length; i++) {
+    const a = wordParts[i]; const b = baseParts[i];
+    if (a === b) continue;
+    const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+    const isNumber = long === `${short}s` || long === `${short}es`; // nódulo/nódulos, consolidación/consolidaciones
+    const isGender = /[oa]s?$/.test(a) && /[oa]s?$/.test(b) && a.replace(/[oa]s?$/, '') === b.replace(/[oa]s?$/, ''); // hipoecoico/hipoecoicas
+    if (!isNumber && !isGender) return false;
+    inflected = true;
+  }
+  return inflected;
+};
 
 class MedicalTermReplacementService extends EventEmitter {
   constructor(dbManager, options = {}) { // Aceptar opciones
@@ -9,6 +47,7 @@ class MedicalTermReplacementService extends EventEmitter {
     if (!dbManager) throw new Error("MedicalTermReplacementService requiere dbManager.");
     this.dbManager = dbManager;
     this.logger = options.logger || logger;
+    this.packsDir = options.packsDir || DEFAULT_PACKS_DIR;
 
     // Configuración de caché y rendimiento
     this.cacheLimit = options.cacheLimit || 1000;
@@ -32,6 +71,12 @@ class MedicalTermReplacementService extends EventEmitter {
     this.termIndexByLength = {};
     this.termIndexByFirstChar = {};
     this.frequentTermsCache = {}; // Map de { lower_heard_term: termObject }
+    this.termIndexByExact = {}; // Map de { lower_heard_term|lower_variant: [termObject] }
+    this.correctTermSet = new Set(); // correct_term en minúsculas (palabras que no deben corregirse)
+    this.termIndexByPhonetic = {}; // Map de { phonetic_key: [termObject] } (heard_term y variantes)
+    this.termWordCounts = new WeakMap(); // termObject -> nº de palabras de heard_term
+    this.termRejectedForms = new WeakMap(); // termObject -> Set de formas dictadas rechazadas por el usuario (rejected_forms)
+    this.maxTermWords = 1; // Máximo de palabras en heard_term/variantes (longitud máxima de n-grama)
 
     // Batch de actualizaciones de frecuencia
     this.frequencyUpdateBatch = {}; // Map de { termId: incrementCount }
@@ -97,8 +142,26 @@ class MedicalTermReplacementService extends EventEmitter {
   _rebuildTermIndices() {
     const startTime = performance.now();
     this.termIndexByLength = {}; this.termIndexByFirstChar = {}; this.frequentTermsCache = {};
+    this.termIndexByExact = {}; this.correctTermSet = new Set(); this.termIndexByPhonetic = {};
+    this.termWordCounts = new WeakMap(); this.termRejectedForms = new WeakMap(); this.maxTermWords = 1;
     for (const term of this.cachedTerms) {
       const heardTermLower = term.heard_term.toLowerCase();
+      this.termWordCounts.set(term, this._normalizePhrase(heardTermLower).split(' ').length);
+      const rejectedForms = this._parseJsonArray(term.rejected_forms);
+      if (rejectedForms.length > 0) this.termRejectedForms.set(term, new Set(rejectedForms.map(f => this._normalizePhrase(String(f).toLowerCase()))));
+      for (const key of [heardTermLower, ...this._parseJsonArray(term.variants).map(v => String(v).toLowerCase())].map(k => this._normalizePhrase(k))) {
+          if (!key) continue;
+          this.maxTermWords = Math.max(this.maxTermWords, key.split(' ').length);
+          if (!this.termIndexByExact[key]) this.termIndexByExact[key] = [];
+          if (!this.termIndexByExact[key].includes(term)) this.termIndexByExact[key].push(term);
+      }
+      if (term.correct_term) this.correctTermSet.add(this._normalizePhrase(term.correct_term.toLowerCase()));
+      const phoneticKeys = new Set([term.phonetic_key || spanishPhoneticKey(heardTermLower), ...this._parseJsonArray(term.variants).map(v => spanishPhoneticKey(String(v)))]);
+      for (const key of phoneticKeys) {
+          if (!key) continue;
+          if (!this.termIndexByPhonetic[key]) this.termIndexByPhonetic[key] = [];
+          this.termIndexByPhonetic[key].push(term);
+      }
       const termLength = heardTermLower.length;
       if (!this.termIndexByLength[termLength]) this.termIndexByLength[termLength] = [];
       this.termIndexByLength[termLength].push(term);
@@ -153,8 +216,9 @@ class MedicalTermReplacementService extends EventEmitter {
       let processedText = ''; const allReplacements = []; let currentOffset = 0;
       for (const sentence of sentences) {
         const { text: processedSentence, replacements: sentenceReplacements } = await this._processSentence(sentence, specialty, modality);
+        const processedOffset = processedText.length;
         processedText += processedSentence;
-        sentenceReplacements.forEach(rep => { if (rep.textIndices) { rep.textIndices.start += currentOffset; rep.textIndices.end += currentOffset; } rep.originalFullTextOffset = currentOffset; });
+        sentenceReplacements.forEach(rep => { if (rep.textIndices) { rep.textIndices.start += currentOffset; rep.textIndices.end += currentOffset; } if (rep.processedIndices) { rep.processedIndices.start += processedOffset; rep.processedIndices.end += processedOffset; } rep.originalFullTextOffset = currentOffset; });
         allReplacements.push(...sentenceReplacements);
         currentOffset += sentence.length; // Incrementar offset por longitud ORIGINAL
       }
@@ -172,29 +236,466 @@ class MedicalTermReplacementService extends EventEmitter {
      try {
          const { specialty = null, modality = null, variants = [], contextWords = [] } = options;
          const termId = await this.dbManager.addOrUpdateMedicalTerm(heardTerm, correctTerm, specialty, modality, variants, contextWords);
-         await this.refreshCache(); // Forzar refresco para que esté disponible
+         // Disponible de inmediato aunque la caché sea reciente (refreshCache no recarga antes de cacheUpdateInterval)
+         const term = this.dbManager.findExactTerm ? await this.dbManager.findExactTerm(heardTerm) : null;
+         const heardForm = this._normalizePhrase(heardTerm.toLowerCase());
+         const rejectedForms = this._parseJsonArray(term?.rejected_forms);
+         if (rejectedForms.includes(heardForm) && this.dbManager.setMedicalTermRejectedForms) { // Enseñado de nuevo: deja de estar rechazado
+             term.rejected_forms = JSON.stringify(rejectedForms.filter(f => f !== heardForm));
+             await this.dbManager.setMedicalTermRejectedForms(term.id, JSON.parse(term.rejected_forms));
+         }
+         if (term) this._addTermToCache(term); else await this.refreshCache();
          return termId;
      } catch(error) { this.logger.error("Error añadiendo/actualizando término:", error); return null; }
   }
 
-   async getSuggestions(partialTerm, options = {}) { /* ... (implementación igual que antes) ... */ }
-   undoLastReplacement(text) { /* ... (implementación igual que antes) ... */ }
-   clearCache() { /* ... (implementación igual que antes) ... */ }
-   async cleanup() { /* ... (implementación igual que antes) ... */ }
+   /**
+    * Sugerencias de términos para autocompletado: prefijo sobre término oído/correcto y, si faltan, fuzzy y BD.
+    * @returns {Promise<Array<{termId: number, term: string, heardTerm: string, frequency: number, matchType: string}>>}
+    */
+   async getSuggestions(partialTerm, options = {}) {
+     const { specialty = null, modality = null, limit = 5 } = options;
+     const partial = (partialTerm || '').toLowerCase().trim();
+     if (!partial) return [];
+     try {
+       await this.refreshCache();
+       const suggestions = new Map(); // correct_term (minúsculas) -> sugerencia
+       const add = (term, matchType) => {
+         const key = term.correct_term.toLowerCase();
+         if (!suggestions.has(key)) suggestions.set(key, { termId: term.id, term: term.correct_term, heardTerm: term.heard_term, frequency: term.frequency || 0, matchType });
+       };
+       const candidates = this.cachedTerms.filter(term => this._matchesFilters(term, specialty, modality));
+       // 1. Prefijo sobre el término correcto, luego sobre el oído (más frecuentes primero)
+       const byFrequency = [...candidates].sort((a, b) => (b.frequency || 0) - (a.frequency || 0));
+       byFrequency.filter(t => t.correct_term.toLowerCase().startsWith(partial)).forEach(t => add(t, 'prefix'));
+       byFrequency.filter(t => t.heard_term.toLowerCase().startsWith(partial)).forEach(t => add(t, 'prefix'));
+       // 2. Fuzzy sobre el prefijo de igual longitud (tolera errores al teclear/dictar)
+       if (suggestions.size < limit && partial.length >= 3) {
+         const maxDistance = this._maxDistanceFor(partial);
+         byFrequency
+           .map(t => ({ t, distance: this._levenshteinDistance(partial, t.correct_term.toLowerCase().slice(0, partial.length), maxDistance) }))
+           .filter(({ distance }) => distance <= maxDistance)
+           .sort((a, b) => a.distance - b.distance)
+           .forEach(({ t }) => add(t, 'fuzzy'));
+       }
+       // 3. Términos fuera de caché
+       if (suggestions.size < limit && this.dbManager?.findSimilarTerms) {
+         const dbTerms = await this.dbManager.findSimilarTerms(partial, specialty, modality, limit);
+         (dbTerms || []).forEach(t => add(t, 'prefix'));
+       }
+       if (suggestions.size < limit && partial.length >= 4 && this.dbManager?.findTermsByPhoneticKey) {
+         const dbTerms = await this.dbManager.findTermsByPhoneticKey(spanishPhoneticKey(partial), specialty, modality, limit);
+         (dbTerms || []).forEach(t => add(t, 'phonetic'));
+       }
+       return [...suggestions.values()].slice(0, limit);
+     } catch (error) { this.logger.error('Error obteniendo sugerencias:', error); return []; }
+   }
+
+   /**
+    * Propone pares 'oído -> correcto' a partir de la corrección manual de un texto dictado (diff por palabras).
+    * Solo sustituciones (no inserciones/borrados puros) de hasta maxWords palabras, parecidas a lo dictado
+    * (Levenshtein relativo <= maxDistanceRatio o misma clave fonética) y que no estén ya aprendidas.
+    * @returns {Array<{heard: string, correct: string, distance: number}>}
+    */
+   proposeCorrections(originalText, editedText, options = {}) {
+     const { maxWords = 4, maxDistanceRatio = 0.5 } = options;
+     if (!originalText || !editedText || originalText === editedText) return [];
+     const trimEdges = (text) => text.trim().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+     const proposals = new Map();
+     let deleted = ''; let inserted = '';
+     const flush = () => {
+       const heard = this._normalizePhrase(trimEdges(deleted)).toLowerCase(); let correct = trimEdges(inserted).replace(/\s+/g, ' ');
+      if (/^\p{Lu}/u.test(trimEdges(deleted)) && /^\p{Lu}\p{Ll}/u.test(correct)) correct = correct[0].toLowerCase() + correct.slice(1); // Mayúscula de inicio de frase (_matchCase la restaura)
+       deleted = ''; inserted = '';
+       if (!heard || !correct || heard === correct.toLowerCase() || /^[\d\s.,]+$/.test(correct)) return;
+       if (heard.split(' ').length > maxWords || correct.split(' ').length > maxWords) return;
+       const distance = this._levenshteinDistance(heard, correct.toLowerCase());
+       const similar = distance / Math.max(heard.length, correct.length) <= maxDistanceRatio || spanishPhoneticKey(heard) === spanishPhoneticKey(correct);
+       if (!similar) return; // Reescritura de contenido, no un error de reconocimiento
+       if ((this.termIndexByExact[heard] || []).some(term => term.correct_term.toLowerCase() === correct.toLowerCase())) return; // Ya aprendido
+       if (!proposals.has(`${heard}\u0000${correct}`)) proposals.set(`${heard}\u0000${correct}`, { heard, correct, distance });
+     };
+     for (const op of diffWords(originalText, editedText).ops) {
+       if (op.type === 'equal') { flush(); continue; }
+       if (op.type === 'delete') deleted += op.text; else inserted += op.text;
+     }
+     flush();
+     return [...proposals.values()];
+   }
+
+   /**
+    * Revierte el último reemplazo registrado sobre 'text' (última aparición del texto reemplazado).
+    * @returns {{ text: string, replacement: object|null }}
+    */
+   undoLastReplacement(text) {
+     const last = this.replacementHistory[this.replacementHistory.length - 1];
+     if (!last) return { text, replacement: null };
+     const index = typeof text === 'string' ? text.lastIndexOf(last.replacement) : -1;
+     if (typeof text === 'string' && index === -1) { this.logger.warn(`No se encontró '${last.replacement}' para deshacer el reemplazo.`); return { text, replacement: null }; }
+     this.replacementHistory.pop();
+     if (last.termId && this.frequencyUpdateBatch[last.termId] > 0) { // Aún no persistido: descontarlo
+       this.frequencyUpdateBatch[last.termId]--;
+       if (this.frequencyUpdateBatch[last.termId] === 0) delete this.frequencyUpdateBatch[last.termId];
+     }
+     if (typeof text !== 'string') return { text, replacement: last };
+     return { text: text.slice(0, index) + last.original + text.slice(index + last.replacement.length), replacement: last };
+   }
+
+  // --- Paquetes de diccionario por especialidad ---
+
+  /**
+   * Paquetes disponibles (archivos en packsDir) con su estado de instalación.
+   * También incluye los instalados cuyo archivo ya no existe (solo pueden desinstalarse).
+   * @returns {Promise<Array<{id: string, name: string, specialty: string|null, version: string|null, description: string|null, termCount: number, installedVersion: string|null, updateAvailable: boolean}>>}
+   */
+  async listAvailablePacks() {
+    const installed = new Map((await this.dbManager.getInstalledTermPacks()).map(pack => [pack.packId, pack]));
+    const packs = (await this._readPackFiles()).map(pack => {
+      const current = installed.get(pack.id);
+      installed.delete(pack.id);
+      return { id: pack.id, name: pack.name, specialty: pack.specialty || null, version: pack.version, description: pack.description || null, termCount: pack.terms.length,
+               installedVersion: current?.version || null, updateAvailable: !!current && compareVersions(pack.version, current.version) > 0 };
+    });
+    for (const orphan of installed.values()) {
+      packs.push({ id: orphan.packId, name: orphan.name, specialty: orphan.specialty, version: null, description: orphan.description, termCount: orphan.termCount, installedVersion: orphan.version, updateAvailable: false });
+    }
+    return packs;
+  }
+
+  async installPack(packId) {
+    const pack = await this._loadPack(packId);
+    const installed = await this.dbManager.getInstalledTermPack(packId);
+    if (installed) throw new Error(`El paquete '${packId}' ya está instalado (v${installed.version}).`);
+    return await this._applyPack(pack);
+  }
+
+  // Actualiza a la versión del archivo: los términos editados por el usuario (pack_id NULL) no se tocan
+  async updatePack(packId) {
+    const pack = await this._loadPack(packId);
+    const installed = await this.dbManager.getInstalledTermPack(packId);
+    if (!installed) throw new Error(`El paquete '${packId}' no está instalado.`);
+    if (compareVersions(pack.version, installed.version) <= 0) throw new Error(`El paquete '${packId}' ya está en la última versión (v${installed.version}).`);
+    return await this._applyPack(pack);
+  }
+
+  async uninstallPack(packId) {
+    const result = await this.dbManager.uninstallTermPack(packId);
+    if (!result.uninstalled) throw new Error(`El paquete '${packId}' no está instalado.`);
+    await this._reloadCache();
+    this.emit('termPacksChanged', { packId, action: 'uninstall' });
+    return result;
+  }
+
+  async _applyPack(pack) {
+    const result = await this.dbManager.installTermPack(pack);
+    await this._reloadCache();
+    this.emit('termPacksChanged', { packId: pack.id, action: result.previousVersion ? 'update' : 'install', version: pack.version });
+    return result;
+  }
+
+  async _readPackFiles() {
+    let files = [];
+    try { files = (await fs.readdir(this.packsDir)).filter(file => PACK_FILE_REGEX.test(file)); }
+    catch (error) { this.logger.warn(`No se pudo leer el directorio de paquetes (${this.packsDir}): ${error.message}`); return []; }
+    const packs = [];
+    for (const file of files) {
+      try {
+        const pack = await fs.readJson(path.join(this.packsDir, file));
+        if (!pack?.id || !pack.name || !pack.version || !Array.isArray(pack.terms)) throw new Error('faltan id, name, version o terms');
+        packs.push(pack);
+      } catch (error) { this.logger.warn(`Paquete de términos inválido ignorado (${file}): ${error.message}`); }
+    }
+    return packs;
+  }
+
+  async _loadPack(packId) {
+    const pack = (await this._readPackFiles()).find(p => p.id === packId);
+    if (!pack) throw new Error(`Paquete de términos no encontrado: ${packId}`);
+    return pack;
+  }
+
+  // Recarga completa: refreshCache() no recarga si la caché es reciente
+  async _reloadCache() { this.clearCache(); await this.refreshCache(); }
+
+   /**
+    * Deshace en la BD un reemplazo que el usuario revirtió en el editor: anula la frecuencia que sumó y la penaliza, con lo que
+    * pierde frente a otros candidatos pero sigue aplicándose. Con 'blacklist' no se vuelve a aplicar sobre esa forma dictada.
+    * @param {{termId: number, original: string, replacement: string}} replacement - Elemento de 'replacements' de processText.
+    * @returns {Promise<{termId: number, frequency: number, blacklisted: boolean}>}
+    */
+   async rejectReplacement(replacement, options = {}) {
+     const { blacklist = false } = options;
+     const termId = Number(replacement?.termId);
+     if (!termId || !replacement.original) throw new Error('Reemplazo no válido (faltan termId u original).');
+     if (!this.dbManager?.penalizeMedicalTerm) throw new Error('dbManager.penalizeMedicalTerm no disponible.');
+     // Si el incremento del reemplazo sigue en el lote se descuenta ahí; si ya se guardó, se compensa en la penalización
+     const pending = this.frequencyUpdateBatch[termId] > 0;
+     if (pending) { this.frequencyUpdateBatch[termId]--; if (this.frequencyUpdateBatch[termId] === 0) delete this.frequencyUpdateBatch[termId]; }
+     const frequency = await this.dbManager.penalizeMedicalTerm(termId, pending ? 1 : 2);
+     if (frequency === null) throw new Error(`Término ${termId} no encontrado.`);
+     const historyIndex = this.replacementHistory.map(r => r.termId === termId && r.replacement === replacement.replacement).lastIndexOf(true);
+     if (historyIndex !== -1) this.replacementHistory.splice(historyIndex, 1); // undoLastReplacement no debe revertirlo otra vez
+
+     const cached = this.cachedTerms.find(t => t.id === termId);
+     if (blacklist) {
+       const term = cached || (this.dbManager.getMedicalTermById ? await this.dbManager.getMedicalTermById(termId) : null);
+       const form = this._normalizePhrase(replacement.original.toLowerCase());
+       const rejectedForms = this._parseJsonArray(term?.rejected_forms).map(String);
+       if (!rejectedForms.includes(form)) {
+         rejectedForms.push(form);
+         await this.dbManager.setMedicalTermRejectedForms(termId, rejectedForms);
+       }
+       if (cached) cached.rejected_forms = JSON.stringify(rejectedForms);
+     }
+     if (cached) { cached.frequency = frequency + (this.frequencyUpdateBatch[termId] || 0); this._rebuildTermIndices(); }
+     this.logger.info(`Reemplazo '${replacement.original}' -> '${replacement.replacement}' rechazado (término ${termId}, frecuencia ${frequency}${blacklist ? ', en lista negra' : ''}).`);
+     return { termId, frequency, blacklisted: blacklist };
+   }
+
+   clearCache() {
+     this.cachedTerms = []; this.cacheLastUpdated = 0;
+     this._rebuildTermIndices();
+     this.logger.info('Caché de términos vaciada.');
+   }
+
+   async cleanup() {
+     this.logger.info('Limpiando MedicalTermReplacementService...');
+     if (this.memoryMonitorInterval) { clearInterval(this.memoryMonitorInterval); this.memoryMonitorInterval = null; }
+     if (this.dbUpdateInterval) { clearInterval(this.dbUpdateInterval); this.dbUpdateInterval = null; }
+     try { await this._flushFrequencyBatch(); } catch (error) { this.logger.error('Error guardando frecuencias en cleanup:', error); }
+     this.clearCache(); this.contextualMemory = []; this.replacementHistory = [];
+     this.removeAllListeners();
+     this.logger.info('MedicalTermReplacementService limpiado.');
+   }
 
   // --- Métodos Privados / Protegidos ---
-  async _processSentence(sentence, specialty, modality) { /* ... (implementación igual que antes) ... */ }
-  async _findMatchingTermEfficient(text, specialty = null, modality = null) { /* ... (implementación igual que antes) ... */ }
-  _addTermToCache(term) { /* ... (implementación igual que antes) ... */ }
-  _matchesFilters(term, specialty, modality) { /* ... (implementación igual que antes) ... */ }
-  _levenshteinDistance(a, b) { /* ... (implementación igual que antes) ... */ }
-  _incrementTermFrequencyBatch(termId) { /* ... (implementación igual que antes) ... */ }
-  async _flushFrequencyBatch() { /* ... (implementación igual que antes) ... */ }
-  escapeRegExp(string) { /* ... (implementación igual que antes) ... */ }
-  _recordReplacements(replacements) { /* ... (implementación igual que antes) ... */ }
-  async _processLargeText(text, specialty, modality, blockSize) { /* ... (implementación igual que antes) ... */ }
-  _splitIntoSentences(text) { /* ... (implementación igual que antes) ... */ }
-  _updateContextualMemory(text) { /* ... (implementación igual que antes) ... */ }
-  _calculateContextualScore(term, context) { /* ... (implementación igual que antes) ... */ }
+  // Candidatos de 1..maxTermWords palabras consecutivas; entre solapados gana el más largo (luego el más a la izquierda)
+  async _processSentence(sentence, specialty, modality) {
+    const replacements = []; let processed = ''; let lastIndex = 0;
+    const words = [...sentence.matchAll(WORD_REGEX)].map(m => ({ text: m[0], start: m.index, end: m.index + m[0].length }));
+    // Contexto = memoria reciente + palabras de la propia frase
+    const context = [...this.contextualMemory, ...words.map(w => w.text.toLowerCase())];
+
+    const candidates = [];
+    for (let i = 0; i < words.length; i++) {
+      for (let n = 1; n <= this.maxTermWords && i + n <= words.length; n++) {
+        const last = words[i + n - 1];
+        if (n > 1 && !/^\s+$/.test(sentence.slice(words[i + n - 2].end, last.start))) break; // No cruzar puntuación
+        const original = sentence.slice(words[i].start, last.end);
+        if (n === 1 && (original.length < 2 || /^\d+$/.test(original))) continue;
+        const phrase = words.slice(i, i + n).map(w => w.text.toLowerCase()).join(' ');
+        if (n > 1 && this.correctTermSet.has(phrase)) { candidates.push({ i, n, start: words[i].start, end: last.end, keep: true }); continue; } // Frase ya correcta: protege sus palabras
+        const match = await this._findMatchingTermEfficient(phrase, specialty, modality, context, n);
+        if (!match) continue;
+        const replacement = this._matchCase(original, match.term.correct_term);
+        if (replacement === original) continue;
+        candidates.push({ i, n, start: words[i].start, end: last.end, original, replacement, match });
+      }
+    }
+
+    const taken = new Array(words.length).fill(false); const selected = [];
+    candidates.sort((a, b) => b.n - a.n || (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+    for (const candidate of candidates) {
+      const span = taken.slice(candidate.i, candidate.i + candidate.n);
+      if (span.some(Boolean)) continue;
+      taken.fill(true, candidate.i, candidate.i + candidate.n);
+      if (!candidate.keep) selected.push(candidate);
+    }
+
+    for (const { start, end, original, replacement, match } of selected.sort((a, b) => a.start - b.start)) {
+      processed += sentence.slice(lastIndex, start);
+      const processedStart = processed.length;
+      processed += replacement; lastIndex = end;
+      replacements.push({
+        original, replacement, termId: match.term.id, matchType: match.matchType, distance: match.distance,
+        confidence: match.confidence, textIndices: { start, end }, processedIndices: { start: processedStart, end: processed.length }
+      });
+      this._incrementTermFrequencyBatch(match.term.id);
+    }
+    processed += sentence.slice(lastIndex);
+    this._updateContextualMemory(sentence);
+    return { text: processed, replacements };
+  }
+
+  /**
+   * Busca el término para una palabra o frase: exacto/variante (índice), fuzzy acotado por levenshteinThreshold y, por último, fonético.
+   * Fuzzy y fonético solo comparan con términos del mismo número de palabras ('wordCount').
+   * @returns {Promise<{term: object, matchType: 'exact'|'variant'|'fuzzy'|'phonetic', distance: number, confidence: number}|null>}
+   */
+  async _findMatchingTermEfficient(text, specialty = null, modality = null, context = [], wordCount = 1) {
+    const lower = text.toLowerCase();
+    // Solo la lista negra ("Revertir siempre") desactiva un término, y solo para esa forma dictada
+    const isUsable = (term) => !this.termRejectedForms.get(term)?.has(lower);
+    // La frecuencia (que baja con cada reversión) desempata entre candidatos a la misma distancia
+    const pickBest = (candidates) => candidates
+      .map(c => ({ ...c, score: c.confidence + this._calculateContextualScore(c.term, context) * 0.5 + Math.log1p(Math.min(c.term.frequency || 0, 100)) / 20 }))
+      .sort((a, b) => a.distance - b.distance || b.score - a.score)[0] || null;
+
+    // 1. Exacto o variante
+    const exact = (this.termIndexByExact[lower] || []).filter(t => isUsable(t) && this._matchesFilters(t, specialty, modality));
+    if (exact.length > 0) {
+      return pickBest(exact.map(term => ({ term, matchType: term.heard_term.toLowerCase() === lower ? 'exact' : 'variant', distance: 0, confidence: 1 })));
+    }
+    // Una palabra que ya es un término correcto no se corrige por parecido
+    if (this.correctTermSet.has(lower)) return null;
+
+    // 2. Fuzzy (solo palabras de cierta longitud, umbral proporcional)
+    if (lower.length < 4) return null;
+    // Un plural o cambio de género bien dictado ("atelectasias") no se reescribe a la forma del término
+    const isCandidate = (term) => this.termWordCounts.get(term) === wordCount && isUsable(term) && this._matchesFilters(term, specialty, modality)
+      && !isInflectionOf(lower, term.heard_term.toLowerCase()) && !(term.correct_term && isInflectionOf(lower, term.correct_term.toLowerCase()));
+    const maxDistance = this._maxDistanceFor(lower);
+    const fuzzy = [];
+    for (let len = lower.length - maxDistance; len <= lower.length + maxDistance; len++) {
+      for (const term of (this.termIndexByLength[len] || [])) {
+        if (!isCandidate(term)) continue;
+        const distance = this._levenshteinDistance(lower, term.heard_term.toLowerCase(), maxDistance);
+        if (distance <= maxDistance) fuzzy.push({ term, matchType: 'fuzzy', distance, confidence: 1 - distance / Math.max(lower.length, term.heard_term.length) });
+      }
+    }
+    if (fuzzy.length > 0) return pickBest(fuzzy);
+
+    // 3. Fonético: misma clave aunque la escritura difiera más de lo que admite Levenshtein ("kolelitiazis"),
+    // hasta el doble de la distancia fuzzy respecto al término o la variante más cercana
+    const maxPhoneticDistance = maxDistance * 2;
+    const phonetic = (this.termIndexByPhonetic[spanishPhoneticKey(lower)] || [])
+      .filter(isCandidate)
+      .map(term => ({
+        term, matchType: 'phonetic', confidence: 0.85,
+        distance: Math.min(...[term.heard_term, ...this._parseJsonArray(term.variants)].map(form => this._levenshteinDistance(lower, String(form).toLowerCase(), maxPhoneticDistance)))
+      }))
+      .filter(candidate => candidate.distance <= maxPhoneticDistance);
+    return pickBest(phonetic);
+  }
+
+  // Distancia máxima para una palabra: levenshteinThreshold, reducido en palabras cortas (4-7 letras -> 1)
+  _maxDistanceFor(word) { return Math.min(this.levenshteinThreshold, Math.max(1, Math.floor(word.length / 4))); }
+
+  _addTermToCache(term) {
+    if (!term?.heard_term) return;
+    const heardLower = term.heard_term.toLowerCase();
+    const index = this.cachedTerms.findIndex(t => t.id === term.id || t.heard_term.toLowerCase() === heardLower);
+    if (index !== -1) this.cachedTerms[index] = term; else this.cachedTerms.push(term);
+    if (this.cachedTerms.length > this.cacheLimit) { this._reduceCacheSize(this.cacheLimit); return; } // Ya reconstruye índices
+    this._rebuildTermIndices();
+  }
+
+  _matchesFilters(term, specialty, modality) {
+    // Un término sin especialidad/modalidad aplica siempre; uno específico solo en su contexto
+    const matches = (termValue, filter) => !termValue || !filter || termValue.toLowerCase() === String(filter).toLowerCase();
+    return matches(term.specialty, specialty) && matches(term.modality, modality);
+  }
+
+  // Levenshtein con dos filas reutilizables; corta en cuanto se supera maxDistance (devuelve maxDistance + 1)
+  _levenshteinDistance(a, b, maxDistance = Infinity) {
+    if (a === b) return 0;
+    if (!a.length) return b.length; if (!b.length) return a.length;
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+    const cols = b.length + 1;
+    if (!this._levenMatrix || this._levenMatrix.length < cols * 2) this._levenMatrix = new Uint16Array(Math.max(cols * 2, 128));
+    let prev = this._levenMatrix.subarray(0, cols); let curr = this._levenMatrix.subarray(cols, cols * 2);
+    for (let j = 0; j < cols; j++) prev[j] = j;
+    for (let i = 1; i <= a.length; i++) {
+      curr[0] = i; let rowMin = i;
+      for (let j = 1; j < cols; j++) {
+        const cost = a.charCodeAt(i - 1) === b.charCodeAt(j - 1) ? 0 : 1;
+        curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+        if (curr[j] < rowMin) rowMin = curr[j];
+      }
+      if (rowMin > maxDistance) return maxDistance + 1;
+      [prev, curr] = [curr, prev];
+    }
+    return prev[cols - 1];
+  }
+
+  _incrementTermFrequencyBatch(termId) {
+    if (!termId) return;
+    this.frequencyUpdateBatch[termId] = (this.frequencyUpdateBatch[termId] || 0) + 1;
+    const cached = this.cachedTerms.find(t => t.id === termId);
+    if (cached) cached.frequency = (cached.frequency || 0) + 1; // Reflejar en caché sin esperar al flush
+    const pending = Object.values(this.frequencyUpdateBatch).reduce((sum, n) => sum + n, 0);
+    if (pending >= this.batchUpdateThreshold) this._flushFrequencyBatch().catch(e => this.logger.error('Error flush por umbral', e));
+  }
+
+  async _flushFrequencyBatch() {
+    const batch = this.frequencyUpdateBatch;
+    if (Object.keys(batch).length === 0 || !this.dbManager?.incrementTermFrequency) return;
+    this.frequencyUpdateBatch = {}; // Los incrementos que lleguen durante el flush van al siguiente lote
+    try {
+      const apply = async (dbm) => { for (const [termId, count] of Object.entries(batch)) for (let i = 0; i < count; i++) await dbm.incrementTermFrequency(Number(termId)); };
+      if (this.dbManager.transaction) await this.dbManager.transaction(apply); else await apply(this.dbManager);
+      this.lastBatchUpdate = Date.now();
+      this.logger.debug(`Frecuencias actualizadas: ${Object.keys(batch).length} términos.`);
+    } catch (error) {
+      // Devolver al lote para reintentar en el próximo flush
+      for (const [termId, count] of Object.entries(batch)) this.frequencyUpdateBatch[termId] = (this.frequencyUpdateBatch[termId] || 0) + count;
+      throw error;
+    }
+  }
+
+  escapeRegExp(string) { return String(string).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
+
+  _recordReplacements(replacements) {
+    if (!replacements?.length) return;
+    const timestamp = Date.now();
+    for (const rep of replacements) this.replacementHistory.push({ ...rep, timestamp });
+    if (this.replacementHistory.length > this.maxReplacementHistory) this.replacementHistory.splice(0, this.replacementHistory.length - this.maxReplacementHistory);
+    this.emit('replacementsMade', replacements);
+  }
+
+  async _processLargeText(text, specialty, modality, blockSize) {
+    // Frases agrupadas en bloques de ~blockSize caracteres; se cede el event loop entre bloques
+    const sentences = this._splitIntoSentences(text);
+    let processedText = ''; const allReplacements = []; let currentOffset = 0; let blockLength = 0;
+    for (const sentence of sentences) {
+      const { text: processedSentence, replacements } = await this._processSentence(sentence, specialty, modality);
+      const processedOffset = processedText.length;
+      replacements.forEach(rep => {
+        rep.textIndices.start += currentOffset; rep.textIndices.end += currentOffset;
+        rep.processedIndices.start += processedOffset; rep.processedIndices.end += processedOffset; rep.originalFullTextOffset = currentOffset;
+      });
+      processedText += processedSentence; allReplacements.push(...replacements); currentOffset += sentence.length;
+      blockLength += sentence.length;
+      if (blockLength >= blockSize) { blockLength = 0; await new Promise(resolve => setImmediate(resolve)); }
+    }
+    this._recordReplacements(allReplacements);
+    if (allReplacements.length > 0) this.logger.info(`Texto largo procesado, ${allReplacements.length} reemplazos.`);
+    return { text: processedText, replacements: allReplacements };
+  }
+
+  // Frases con su puntuación y espacios finales: concatenarlas reproduce el texto original
+  _splitIntoSentences(text) {
+    if (!text) return [];
+    return text.match(/[^.!?\n]+(?:[.!?]+|\n)?\s*|[.!?\n]+\s*/g) || [text];
+  }
+
+  _updateContextualMemory(text) {
+    const words = (text.match(WORD_REGEX) || []).map(w => w.toLowerCase()).filter(w => w.length > 2);
+    this.contextualMemory.push(...words);
+    if (this.contextualMemory.length > this.maxContextLength) this.contextualMemory.splice(0, this.contextualMemory.length - this.maxContextLength);
+  }
+
+  // Proporción de las context_words del término presentes en el contexto (0..1)
+  _calculateContextualScore(term, context) {
+    const contextWords = this._parseJsonArray(term.context_words);
+    if (contextWords.length === 0 || !context?.length) return 0;
+    const contextSet = context instanceof Set ? context : new Set(context);
+    return contextWords.filter(w => contextSet.has(String(w).toLowerCase())).length / contextWords.length;
+  }
+
+  // Conserva mayúscula inicial / todo mayúsculas del texto dictado
+  _matchCase(original, replacement) {
+    if (original.length > 1 && original === original.toUpperCase() && original !== original.toLowerCase()) return replacement.toUpperCase();
+    if (original[0] !== original[0].toLowerCase()) return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+    return replacement;
+  }
+
+  // Palabras separadas por un espacio, sin puntuación: "Lóbulo  superior," -> "Lóbulo superior"
+  _normalizePhrase(text) { return (String(text).match(WORD_REGEX) || []).join(' '); }
+
+  _parseJsonArray(value) {
+    if (Array.isArray(value)) return value;
+    try { const parsed = JSON.parse(value || '[]'); return Array.isArray(parsed) ? parsed : []; } catch { return []; }
+  }
 }
 module.exports = MedicalTermReplacementService;
\ No newline at end of file
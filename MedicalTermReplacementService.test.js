@@ -0,0 +1,164 @@
+// tests/MedicalTermReplacementService.test.js
+jest.mock('../utils/logger', () => require('./test-utils').mockLogger);
+
+const MedicalTermReplacementService = require('../services/MedicalTermReplacementService');
+const { mockLogger, mockDbManager } = require('./test-utils');
+
+let nextId = 1;
+const term = (heard_term, correct_term, extra = {}) => ({
+  id: nextId++, heard_term, correct_term, specialty: null, modality: null, frequency: 1, variants: '[]', context_words: '[]', ...extra
+});
+
+const TERMS = [
+  term('vesícula viliar', 'vesícula biliar'),
+  term('lobulo', 'lóbulo'),
+  term('lobulo superior de hecho', 'lóbulo superior derecho'),
+  term('superior de hecho', 'superior derecho'),
+  term('lobulo superior', 'lóbulo superior'),
+  term('colelitiasis', 'colelitiasis', { variants: '["cole litiasis"]' }),
+];
+
+// Cada reemplazo debe apuntar al fragmento exacto del texto original y del procesado
+const expectConsistentIndices = (original, result) => {
+  for (const rep of result.replacements) {
+    expect(original.slice(rep.textIndices.start, rep.textIndices.end)).toBe(rep.original);
+    expect(result.text.slice(rep.processedIndices.start, rep.processedIndices.end)).toBe(rep.replacement);
+  }
+};
+
+describe('MedicalTermReplacementService - reemplazo de frases (n-gramas)', () => {
+  let service;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockDbManager.getMostFrequentTerms.mockResolvedValue(TERMS.map(t => ({ ...t })));
+    service = new MedicalTermReplacementService(mockDbManager, { logger: mockLogger });
+    await service.refreshCache();
+  });
+
+  afterEach(async () => { await service.cleanup(); });
+
+  test('reemplaza un término de varias palabras conservando la mayúscula inicial', async () => {
+    const text = 'Vesícula viliar de paredes finas.';
+    const result = await service.processText(text);
+    expect(result.text).toBe('Vesícula biliar de paredes finas.');
+    expect(result.replacements).toHaveLength(1);
+    expect(result.replacements[0]).toMatchObject({ original: 'Vesícula viliar', replacement: 'Vesícula biliar', textIndices: { start: 0, end: 15 } });
+  });
+
+  test('entre candidatos solapados gana la frase más larga', async () => {
+    const text = 'Nódulo en lobulo superior de hecho.';
+    const result = await service.processText(text);
+    expect(result.text).toBe('Nódulo en lóbulo superior derecho.');
+    expect(result.replacements.map(r => r.original)).toEqual(['lobulo superior de hecho']);
+    expectConsistentIndices(text, result);
+  });
+
+  test('un candidato más largo que empieza después desplaza al más corto que lo solapa', async () => {
+    service.cachedTerms = service.cachedTerms.filter(t => t.heard_term !== 'lobulo superior de hecho');
+    service._rebuildTermIndices();
+    const text = 'lobulo superior de hecho';
+    const result = await service.processText(text);
+    // 'superior de hecho' (3 palabras) gana a 'lobulo superior' (2); 'lobulo' se corrige por separado
+    expect(result.text).toBe('lóbulo superior derecho');
+    expect(result.replacements.map(r => r.original)).toEqual(['lobulo', 'superior de hecho']);
+    expectConsistentIndices(text, result);
+  });
+
+  test('las frases no cruzan signos de puntuación', async () => {
+    const result = await service.processText('Lobulo superior, de hecho sin cambios.');
+    expect(result.text).toBe('Lóbulo superior, de hecho sin cambios.');
+    expect(result.replacements.map(r => r.original)).toEqual(['Lobulo superior']);
+  });
+
+  test('las variantes de varias palabras se reconocen como frase', async () => {
+    const result = await service.processText('Se observa cole litiasis.');
+    expect(result.text).toBe('Se observa colelitiasis.');
+    expect(result.replacements[0]).toMatchObject({ original: 'cole litiasis', matchType: 'variant' });
+  });
+
+  test('los índices son correctos en textos con varias frases y longitudes cambiantes', async () => {
+    const text = 'Sin hallazgos. Vesícula viliar normal.\nLobulo superior de hecho libre, lobulo medio normal.';
+    const result = await service.processText(text);
+    expect(result.text).toBe('Sin hallazgos. Vesícula biliar normal.\nLóbulo superior derecho libre, lóbulo medio normal.');
+    expect(result.replacements).toHaveLength(3);
+    expectConsistentIndices(text, result);
+  });
+});
+
+describe('MedicalTermReplacementService - flexiones (plural y género)', () => {
+  let service;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockDbManager.getMostFrequentTerms.mockResolvedValue([
+      term('atelectasia', 'atelectasia'),
+      term('consolidacion', 'consolidación'),
+      term('hipoecoico', 'hipoecoico'),
+      term('derrame pleural', 'derrame pleural'),
+      term('colelitiasis', 'colelitiasis'),
+    ]);
+    service = new MedicalTermReplacementService(mockDbManager, { logger: mockLogger });
+    await service.refreshCache();
+  });
+
+  afterEach(async () => { await service.cleanup(); });
+
+  test('no convierte plurales bien dictados al singular del término', async () => {
+    const text = 'Atelectasias basales y consolidaciones parcheadas.';
+    const result = await service.processText(text);
+    expect(result.text).toBe(text);
+    expect(result.replacements).toHaveLength(0);
+  });
+
+  test('no cambia el género de un adjetivo dictado', async () => {
+    const result = await service.processText('Lesiones hipoecoicas.');
+    expect(result.text).toBe('Lesiones hipoecoicas.');
+  });
+
+  test('no convierte plurales de términos de varias palabras', async () => {
+    const result = await service.processText('Derrames pleurales bilaterales.');
+    expect(result.text).toBe('Derrames pleurales bilaterales.');
+  });
+
+  test('sigue corrigiendo el singular sin tilde y los errores de escritura', async () => {
+    const result = await service.processText('Consolidacion y colelitiasys.');
+    expect(result.text).toBe('Consolidación y colelitiasis.');
+    expect(result.replacements.map(r => r.matchType)).toEqual(['exact', 'fuzzy']);
+  });
+
+  test('el fonético no reemplaza palabras demasiado distintas del término aunque compartan clave', async () => {
+    expect(await service._findMatchingTermEfficient('hkolelitiazys')).toMatchObject({ matchType: 'phonetic', distance: 4 });
+    expect(await service._findMatchingTermEfficient('quolelytiazys')).toBeNull(); // Misma clave fonética, distancia 5
+  });
+});
+
+describe('MedicalTermReplacementService - reemplazos revertidos', () => {
+  let service;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockDbManager.getMostFrequentTerms.mockResolvedValue([term('vesicula', 'vesícula'), term('bazo', 'bazo')]);
+    service = new MedicalTermReplacementService(mockDbManager, { logger: mockLogger });
+    await service.refreshCache();
+  });
+
+  afterEach(async () => { await service.cleanup(); });
+
+  test('revertir una vez penaliza el término pero no lo desactiva', async () => {
+    const [replacement] = (await service.processText('vesicula normal')).replacements;
+    const result = await service.rejectReplacement(replacement);
+    expect(result).toMatchObject({ frequency: 0, blacklisted: false });
+    expect((await service.processText('vesicula normal')).text).toBe('vesícula normal');
+  });
+
+  test('revertir siempre solo bloquea la forma dictada rechazada', async () => {
+    service.cachedTerms[0].variants = '["besicula"]';
+    service._rebuildTermIndices();
+    const [replacement] = (await service.processText('besicula')).replacements;
+    await service.rejectReplacement(replacement, { blacklist: true });
+    expect(mockDbManager.setMedicalTermRejectedForms).toHaveBeenCalledWith(replacement.termId, ['besicula']);
+    expect((await service.processText('besicula')).text).toBe('besicula');
+    expect((await service.processText('vesicula')).text).toBe('vesícula');
+  });
+});
@@ -1,7 +1,9 @@
 const { EventEmitter } = require('events');
 const axios = require('axios');
+const { StringDecoder } = require('string_decoder');
 const logger = require('../utils/logger');
 const ERROR_TYPES = require('../utils/error-types');
+const { PROMPT_TASKS, DEFAULT_PROMPTS } = require('../utils/default-prompts');
 
 class OllamaService extends EventEmitter {
   constructor(options = {}) {
@@ -14,12 +16,14 @@ class OllamaService extends EventEmitter {
     this.isAvailable = false;
     this.availableModels = [];
     this.currentAbortController = null; // Usar AbortController nativo
+    this.dbManager = null; // Para la biblioteca de prompts
   }
 
   async initialize(dbManager = null) {
     if (this.isInitialized) return;
     this.logger.info(`Inicializando OllamaService (Endpoint: ${this.endpoint})...`);
     if (dbManager) {
+        this.dbManager = dbManager;
         try {
             const savedEndpoint = await dbManager.getSetting('ollama.endpoint');
             if (savedEndpoint) this.endpoint = savedEndpoint;
@@ -110,6 +114,27 @@ class OllamaService extends EventEmitter {
      finally { this.currentAbortController = null; this.emit('idle', { operation: 'chat' }); }
   }
 
+  // Generación de texto (streaming): emite 'streamChunk' por cada fragmento recibido
+  async generateStream(prompt, model = null, options = {}) {
+     if (!this.isAvailable) throw this._createError(ERROR_TYPES.OLLAMA_UNAVAILABLE, 'Ollama no disponible.');
+     const targetModel = model || this.defaultModel;
+     if (!targetModel) throw this._createError(ERROR_TYPES.OLLAMA_MODEL_ERROR, 'Modelo Ollama no especificado.');
+     const payload = { model: targetModel, prompt, ...options, stream: true };
+     // Devuelve la misma forma que generate(): { model, response, done, context, ... }
+     return await this._streamRequest('generate', '/api/generate', payload, msg => msg.response, (last, text) => ({ ...last, response: text }));
+  }
+
+  // Chat (streaming): emite 'streamChunk' por cada fragmento recibido
+  async chatStream(messages, model = null, options = {}) {
+     if (!this.isAvailable) throw this._createError(ERROR_TYPES.OLLAMA_UNAVAILABLE, 'Ollama no disponible.');
+     const targetModel = model || this.defaultModel;
+     if (!targetModel) throw this._createError(ERROR_TYPES.OLLAMA_MODEL_ERROR, 'Modelo Ollama no especificado.');
+     if (!Array.isArray(messages) || messages.length === 0) throw this._createError(ERROR_TYPES.OLLAMA_REQUEST_ERROR, 'Mensajes inválidos.');
+     const payload = { model: targetModel, messages, ...options, stream: true };
+     // Devuelve la misma forma que chat(): { model, message: { role, content }, done, ... }
+     return await this._streamRequest('chat', '/api/chat', payload, msg => msg.message?.content, (last, text) => ({ ...last, message: { role: 'assistant', content: text } }));
+  }
+
   // Descargar modelo (streaming)
   async pullModel(modelName, insecure = false) {
      if (!this.isAvailable) throw this._createError(ERROR_TYPES.OLLAMA_UNAVAILABLE, 'Ollama no disponible.');
@@ -122,30 +147,21 @@ class OllamaService extends EventEmitter {
      return new Promise((resolve, reject) => {
          axios.post(url, payload, { responseType: 'stream', timeout: 0 }) // Sin timeout
              .then(response => {
-                 let finalStatus = {}; let lastPercent = -1; let buffer = '';
-                 response.data.on('data', chunk => {
-                     buffer += chunk.toString();
-                     // Procesar líneas JSON completas en el buffer
-                     let newlineIndex;
-                     while ((newlineIndex = buffer.indexOf('\n')) >= 0) {
-                        const line = buffer.substring(0, newlineIndex).trim();
-                        buffer = buffer.substring(newlineIndex + 1);
-                        if (!line) continue; // Ignorar líneas vacías
-                        try {
-                            const statusUpdate = JSON.parse(line);
-                            finalStatus = statusUpdate; // Guardar último estado conocido
-                            const percent = statusUpdate.percent;
-                            // Emitir progreso con menos frecuencia (ej. cada 5% o estados clave)
-                            if (percent !== undefined && Math.floor(percent / 5) !== Math.floor(lastPercent / 5)) {
-                                this.emit('pullProgress', { model: modelName, ...statusUpdate });
-                                lastPercent = percent;
-                            } else if (statusUpdate.status && !statusUpdate.percent && statusUpdate.status !== finalStatus.status) {
-                                this.emit('pullProgress', { model: modelName, ...statusUpdate }); // Emitir cambios de estado
-                            }
-                        } catch (e) { this.logger.warn(`Error parseando chunk pull JSON: ${e.message}`, line); }
+                 let finalStatus = {}; let lastPercent = -1;
+                 const parseChunk = this._createNdjsonParser(statusUpdate => {
+                     finalStatus = statusUpdate; // Guardar último estado conocido
+                     const percent = statusUpdate.percent;
+                     // Emitir progreso con menos frecuencia (ej. cada 5% o estados clave)
+                     if (percent !== undefined && Math.floor(percent / 5) !== Math.floor(lastPercent / 5)) {
+                         this.emit('pullProgress', { model: modelName, ...statusUpdate });
+                         lastPercent = percent;
+                     } else if (statusUpdate.status && !statusUpdate.percent && statusUpdate.status !== finalStatus.status) {
+                         this.emit('pullProgress', { model: modelName, ...statusUpdate }); // Emitir cambios de estado
                      }
-                 });
+                 }, 'pull');
+                 response.data.on('data', parseChunk);
                  response.data.on('end', () => {
+                     parseChunk.end();
                      this.logger.info(`Descarga ${modelName} completada.`);
                      this.emit('idle', { operation: 'pull', success: true });
                      this.emit('pullProgress', { model: modelName, status: 'Descarga completa', completed: true, percent: 100 });
@@ -165,31 +181,95 @@ class OllamaService extends EventEmitter {
      });
   }
 
-   // Función ejemplo para mejorar informe
-   async improveReport(text, specialty = null) {
-        // Seleccionar un modelo adecuado. Podría ser configurable.
-        const modelToUse = this.defaultModel || 'llama3'; // O 'mistral', 'gemma', etc.
-        // Crear un prompt específico para la tarea de mejora de informes radiológicos
-        const prompt = `Eres un asistente experto en radiología. Revisa el siguiente informe de ${specialty || 'radiología general'} y mejóralo significativamente: corrige errores gramaticales y de puntuación, reemplaza terminología vaga o incorrecta por términos médicos precisos y estándar, asegura una estructura clara y profesional (ej. Técnica, Hallazgos, Impresión Diagnóstica), y mejora la fluidez general. NO añadas información clínica nueva ni interpretes imágenes que no se describen. Mantén el significado clínico original.
+   // Mejora de informe: usa el prompt 'improve' de la biblioteca (según especialidad/modelo)
+   async improveReport(text, specialty = null, options = {}) {
+        return await this.runPromptTask(PROMPT_TASKS.IMPROVE, text, { ...options, specialty });
+   }
 
-Informe Original:
-"${text}"
+   // Variante streaming de improveReport: el texto llega por eventos 'streamChunk'
+   async improveReportStream(text, specialty = null, options = {}) {
+        return await this.runPromptTaskStream(PROMPT_TASKS.IMPROVE, text, { ...options, specialty });
+   }
 
-Informe Mejorado:`;
+   /**
+    * Redacta la Impresión diagnóstica a partir solo de los Hallazgos.
+    * @returns {Promise<object>} Respuesta de generate() con 'response' normalizada a lista numerada.
+    */
+   async generateImpression(findings, specialty = null, modality = null, options = {}) {
+        if (!findings?.trim()) throw this._createError(ERROR_TYPES.OLLAMA_REQUEST_ERROR, 'No hay hallazgos para generar la impresión.');
+        const result = await this.runPromptTask(PROMPT_TASKS.SUMMARIZE_IMPRESSION, findings.trim(), { ...options, specialty, modality });
+        return { ...result, response: this._formatNumberedList(result.response) };
+   }
+
+   // Normaliza la salida del modelo a "1. ...\n2. ..." (quita encabezados repetidos y viñetas)
+   _formatNumberedList(text) {
+        const items = (text || '').replace(/^\s*"|"\s*$/g, '').split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !/^impresi[oó]n(\s+diagn[oó]stica)?\s*:?$/i.test(line))
+            .map(line => line.replace(/^(\d+[.)]|[-*•])\s*/, '').trim())
+            .filter(Boolean);
+        return items.map((item, i) => `${i + 1}. ${item}`).join('\n');
+   }
 
-        this.logger.info(`Solicitando mejora de informe con modelo ${modelToUse}`);
+   /**
+    * Ejecuta una tarea IA (improve, summarize_impression, translate, simplify_patient...) sobre un texto.
+    * @param {string} task - Tarea de la biblioteca de prompts.
+    * @param {string} text - Texto del informe.
+    * @param {object} [options] - { promptId, specialty, modality, model, variables }
+    * @returns {Promise<object>} Respuesta completa de generate() ({ response, model, ... }).
+    */
+   async runPromptTask(task, text, options = {}) {
+        const { prompt, model } = await this._resolveTaskPrompt(task, text, options);
+        this.logger.info(`Solicitando tarea IA '${task}' con modelo ${model}`);
         try {
-            // Reutilizar el método 'generate'
-            const result = await this.generate(prompt, modelToUse);
             // Devolver el objeto completo, el Controller se encargará de extraer 'response'
-            return result;
+            return await this.generate(prompt, model);
         } catch (error) {
-             this.logger.error(`Error al mejorar informe con Ollama: ${error.message}`);
+             this.logger.error(`Error en tarea IA '${task}' con Ollama: ${error.message}`);
              throw error; // Relanzar para que _handleOllamaRequest lo capture
         }
    }
 
-  // Cancelar petición actual (generate o chat)
+   // Variante streaming de runPromptTask
+   async runPromptTaskStream(task, text, options = {}) {
+        const { prompt, model } = await this._resolveTaskPrompt(task, text, options);
+        this.logger.info(`Solicitando tarea IA '${task}' (streaming) con modelo ${model}`);
+        try {
+            return await this.generateStream(prompt, model);
+        } catch (error) {
+             if (!error.isCancellation) this.logger.error(`Error en tarea IA '${task}' (streaming) con Ollama: ${error.message}`);
+             throw error;
+        }
+   }
+
+   // Sustituye {{placeholder}} por su valor; los desconocidos quedan vacíos
+   renderPromptTemplate(template, variables = {}) {
+        return (template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (variables[key] ?? '').toString());
+   }
+
+   // Elige prompt y modelo: prompt explícito (promptId) > más específico de la BD > prompt por defecto
+   async _resolveTaskPrompt(task, text, options = {}) {
+        const { promptId, specialty = null, modality = null, variables = {} } = options;
+        const candidateModel = options.model || this.defaultModel || this.availableModels[0]?.name || null;
+        let promptRecord = null;
+        if (this.dbManager) {
+            try {
+                promptRecord = promptId ? await this.dbManager.getPrompt(promptId) : await this.dbManager.findPromptForTask(task, specialty, candidateModel);
+            } catch (e) { this.logger.warn(`No se pudo leer la biblioteca de prompts (${task}):`, e); }
+        }
+        if (promptId && !promptRecord) throw this._createError(ERROR_TYPES.OLLAMA_REQUEST_ERROR, `Prompt ${promptId} no encontrado.`);
+        if (!promptRecord) promptRecord = DEFAULT_PROMPTS.find(p => p.task === task);
+        if (!promptRecord) throw this._createError(ERROR_TYPES.OLLAMA_REQUEST_ERROR, `No hay prompt para la tarea '${task}'.`);
+
+        const model = options.model || promptRecord.model || candidateModel;
+        if (!model) throw this._createError(ERROR_TYPES.OLLAMA_MODEL_ERROR, 'Modelo Ollama no especificado y no hay modelos disponibles.');
+        const prompt = this.renderPromptTemplate(promptRecord.template, {
+            ...variables, text, specialty: specialty || 'radiología general', modality: modality || 'no especificada'
+        });
+        return { prompt, model, promptId: promptRecord.id ?? null };
+   }
+
+  // Cancelar petición actual (generate, chat o sus variantes streaming)
   cancelCurrentRequest() {
     if (this.currentAbortController) {
         this.logger.warn("Cancelando petición Ollama en curso...");
@@ -239,6 +319,66 @@ Informe Mejorado:`;
   // --- Helpers Internos ---
   _getBaseUrl() { return this.endpoint.replace(/\/$/, ''); }
 
+  // Devuelve una función (chunk) => void que acumula el stream y llama a onMessage por cada línea JSON completa (NDJSON).
+  // StringDecoder: un carácter multibyte (á, ñ) partido entre dos chunks no se convierte en U+FFFD. Llamar a .end() al terminar el stream.
+  _createNdjsonParser(onMessage, operation = 'stream') {
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+    const parseLine = (line) => {
+        if (!line) return; // Ignorar líneas vacías
+        let message;
+        try { message = JSON.parse(line); }
+        catch (e) { this.logger.warn(`Error parseando chunk ${operation} JSON: ${e.message}`, line); return; }
+        onMessage(message);
+    };
+    const parse = (chunk) => {
+        buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+        let newlineIndex;
+        while ((newlineIndex = buffer.indexOf('\n')) >= 0) {
+            const line = buffer.substring(0, newlineIndex).trim();
+            buffer = buffer.substring(newlineIndex + 1);
+            parseLine(line);
+        }
+    };
+    parse.end = () => { buffer += decoder.end(); parseLine(buffer.trim()); buffer = ''; }; // Última línea sin '\n'
+    return parse;
+  }
+
+  // Petición streaming común a generateStream/chatStream. Cancelable con cancelCurrentRequest().
+  async _streamRequest(operation, apiPath, payload, extractText, buildResult) {
+     const url = `${this._getBaseUrl()}${apiPath}`;
+     this.logger.info(`Solicitando ${operation} (streaming) a Ollama (${payload.model})...`);
+     this.emit('busy', { operation, model: payload.model, stream: true });
+     const abortController = new AbortController();
+     this.currentAbortController = abortController;
+     try {
+         // timeout: tiempo máximo esperando la respuesta inicial; el stream puede durar más
+         const response = await axios.post(url, payload, { responseType: 'stream', timeout: this.requestTimeout, signal: abortController.signal });
+         return await new Promise((resolve, reject) => {
+             let fullText = ''; let lastMessage = {}; let settled = false;
+             const finish = (error, result) => { if (settled) return; settled = true; error ? reject(error) : resolve(result); };
+             const parseChunk = this._createNdjsonParser(message => {
+                 if (message.error) { finish(Object.assign(new Error(message.error), { response: { data: { error: message.error } } })); response.data.destroy(); return; }
+                 const content = extractText(message) || '';
+                 fullText += content; lastMessage = message;
+                 this.emit('streamChunk', { operation, model: payload.model, content, done: message.done === true });
+             }, operation);
+             response.data.on('data', parseChunk);
+             response.data.on('end', () => {
+                 parseChunk.end();
+                 this.logger.info(`${operation} (streaming) completado (${payload.model}).`);
+                 finish(null, buildResult(lastMessage, fullText));
+             });
+             response.data.on('error', err => finish(err));
+             abortController.signal.addEventListener('abort', () => {
+                 response.data.destroy();
+                 finish(Object.assign(new Error('Solicitud cancelada'), { name: 'AbortError' }));
+             });
+         });
+     } catch (error) { throw this._handleApiError(error, `${operation} (streaming)`); }
+     finally { if (this.currentAbortController === abortController) this.currentAbortController = null; this.emit('idle', { operation }); }
+  }
+
   _parseConnectionError(error, url) {
     if (error.code === 'ECONNREFUSED') return `No se pudo conectar a ${url}. ¿Ollama está en ejecución?`;
     if (error.code === 'ECONNABORTED' || error.message.toLowerCase().includes('timeout')) return `Timeout esperando respuesta de ${url}.`;
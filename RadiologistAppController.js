@@ -8,12 +8,26 @@ const DatabaseManager = require('./services/DatabaseManager');
 const SpeechRecognitionService = require('./services/SpeechRecognitionService');
 const MedicalTermReplacementService = require('./services/MedicalTermReplacementService'); // Tu versión optimizada
 const OllamaService = require('./services/OllamaService');
+const DictationCommandProcessor = require('./services/DictationCommandProcessor');
+const MeasurementNormalizer = require('./services/MeasurementNormalizer');
+const TemplateSuggestionService = require('./services/TemplateSuggestionService');
+const VoiceCommandService = require('./services/VoiceCommandService');
+const DictationModeService = require('./services/DictationModeService');
 const ApplicationPrecheck = require('./utils/ApplicationPrecheck');
 const SystemRequirementsChecker = require('./utils/SystemRequirementsChecker');
 const ERROR_TYPES = require('./utils/error-types');
 const logger = require('./utils/logger');
+const { diffWords } = require('./utils/text-diff');
+const { parseMedicalTermsFile, serializeMedicalTerms, formatFromPath } = require('./utils/medical-terms-io');
+const { parseTemplateBundle, serializeTemplateBundle } = require('./utils/template-bundle');
 const DictaphoneHandler = require('../hardware/DictaphoneHandler'); // Tu versión mejorada
 
+// Argumentos de línea de comandos con los que el RIS/worklist abre un estudio (--study-description="TC Tórax con contraste")
+const STUDY_ARGS = Object.freeze({
+  'study-description': 'description', 'study-modality': 'modality', 'study-specialty': 'specialty',
+  'accession-number': 'accessionNumber', 'patient-id': 'patientId', 'patient-name': 'patientName',
+});
+
 class RadiologistAppController extends EventEmitter {
   constructor(options = {}) {
     super();
@@ -27,7 +41,13 @@ class RadiologistAppController extends EventEmitter {
     this.speechService = null;
     this.termReplacementService = null; // Referencia a tu versión optimizada
     this.ollamaService = null;
+    this.dictationCommandProcessor = new DictationCommandProcessor({ logger: this.logger }); // Puntuación hablada ("punto", "coma"...)
+    this.measurementNormalizer = new MeasurementNormalizer({ logger: this.logger }); // "tres coma dos centímetros" -> "3,2 cm"
+    this.voiceCommandService = null; // Comandos de edición/navegación por voz
+    this.templateSuggestionService = null; // Plantillas sugeridas según el tipo de estudio
+    this.dictationModeService = null; // Semántica del botón de grabar: push-to-talk, conmutar o manos libres
     this.dictaphoneHandler = null; // Referencia a tu DictaphoneHandler
+    this.currentStudy = null; // Último estudio abierto: el renderer lo recoge al cargar (puede llegar antes que la UI)
 
     // Estado y Preferencias
     this.errors = [];
@@ -37,7 +57,10 @@ class RadiologistAppController extends EventEmitter {
       dictationLanguage: 'es-ES',
       enableDictaphone: true,
       enableOllama: true,
-      preferredDictationStrategy: null, // null = auto
+      preferredDictationStrategy: null, // null = auto; 'macos' | 'windows' | 'web' | 'local'
+      localSpeechEngine: null, // Motor offline para 'local': { command, args: ['-l', '{{lang}}'], cwd, env }
+      measurementFormat: { enabled: true, decimalSeparator: ',', unitStyle: 'abbreviated' }, // Medidas dictadas: ',' | '.', 'abbreviated' (cm) | 'full' (centímetros)
+      dictationMode: { mode: 'toggle', silenceTimeoutMs: 5000 }, // Botón de grabar: 'push_to_talk' | 'toggle' | 'hands_free' (se detiene tras silenceTimeoutMs sin voz)
       ollamaConfig: {
         endpoint: 'http://localhost:11434',
         defaultModel: null, // Que OllamaService decida el default si es null
@@ -46,6 +69,8 @@ class RadiologistAppController extends EventEmitter {
       // Añadir más preferencias según sea necesario
     };
     this.currentReport = null; // Puede guardar contexto del informe actual
+    // Segmentos finales de la sesión de dictado: los ya enviados al renderer (como comando o texto previo) no se repiten al detener
+    this.dictationSession = { pendingSegments: [], consumedSegments: [] };
 
     // Configurar handlers de errores internos
     this._setupInternalErrorHandlers();
@@ -110,11 +135,16 @@ class RadiologistAppController extends EventEmitter {
               logger: this.logger, dbManager: this.dbManager, mainWindow: this.mainWindow,
               preferredStrategy: this.userPreferences.preferredDictationStrategy,
               language: this.userPreferences.dictationLanguage,
+              localEngine: this.userPreferences.localSpeechEngine,
               dictaphoneHandler: this.dictaphoneHandler // Inyectar handler existente
           });
           await this.speechService.initialize(this.mainWindow);
           this._setupSpeechServiceListeners(); // Escuchar eventos consolidados del servicio
-      } catch (error) { this._handleError(this._createError(ERROR_TYPES.SPEECH_INIT_ERROR, `Fallo init SR: ${error.message}`, { critical: false, nativeError: error })); this.speechService = null; }
+          this.dictationModeService = new DictationModeService(this.speechService, { logger: this.logger });
+          try { this.dictationModeService.configure(this.userPreferences.dictationMode); } catch (e) { this.logger.warn(`Preferencia de modo de dictado inválida, se usa '${this.dictationModeService.mode}': ${e.message}`); }
+          this.dictationModeService.on('autoStopped', (data) => this._notifyRenderer('dictation-auto-stopped', data));
+          this.dictationModeService.on('error', (error) => this._handleDictationActionError('cambiar', error));
+      } catch (error) { this._handleError(this._createError(ERROR_TYPES.SPEECH_INIT_ERROR, `Fallo init SR: ${error.message}`, { critical: false, nativeError: error })); this.speechService = null; this.dictationModeService = null; }
 
       // 3.5 Term Replacement Service (Tu versión optimizada - No crítico)
       try {
@@ -123,6 +153,13 @@ class RadiologistAppController extends EventEmitter {
         this.logger.info('MedicalTermReplacementService (Optimized) inicializado.');
       } catch (error) { this._handleError(this._createError(ERROR_TYPES.INITIALIZATION, `Fallo init Terms: ${error.message}`, { critical: false, nativeError: error })); this.termReplacementService = null; }
 
+      // 3.6 Comandos de voz (No crítico)
+      try {
+        this.voiceCommandService = new VoiceCommandService(this.dbManager, { logger: this.logger });
+        await this.voiceCommandService.refresh();
+      } catch (error) { this._handleError(this._createError(ERROR_TYPES.INITIALIZATION, `Fallo init comandos de voz: ${error.message}`, { critical: false, nativeError: error })); this.voiceCommandService = null; }
+      this.templateSuggestionService = new TemplateSuggestionService(this.dbManager, { logger: this.logger }); // Sin estado: no requiere inicialización
+
       // 3.6 Ollama Service (No crítico)
       if (this.userPreferences.enableOllama) {
         try {
@@ -133,6 +170,7 @@ class RadiologistAppController extends EventEmitter {
             requestTimeout: this.userPreferences.ollamaConfig.requestTimeout || 120000
           });
           await this.ollamaService.initialize(this.dbManager);
+          this._setupOllamaListeners();
           if (!this.ollamaService.isAvailable) this.logger.warn(`Ollama Service inicializado pero no disponible en ${this.ollamaService.endpoint}`);
         } catch (error) { this._handleError(this._createError(ERROR_TYPES.OLLAMA_INIT_ERROR, `Fallo init Ollama: ${error.message}`, { critical: false, nativeError: error })); this.ollamaService = null; }
       } else { this.logger.info('OllamaService deshabilitado.'); }
@@ -151,21 +189,67 @@ class RadiologistAppController extends EventEmitter {
     }
   }
 
+  // Texto dictado -> medidas -> comandos de puntuación -> reemplazo de términos médicos
+  async _processDictatedText(text) {
+    // Los comandos hablados se resuelven antes del reemplazo de términos
+    const formatted = this._applyDictationCommands(text);
+    let result = { original: text, processed: formatted, replacementsMade: 0, replacementDetails: [] };
+    if (this.termReplacementService && formatted) {
+        try {
+            const processingResult = await this.termReplacementService.processText(formatted, this.currentReport?.specialty, this.currentReport?.modality);
+            result = { original: text, processed: processingResult.text || formatted, replacementsMade: processingResult.replacements?.length || 0, replacementDetails: processingResult.replacements };
+        } catch (error) { this._handleError(this._createError(ERROR_TYPES.TERM_REPLACEMENT_ERROR, `Error procesando texto final: ${error.message}`, { critical: false, nativeError: error })); }
+    }
+    return result;
+  }
+
+  // El texto dictado antes del comando se envía junto a él para que el renderer lo inserte primero
+  async _dispatchVoiceCommand(command, heard) {
+    const session = this.dictationSession;
+    const pendingText = session.pendingSegments.join(' ');
+    session.consumedSegments.push(...session.pendingSegments, heard); session.pendingSegments = [];
+    this.logger.info(`Comando de voz: '${command.phrase}' -> ${command.action}${command.argument ? ` (${command.argument})` : ''}`);
+    this._notifyRenderer('voice-command', { ...command, heard, pendingText: pendingText ? await this._processDictatedText(pendingText) : null });
+  }
+
+  // Quita de la transcripción final los segmentos ya enviados (según la estrategia, llega solo el último segmento o todos)
+  _stripConsumedSegments(transcription) {
+    let remaining = transcription || '';
+    for (const segment of this.dictationSession.consumedSegments) {
+        const index = remaining.indexOf(segment);
+        if (index !== -1) remaining = remaining.slice(0, index) + remaining.slice(index + segment.length);
+    }
+    return remaining.replace(/\s{2,}/g, ' ').trim();
+  }
+
+  // Medidas y puntuación/formato hablados según el idioma de dictado y la preferencia measurementFormat
+  _applyDictationCommands(text) {
+    if (!text) return text;
+    try {
+        const language = this.userPreferences.dictationLanguage;
+        // Medidas antes que puntuación: la "coma" de "tres coma dos" es decimal, no ','
+        const normalized = this.measurementNormalizer.process(text, language, this.userPreferences.measurementFormat).text;
+        return this.dictationCommandProcessor.process(normalized, language).text;
+    } catch (error) { this.logger.error(`Error aplicando comandos de dictado: ${error.message}`); return text; }
+  }
+
   // --- Setup Listeners ---
    _setupSpeechServiceListeners() {
         if (!this.speechService) { this.logger.warn("Intento de configurar listeners de SpeechService sin servicio."); return; }
-        this.speechService.on('dictationStarted', () => this._notifyRenderer('dictation-started'));
+        this.speechService.on('dictationStarted', () => { this.dictationSession = { pendingSegments: [], consumedSegments: [] }; this._notifyRenderer('dictation-started'); });
         this.speechService.on('dictationStopped', async (transcription) => {
-            let result = { original: transcription, processed: transcription, replacementsMade: 0, replacementDetails: [] };
-            if (this.termReplacementService && transcription) {
-                try {
-                    const processingResult = await this.termReplacementService.processText(transcription, this.currentReport?.specialty, this.currentReport?.modality);
-                    result = { original: transcription, processed: processingResult.text || transcription, replacementsMade: processingResult.replacements?.length || 0, replacementDetails: processingResult.replacements };
-                } catch (error) { this._handleError(this._createError(ERROR_TYPES.TERM_REPLACEMENT_ERROR, `Error procesando texto final: ${error.message}`, { critical: false, nativeError: error })); }
+            const remaining = this._stripConsumedSegments(transcription);
+            this.dictationSession = { pendingSegments: [], consumedSegments: [] };
+            this._notifyRenderer('dictation-stopped', await this._processDictatedText(remaining));
+        });
+        this.speechService.on('transcriptionUpdate', async (data) => {
+            if (data?.isFinal && data.original) {
+                const command = this.voiceCommandService?.match(data.original, this.userPreferences.dictationLanguage);
+                if (command) { await this._dispatchVoiceCommand(command, data.original); return; }
+                this.dictationSession.pendingSegments.push(data.original);
             }
-            this._notifyRenderer('dictation-stopped', result);
+            this._notifyRenderer('transcription-update', data?.original ? { ...data, processed: this._applyDictationCommands(data.original) } : data);
         });
-        this.speechService.on('transcriptionUpdate', (data) => this._notifyRenderer('transcription-update', data));
         this.speechService.on('dictationError', (error) => { this._notifyRenderer('dictation-error', { message: error?.message, type: error?.type, id: error?.id }); this._handleError(error); });
         this.speechService.on('needsUserSetup', (data) => this._notifyRenderer('needs-user-setup', data));
         this.speechService.on('metrics', (metricsData) => this.logger.debug('Métricas estrategia:', metricsData));
@@ -175,7 +259,8 @@ class RadiologistAppController extends EventEmitter {
         if (!this.dictaphoneHandler) return;
         this.dictaphoneHandler.on('dictaphoneConnected', (data) => this._notifyRenderer('dictaphone-connected', data));
         this.dictaphoneHandler.on('dictaphoneDisconnected', (data) => this._notifyRenderer('dictaphone-disconnected', data));
-        this.dictaphoneHandler.on('dictaphoneAction', (action) => this.handleDictaphoneAction(action));
+        // Pulsación y liberación: push-to-talk necesita ambas ('dictaphoneAction' solo llega al pulsar)
+        this.dictaphoneHandler.on('dictaphoneButton', ({ button, pressed, action, devicePath }) => { if (!action) return; const source = `${devicePath}:${button}`; if (pressed) this.handleDictaphoneAction(action, { source }); else this.handleDictaphoneRelease(action, { source }); });
         this.dictaphoneHandler.on('dictaphoneError', (error) => this._notifyRenderer('dictaphone-error', { message: error?.message, type: error?.type, id: error?.id }));
         this.dictaphoneHandler.on('dictaphoneReconnecting', (data) => this._notifyRenderer('dictaphone-reconnecting', data));
         this.dictaphoneHandler.on('dictaphoneReconnectFailed', (data) => this._notifyRenderer('dictaphone-reconnect-failed', data));
@@ -184,22 +269,54 @@ class RadiologistAppController extends EventEmitter {
         this.dictaphoneHandler.on('learningModeStopped', (data) => this._notifyRenderer('dictaphone-learning-stopped', data));
    }
 
+   _setupOllamaListeners() {
+        if (!this.ollamaService) return;
+        // Fragmentos de generate/chat en streaming -> renderer (render progresivo)
+        this.ollamaService.on('streamChunk', (chunk) => this._notifyRenderer('llm-stream-chunk', chunk));
+   }
+
   // --- Manejo Acción Dictáfono ---
-  handleDictaphoneAction(action) {
+  // Inicio/parada según el modo de dictado del usuario (DictationModeService); source empareja pulsación y liberación
+  handleDictaphoneAction(action, { source = 'dictaphone' } = {}) {
     if (!action) return; this.logger.debug(`Acción dictáfono: ${action}`);
     this._notifyRenderer('dictaphone-action', { action: action });
     try {
         switch (action) {
-          case 'start_dictation': case 'record': if (this.speechService && !this.speechService.isListening) this.speechService.startListening().catch(e => this._handleDictationActionError('iniciar', e)); break;
-          case 'stop_dictation': case 'stop': if (this.speechService && this.speechService.isListening) this.speechService.stopListening().catch(e => this._handleDictationActionError('detener', e)); break;
-          case 'toggle_dictation': case 'play_pause': if (this.speechService) { if (this.speechService.isListening) this.speechService.stopListening().catch(e => this._handleDictationActionError('detener (toggle)', e)); else this.speechService.startListening().catch(e => this._handleDictationActionError('iniciar (toggle)', e)); } break;
+          case 'start_dictation': case 'record': if (!this.dictationModeService) throw new Error('SR no disp.'); this.dictationModeService.press(source); break;
+          case 'stop_dictation': case 'stop': this.dictationModeService?.stop(); break;
+          case 'toggle_dictation': case 'play_pause': if (!this.dictationModeService) throw new Error('SR no disp.'); this.dictationModeService.toggle(); break;
           case 'new_report': case 'save_report': case 'improve_report': this._notifyRenderer(action.replace('_', '-') + '-request'); break;
+          case 'next_field': case 'previous_field': case 'fast_forward': case 'rewind': break; // Navegación entre campos de plantilla: la resuelve el renderer
           default: this._notifyRenderer('custom-dictaphone-action', { action }); break;
         }
     } catch (serviceError) { this._handleError(this._createError(ERROR_TYPES.SPEECH_UNAVAILABLE, `Servicio dictado no disponible para acción '${action}'`, {critical: false})); }
   }
+  handleDictaphoneRelease(action, { source = 'dictaphone' } = {}) {
+    if (action === 'start_dictation' || action === 'record') this.dictationModeService?.release(source);
+  }
   _handleDictationActionError(actionDesc, error) { this.logger.error(`Error al ${actionDesc} dictado desde dictáfono:`, error); this._handleError(this._createError(ERROR_TYPES.SPEECH_RECOGNITION, `Fallo al ${actionDesc} dictado: ${error.message}`, { critical: false, nativeError: error })); }
 
+  // --- Estudio abierto (integraciones: worklist/RIS, línea de comandos) ---
+  // exam: { description: 'TC Tórax con contraste', modality?, specialty?, accessionNumber?, patientId?, patientName? }
+  openStudy(exam) {
+    if (!exam?.description && !exam?.modality) { this.logger.warn('openStudy: estudio sin descripción ni modalidad.'); return false; }
+    this.logger.info(`Estudio abierto: ${exam.description || exam.modality}${exam.accessionNumber ? ` (${exam.accessionNumber})` : ''}`);
+    this.currentStudy = { ...exam };
+    this._notifyRenderer('study-opened', this.currentStudy); // El renderer rellena el informe y sugiere plantilla
+    return true;
+  }
+
+  // argv del arranque o de una segunda instancia; sin argumentos de estudio no hace nada
+  openStudyFromArgs(argv = []) {
+    const exam = {};
+    for (const arg of argv) {
+      const match = /^--([a-z-]+)=(.*)$/s.exec(arg);
+      const key = match && STUDY_ARGS[match[1]];
+      if (key && match[2].trim()) exam[key] = match[2].trim();
+    }
+    return Object.keys(exam).length > 0 ? this.openStudy(exam) : false;
+  }
+
   // --- Configuración Handlers IPC ---
   _setupIPCEvents() {
     if (!ipcMain) { this.logger.error("ipcMain no disponible."); return; }
@@ -209,13 +326,17 @@ class RadiologistAppController extends EventEmitter {
     // Dictado
     ipcMain.handle('start-dictation', (e, options) => handleWithArgs('start-dictation', async (opts) => { if (!this.speechService) throw new Error('SR no disp.'); if (this.speechService.isListening) return { success: true }; await this.speechService.startListening(opts); return { success: true }; }, options));
     ipcMain.handle('stop-dictation', () => handle('stop-dictation', async () => { if (!this.speechService) throw new Error('SR no disp.'); if (!this.speechService.isListening) return { success: true, transcription: this.speechService.currentTranscription || '' }; const transcription = await this.speechService.stopListening(); return { success: true, transcription }; }));
+    ipcMain.handle('get-dictation-mode', () => handle('get-dictation-mode', async () => { if (!this.dictationModeService) throw new Error('SR no disp.'); return { success: true, ...this.dictationModeService.getConfig() }; }));
+    ipcMain.handle('set-dictation-mode', async (_, config) => handleWithArgs('set-dictation-mode', async (cfg) => { if (!this.dictationModeService) throw new Error('SR no disp.'); const applied = this.dictationModeService.configure(cfg); const saved = await this._saveSetting('preference.dictationMode', applied); if (!saved.success) throw new Error(saved.error); return { success: true, ...applied }; }, config));
+    // Botón de grabar en pantalla: pulsación/liberación (push-to-talk) con la misma lógica que el dictáfono
+    ipcMain.handle('dictation-record-button', async (_, pressed) => handleWithArgs('dictation-record-button', async (isPressed) => { if (!this.dictationModeService) throw new Error('SR no disp.'); await (isPressed ? this.dictationModeService.press('screen') : this.dictationModeService.release('screen')); return { success: true }; }, pressed));
     ipcMain.handle('get-dictation-status', () => ({ available: !!this.speechService, isListening: !!this.speechService?.isListening, strategy: this.speechService?.activeStrategy?.constructor.name || 'None' }));
 
     // Dictáfono
-    ipcMain.handle('get-connected-dictaphones', () => this.dictaphoneHandler?.getConnectedDevices() || []);
+    ipcMain.handle('get-connected-dictaphones', (_, options) => this.dictaphoneHandler?.getConnectedDevices({ includeUnsupported: !!options?.includeUnsupported }) || []); // includeUnsupported: cualquier HID, para el aprendizaje
     ipcMain.handle('set-active-dictaphone', async (_, devicePath) => handleWithArgs('set-active-dictaphone', async (path) => { if (!this.dictaphoneHandler) throw new Error('Handler no disp.'); const devInfo = await this.dictaphoneHandler.findAndConnect(path); return { success: true, device: devInfo }; }, devicePath));
-    ipcMain.handle('get-dictaphone-info', () => { const dev = this.dictaphoneHandler?.getActiveDevice(); return { isConnected: !!dev, device: dev }; });
-    ipcMain.handle('save-dictaphone-config', async (_, config) => handleWithArgs('save-dictaphone-config', async (cfg) => { if (!this.dictaphoneHandler) throw new Error('Handler no disp.'); if (!cfg || !this.dictaphoneHandler.dictaphoneConfig) throw new Error("Config inválida o no activa"); this.dictaphoneHandler.dictaphoneConfig.buttons = cfg.buttons || {}; /* Aquí podrías añadir más config */ this.dictaphoneHandler.dictaphoneConfig.modified = true; const saved = await this.dictaphoneHandler.saveConfig(); return { success: saved }; }, config));
+    ipcMain.handle('get-dictaphone-info', () => { const dev = this.dictaphoneHandler?.getActiveDevice(); return { isConnected: !!dev, device: dev, devices: this.dictaphoneHandler?.getActiveDevices() || [] }; });
+    ipcMain.handle('save-dictaphone-config', async (_, config) => handleWithArgs('save-dictaphone-config', async (cfg) => { if (!this.dictaphoneHandler) throw new Error('Handler no disp.'); const deviceConfig = cfg && this.dictaphoneHandler.getDeviceConfig(cfg.devicePath); if (!deviceConfig) throw new Error("Config inválida o no activa"); if (cfg.buttons) Object.assign(deviceConfig, { buttons: { ...cfg.buttons }, modified: true }); /* Sin 'buttons' guarda los mapeos activos (ej. tras el aprendizaje) */ const saved = await this.dictaphoneHandler.saveConfig(cfg.buttons ? cfg.devicePath : null); return { success: saved }; }, config));
     ipcMain.handle('get-default-dictaphone-mappings', (_, modelInfo) => ({ success: true, mappings: this.dictaphoneHandler?.getDefaultMappings(modelInfo?.modelName, modelInfo?.productId) || {} }));
     ipcMain.handle('start-dictaphone-learning', () => handle('start-learning', async () => { if (!this.dictaphoneHandler) throw new Error('Handler no disp.'); this.dictaphoneHandler.startLearningMode(); return { success: true }; }));
     ipcMain.handle('stop-dictaphone-learning', () => handle('stop-learning', async () => { if (!this.dictaphoneHandler) throw new Error('Handler no disp.'); this.dictaphoneHandler.stopLearningMode(); return { success: true }; }));
@@ -230,6 +351,14 @@ class RadiologistAppController extends EventEmitter {
     ipcMain.handle('process-medical-text', async (_, text, options) => handleWithArgs('process-text', async (t, o) => { if (!this.termReplacementService) throw new Error('Terms no disp.'); const result = await this.termReplacementService.processText(t, o?.specialty, o?.modality); return { success: true, data: result }; }, text, options));
     ipcMain.handle('add-medical-term', async (_, h, c, o) => handleWithArgs('add-term', async (...a) => { if (!this.termReplacementService) throw new Error('Terms no disp.'); const id = await this.termReplacementService.addOrUpdateTerm(...a); return { success: true, id }; }, h, c, o));
     ipcMain.handle('get-medical-term-suggestions', async (_, p, o) => handleWithArgs('get-term-sugg', async (...a) => { if (!this.termReplacementService) throw new Error('Terms no disp.'); const suggestions = await this.termReplacementService.getSuggestions(...a); return { success: true, suggestions }; }, p, o));
+    ipcMain.handle('propose-term-corrections', async (_, original, edited) => handleWithArgs('propose-corrections', async (a, b) => { if (!this.termReplacementService) throw new Error('Terms no disp.'); return { success: true, corrections: this.termReplacementService.proposeCorrections(a, b) }; }, original, edited));
+    ipcMain.handle('reject-term-replacement', async (_, replacement, options) => handleWithArgs('reject-replacement', async (r, o) => { if (!this.termReplacementService) throw new Error('Terms no disp.'); return { success: true, result: await this.termReplacementService.rejectReplacement(r, o || {}) }; }, replacement, options));
+    ipcMain.handle('export-medical-terms', async (_, options) => handleWithArgs('export-terms', async (o) => await this._exportMedicalTerms(o || {}), options));
+    ipcMain.handle('import-medical-terms', async (_, options) => handleWithArgs('import-terms', async (o) => await this._importMedicalTerms(o || {}), options));
+    ipcMain.handle('list-term-packs', async () => handle('list-term-packs', async () => { if (!this.termReplacementService) throw new Error('Terms no disp.'); return { success: true, packs: await this.termReplacementService.listAvailablePacks() }; }));
+    ipcMain.handle('install-term-pack', async (_, packId) => handleWithArgs('install-term-pack', async (id) => { if (!this.termReplacementService) throw new Error('Terms no disp.'); return { success: true, result: await this.termReplacementService.installPack(id) }; }, packId));
+    ipcMain.handle('update-term-pack', async (_, packId) => handleWithArgs('update-term-pack', async (id) => { if (!this.termReplacementService) throw new Error('Terms no disp.'); return { success: true, result: await this.termReplacementService.updatePack(id) }; }, packId));
+    ipcMain.handle('uninstall-term-pack', async (_, packId) => handleWithArgs('uninstall-term-pack', async (id) => { if (!this.termReplacementService) throw new Error('Terms no disp.'); return { success: true, result: await this.termReplacementService.uninstallPack(id) }; }, packId));
 
     // Configuración General
     ipcMain.handle('save-setting', async (_, key, value) => await this._saveSetting(key, value));
@@ -238,8 +367,37 @@ class RadiologistAppController extends EventEmitter {
     ipcMain.handle('reload-config', async () => handle('reload-config', async () => { this.logger.info("Recargando config..."); await this._loadUserPreferences(); this._notifyRenderer('config-reloaded'); return { success: true }; }));
 
     // Plantillas
-    ipcMain.handle('get-templates', async () => handle('get-templates', async () => ({ success: true, templates: await this.dbManager?.getAllTemplates() || [] })));
-    ipcMain.handle('save-template', async (_, data) => handleWithArgs('save-template', async (d) => ({ success: true, id: await this.dbManager?.saveTemplate(d) }), data));
+    ipcMain.handle('get-templates', async (_, filters) => handleWithArgs('get-templates', async (f) => ({ success: true, templates: await this.dbManager?.getAllTemplates(f || {}) || [] }), filters));
+    ipcMain.handle('get-template', async (_, id) => handleWithArgs('get-template', async (templateId) => { if (!this.dbManager) throw new Error('DB no disp.'); const template = await this.dbManager.getTemplate(templateId); if (!template) throw new Error(`Plantilla ${templateId} no encontrada`); return { success: true, template }; }, id));
+    ipcMain.handle('save-template', async (_, data) => handleWithArgs('save-template', async (d) => { if (!this.dbManager) throw new Error('DB no disp.'); return { success: true, id: await this.dbManager.saveTemplate(d) }; }, data));
+    ipcMain.handle('duplicate-template', async (_, id, name) => handleWithArgs('duplicate-template', async (templateId, n) => { if (!this.dbManager) throw new Error('DB no disp.'); return { success: true, id: await this.dbManager.duplicateTemplate(templateId, n) }; }, id, name));
+    ipcMain.handle('open-study', async (_, exam) => handleWithArgs('open-study', async (e) => { if (!this.openStudy(e)) throw new Error('Estudio sin descripción ni modalidad'); return { success: true }; }, exam));
+    ipcMain.handle('get-current-study', async () => handle('get-current-study', async () => ({ success: true, exam: this.currentStudy })));
+    ipcMain.handle('suggest-templates', async (_, exam, options) => handleWithArgs('suggest-templates', async (e, o) => { if (!this.templateSuggestionService) throw new Error('Sugerencias no disp.'); return { success: true, ...(await this.templateSuggestionService.suggest(e, o || {})) }; }, exam, options));
+    ipcMain.handle('record-template-usage', async (_, id, exam) => handleWithArgs('record-template-usage', async (templateId, e) => { if (!this.templateSuggestionService) throw new Error('Sugerencias no disp.'); await this.templateSuggestionService.recordUsage(templateId, e); return { success: true }; }, id, exam));
+    ipcMain.handle('export-templates', async (_, options) => handleWithArgs('export-templates', async (o) => await this._exportTemplates(o || {}), options));
+    ipcMain.handle('import-templates', async (_, options) => handleWithArgs('import-templates', async (o) => await this._importTemplates(o || {}), options));
+    ipcMain.handle('delete-template', async (_, id) => handleWithArgs('delete-template', async (templateId) => ({ success: !!(await this.dbManager?.deleteTemplate(templateId)) }), id));
+
+    // Informes
+    ipcMain.handle('save-report', async (_, data) => handleWithArgs('save-report', async (d) => { if (!this.dbManager) throw new Error('DB no disp.'); const id = await this.dbManager.saveReport(d); this.currentReport = { ...d, id }; return { success: true, id }; }, data));
+    ipcMain.handle('get-report', async (_, id) => handleWithArgs('get-report', async (reportId) => { if (!this.dbManager) throw new Error('DB no disp.'); const report = await this.dbManager.getReport(reportId); if (!report) throw new Error(`Informe ${reportId} no encontrado`); this.currentReport = report; return { success: true, report }; }, id));
+    ipcMain.handle('list-reports', async (_, filters) => handleWithArgs('list-reports', async (f) => ({ success: true, reports: await this.dbManager?.listReports(f || {}) || [] }), filters));
+    ipcMain.handle('list-report-revisions', async (_, reportId) => handleWithArgs('list-report-revisions', async (id) => ({ success: true, revisions: await this.dbManager?.listReportRevisions(id) || [] }), reportId));
+    ipcMain.handle('diff-report-revisions', async (_, fromId, toId) => handleWithArgs('diff-report-revisions', async (a, b) => { if (!this.dbManager) throw new Error('DB no disp.'); const [from, to] = await Promise.all([this.dbManager.getReportRevision(a), this.dbManager.getReportRevision(b)]); if (!from || !to) throw new Error('Revisión no encontrada'); if (from.reportId !== to.reportId) throw new Error('Las revisiones pertenecen a informes distintos'); return { success: true, from: { ...from, content: undefined }, to: { ...to, content: undefined }, diff: diffWords(from.content, to.content) }; }, fromId, toId));
+    ipcMain.handle('diff-texts', async (_, oldText, newText) => handleWithArgs('diff-texts', async (a, b) => ({ success: true, diff: diffWords(a, b) }), oldText, newText));
+    ipcMain.handle('delete-report', async (_, id) => handleWithArgs('delete-report', async (reportId) => { if (!this.dbManager) throw new Error('DB no disp.'); const deleted = await this.dbManager.deleteReport(reportId); if (deleted && this.currentReport?.id === reportId) this.currentReport = null; return { success: deleted }; }, id));
+
+    // Biblioteca de Prompts IA
+    ipcMain.handle('list-prompts', async (_, filters) => handleWithArgs('list-prompts', async (f) => ({ success: true, prompts: await this.dbManager?.getAllPrompts(f || {}) || [] }), filters));
+    ipcMain.handle('get-prompt', async (_, id) => handleWithArgs('get-prompt', async (promptId) => { if (!this.dbManager) throw new Error('DB no disp.'); const prompt = await this.dbManager.getPrompt(promptId); if (!prompt) throw new Error(`Prompt ${promptId} no encontrado`); return { success: true, prompt }; }, id));
+    ipcMain.handle('save-prompt', async (_, data) => handleWithArgs('save-prompt', async (d) => { if (!this.dbManager) throw new Error('DB no disp.'); return { success: true, id: await this.dbManager.savePrompt(d) }; }, data));
+    ipcMain.handle('delete-prompt', async (_, id) => handleWithArgs('delete-prompt', async (promptId) => ({ success: !!(await this.dbManager?.deletePrompt(promptId)) }), id));
+
+    // Comandos de voz (frases personalizadas)
+    ipcMain.handle('list-voice-commands', async (_, language) => handleWithArgs('list-voice-commands', async (lang) => ({ success: true, commands: this.voiceCommandService?.listCommands(lang || this.userPreferences.dictationLanguage) || [] }), language));
+    ipcMain.handle('save-voice-command', async (_, data) => handleWithArgs('save-voice-command', async (d) => { if (!this.dbManager) throw new Error('DB no disp.'); if (!VoiceCommandService.VOICE_COMMAND_ACTIONS.includes(d?.action)) throw new Error(`Acción de voz no válida: ${d?.action}`); const id = await this.dbManager.saveVoiceCommand({ ...d, language: (d.language || this.userPreferences.dictationLanguage || 'es').split(/[-_]/)[0].toLowerCase() }); await this.voiceCommandService?.refresh(); return { success: true, id }; }, data));
+    ipcMain.handle('delete-voice-command', async (_, id) => handleWithArgs('delete-voice-command', async (commandId) => { if (!this.dbManager) throw new Error('DB no disp.'); const deleted = await this.dbManager.deleteVoiceCommand(commandId); await this.voiceCommandService?.refresh(); return { success: deleted }; }, id));
 
     // Errores
     ipcMain.handle('get-error-log', async (_, errorId) => this._findErrorById(errorId));
@@ -250,12 +408,71 @@ class RadiologistAppController extends EventEmitter {
 
 
   // --- Helpers Internos ---
-  async _handleOllamaRequest(methodName, ...args) { try { if (!this.ollamaService) throw this._createError(ERROR_TYPES.OLLAMA_UNAVAILABLE, 'Ollama no disponible.'); if (typeof this.ollamaService[methodName] !== 'function') throw this._createError(ERROR_TYPES.OLLAMA_REQUEST_ERROR, `Método ${methodName} no válido.`); const result = await this.ollamaService[methodName](...args); return { success: true, data: result }; } catch (error) { const handledError = this._handleError(error.type ? error : this._createError(ERROR_TYPES.OLLAMA_REQUEST_ERROR, `Ollama ${methodName}: ${error.message}`, { nativeError: error })); return { success: false, error: handledError.message, errorType: handledError.type }; } }
+  async _handleOllamaRequest(methodName, ...args) { try { if (!this.ollamaService) throw this._createError(ERROR_TYPES.OLLAMA_UNAVAILABLE, 'Ollama no disponible.'); if (typeof this.ollamaService[methodName] !== 'function') throw this._createError(ERROR_TYPES.OLLAMA_REQUEST_ERROR, `Método ${methodName} no válido.`); const result = await this.ollamaService[methodName](...args); return { success: true, data: result }; } catch (error) { const handledError = this._handleError(error.type ? error : this._createError(ERROR_TYPES.OLLAMA_REQUEST_ERROR, `Ollama ${methodName}: ${error.message}`, { nativeError: error })); return { success: false, error: handledError.message, errorType: handledError.type, cancelled: !!handledError.isCancellation }; } }
   async _saveSetting(key, value) { try { if (!this.dbManager) throw new Error('DB no disp.'); await this.dbManager.saveSetting(key, value); if (key.startsWith('preference.')) this._updateLocalPreference(key.substring(11), value); this._notifyRenderer('config-changed', { key, value }); this.emit(`config-changed:${key}`, value); return { success: true }; } catch (e) { const err = this._handleError(this._createError(ERROR_TYPES.CONFIG_SAVE_ERROR, `Save setting ${key}: ${e.message}`, {nativeError: e})); return { success: false, error: err.message }; } }
   async _getAllSettings() { try { if (!this.dbManager) throw new Error('DB no disp.'); const settings = await this.dbManager.getAllSettings(); return { success: true, settings: settings || {} }; } catch (e) { const err = this._handleError(this._createError(ERROR_TYPES.CONFIG_LOAD_ERROR, `Get settings: ${e.message}`, {nativeError: e})); return { success: false, error: err.message, settings: {} }; } }
   async _updateOllamaConfig(config) { try { let needsCheck = false; if (this.ollamaService) { await this.ollamaService.updateConfig(config, this.dbManager); if(config.endpoint && config.endpoint !== this.userPreferences.ollamaConfig.endpoint) needsCheck=true; } else if (!this.userPreferences.enableOllama) throw new Error('Ollama deshabilitado'); else this.logger.warn('Guardando config Ollama sin servicio activo.'); /* Guardar prefs en DB */ if (config.endpoint !== undefined) await this._saveSetting('ollama.endpoint', config.endpoint); if (config.defaultModel !== undefined) await this._saveSetting('ollama.defaultModel', config.defaultModel); if (config.requestTimeout !== undefined) await this._saveSetting('ollama.requestTimeout', config.requestTimeout); await this._loadUserPreferences(); if (needsCheck && this.ollamaService) await this.ollamaService.checkAvailability(); return { success: true }; } catch (e) { const err = this._handleError(this._createError(ERROR_TYPES.CONFIGURATION, `Update Ollama config: ${e.message}`, {nativeError: e})); return { success: false, error: err.message }; } }
   async _loadUserPreferences() { try { this.logger.info('Cargando preferencias...'); if (!this.dbManager) throw new Error('DB no disp.'); const settings = await this.dbManager.getAllSettings(); if (settings) { for (const key in this.userPreferences) { const savedValue = settings[`preference.${key}`]; if (savedValue !== undefined) this._updateLocalPreference(key, savedValue); } /* Cargar ollamaConfig anidado */ const savedOllama = settings['preference.ollamaConfig']; if(typeof savedOllama === 'object' && savedOllama !== null) this.userPreferences.ollamaConfig = {...this.userPreferences.ollamaConfig, ...savedOllama}; else { /* cargar claves individuales si no */ } } else { this.logger.warn('No se cargaron settings de BD.'); } this.configLoaded = true; this.logger.info('Preferencias cargadas:', this.userPreferences); return true; } catch (e) { this.logger.error('Error cargando prefs:', e); this._handleError(this._createError(ERROR_TYPES.CONFIG_LOAD_ERROR, `Error cargando prefs: ${e.message}`, { critical: false, nativeError: e })); this.configLoaded = false; return false; } }
-  _updateLocalPreference(key, value) { /* ... (igual que antes) ... */ }
+  _updateLocalPreference(key, value) { if (!(key in this.userPreferences)) { this.logger.debug(`Preferencia desconocida ignorada: ${key}`); return; } const current = this.userPreferences[key]; /* Objetos (ollamaConfig, localSpeechEngine) se fusionan con los valores por defecto */ this.userPreferences[key] = (current && typeof current === 'object' && value && typeof value === 'object' && !Array.isArray(value)) ? { ...current, ...value } : value; }
+  // Exporta el diccionario a CSV/JSON. Sin filePath pregunta la ruta (el formato sale de la extensión elegida)
+  async _exportMedicalTerms({ filePath, format, specialty, modality }) {
+      if (!this.dbManager) throw new Error('DB no disp.');
+      if (!filePath) {
+          const { canceled, filePath: chosen } = await dialog.showSaveDialog(this.mainWindow, { title: 'Exportar diccionario de términos', defaultPath: `terminos-medicos.${format || 'csv'}`, filters: [{ name: 'CSV', extensions: ['csv'] }, { name: 'JSON', extensions: ['json'] }] });
+          if (canceled || !chosen) return { success: false, cancelled: true };
+          filePath = chosen;
+      }
+      const fileFormat = format || formatFromPath(filePath) || 'csv';
+      const terms = await this.dbManager.exportMedicalTerms({ specialty, modality });
+      await fs.writeFile(filePath, serializeMedicalTerms(terms, fileFormat), 'utf8');
+      this.logger.info(`Diccionario exportado (${terms.length} términos, ${fileFormat}): ${filePath}`);
+      return { success: true, filePath, format: fileFormat, count: terms.length };
+  }
+
+  // Importa el diccionario. Flujo previsto: dryRun para mostrar conflictos y repetir con el mismo filePath y la estrategia elegida
+  async _importMedicalTerms({ filePath, format, strategy = 'skip', dryRun = false }) {
+      if (!this.dbManager) throw new Error('DB no disp.');
+      if (!filePath) {
+          const { canceled, filePaths } = await dialog.showOpenDialog(this.mainWindow, { title: 'Importar diccionario de términos', properties: ['openFile'], filters: [{ name: 'Diccionario (CSV, JSON)', extensions: ['csv', 'json'] }] });
+          if (canceled || !filePaths?.length) return { success: false, cancelled: true };
+          filePath = filePaths[0];
+      }
+      const fileFormat = format || formatFromPath(filePath);
+      if (!fileFormat) throw new Error(`Formato no reconocido: ${path.basename(filePath)} (use .csv o .json)`);
+      const terms = parseMedicalTermsFile(await fs.readFile(filePath, 'utf8'), fileFormat);
+      const report = await this.dbManager.importMedicalTerms(terms, { strategy, dryRun });
+      if (!dryRun && (report.inserted > 0 || report.updated > 0) && this.termReplacementService) { this.termReplacementService.clearCache(); await this.termReplacementService.refreshCache(); }
+      return { success: true, filePath, format: fileFormat, report };
+  }
+
+  // Exporta plantillas a un paquete JSON portable. Sin templateIds se exportan todas; sin filePath pregunta la ruta
+  async _exportTemplates({ filePath, templateIds, description }) {
+      if (!this.dbManager) throw new Error('DB no disp.');
+      const templates = await this.dbManager.exportTemplates(templateIds);
+      if (templates.length === 0) throw new Error('No hay plantillas que exportar');
+      if (!filePath) {
+          const { canceled, filePath: chosen } = await dialog.showSaveDialog(this.mainWindow, { title: 'Exportar plantillas', defaultPath: 'plantillas.signia.json', filters: [{ name: 'Paquete de plantillas', extensions: ['json'] }] });
+          if (canceled || !chosen) return { success: false, cancelled: true };
+          filePath = chosen;
+      }
+      await fs.writeFile(filePath, serializeTemplateBundle(templates, { description }), 'utf8');
+      this.logger.info(`Plantillas exportadas (${templates.length}): ${filePath}`);
+      return { success: true, filePath, count: templates.length };
+  }
+
+  // Importa un paquete de plantillas. Mismo flujo que el diccionario: dryRun para ver conflictos y repetir con la estrategia elegida
+  async _importTemplates({ filePath, strategy = 'rename', dryRun = false }) {
+      if (!this.dbManager) throw new Error('DB no disp.');
+      if (!filePath) {
+          const { canceled, filePaths } = await dialog.showOpenDialog(this.mainWindow, { title: 'Importar plantillas', properties: ['openFile'], filters: [{ name: 'Paquete de plantillas', extensions: ['json'] }] });
+          if (canceled || !filePaths?.length) return { success: false, cancelled: true };
+          filePath = filePaths[0];
+      }
+      const bundle = parseTemplateBundle(await fs.readFile(filePath, 'utf8'));
+      const report = await this.dbManager.importTemplates(bundle.templates, { strategy, dryRun });
+      return { success: true, filePath, bundle: { version: bundle.version, description: bundle.description, exportedAt: bundle.exportedAt }, report };
+  }
+
   _notifyRenderer(channel, data = {}) { if (this.mainWindow?.webContents && !this.mainWindow.webContents.isDestroyed()) { try { this.mainWindow.webContents.send(channel, data); } catch (e) { this.logger.error(`Error send IPC (${channel}): ${e.message}`); } } else { /* log warn */ } }
   _createError(type, message, details = {}) { /* ... (igual que antes) ... */ }
   _handleError(error) { /* ... (igual que antes) ... */ error._handled = true; return error; } // Marcar como manejado
@@ -272,6 +489,7 @@ class RadiologistAppController extends EventEmitter {
       };
       await cleanupService('OllamaService', this.ollamaService);
       await cleanupService('MedicalTermReplacementService', this.termReplacementService);
+      await cleanupService('DictationModeService', this.dictationModeService);
       await cleanupService('SpeechRecognitionService', this.speechService); // Limpia su propio handler
       // Limpiar handler solo si no fue limpiado por SpeechService
       if (this.dictaphoneHandler && !this.speechService?.dictaphoneHandler) {
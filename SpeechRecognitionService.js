@@ -4,6 +4,7 @@ const logger = require('../utils/logger');
 const MacOSSpeechStrategy = require('../strategies/MacOSSpeechStrategy');
 const WindowsSpeechStrategy = require('../strategies/WindowsSpeechStrategy');
 const WebSpeechStrategy = require('../strategies/WebSpeechStrategy');
+const LocalProcessSpeechStrategy = require('../strategies/LocalProcessSpeechStrategy');
 const DictaphoneHandler = require('../hardware/DictaphoneHandler');
 const ERROR_TYPES = require('../utils/error-types');
 
@@ -16,6 +17,7 @@ class SpeechRecognitionService extends EventEmitter {
     this.preferredStrategy = options.preferredStrategy || null;
     this.enableDictaphone = options.enableDictaphone !== false;
     this.language = options.language || 'es-ES';
+    this.localEngine = options.localEngine || null; // { command, args, cwd, env } para la estrategia 'local'
     this.activeStrategy = null;
     this.dictaphoneHandler = options.dictaphoneHandler || null; // Acepta handler inyectado
     this.isInitialized = false; this.isListening = false; this.currentTranscription = '';
@@ -66,12 +68,14 @@ class SpeechRecognitionService extends EventEmitter {
         if (this.preferredStrategy === 'macos' && platform === 'darwin') strategy = new MacOSSpeechStrategy({ logger: this.logger });
         else if (this.preferredStrategy === 'windows' && platform === 'win32') strategy = new WindowsSpeechStrategy({ logger: this.logger });
         else if (this.preferredStrategy === 'web' && this.mainWindow) strategy = new WebSpeechStrategy(this.mainWindow, { logger: this.logger });
+        else if (this.preferredStrategy === 'local' && this.localEngine?.command) strategy = new LocalProcessSpeechStrategy({ logger: this.logger, language: this.language, ...this.localEngine });
         if (strategy) { this.logger.info(`Usando estrategia preferida: ${this.preferredStrategy}`); return strategy; }
         else this.logger.warn(`Preferencia '${this.preferredStrategy}' no compatible/falló. Auto-detectando...`);
     }
     // 2. Auto-detección OS
     if (platform === 'darwin') strategy = new MacOSSpeechStrategy({ logger: this.logger });
     else if (platform === 'win32') strategy = new WindowsSpeechStrategy({ logger: this.logger });
+    else if (platform === 'linux' && this.localEngine?.command) strategy = new LocalProcessSpeechStrategy({ logger: this.logger, language: this.language, ...this.localEngine }); // Offline si hay motor configurado
     // 3. Fallback a WebSpeech
     if (!strategy) {
         if (!this.mainWindow) { this.logger.error("WebSpeech (fallback) requiere mainWindow."); return null; }
@@ -115,8 +119,8 @@ class SpeechRecognitionService extends EventEmitter {
   // --- Métodos delegados a DictaphoneHandler ---
   getConnectedDictaphones() { return this.dictaphoneHandler?.getConnectedDevices() || []; }
   async setActiveDictaphone(devicePath) { if (!this.dictaphoneHandler) throw new Error('Handler no disp.'); return await this.dictaphoneHandler.findAndConnect(devicePath); }
-  getActiveDictaphoneInfo() { if (!this.dictaphoneHandler) return { isConnected: false, device: null }; const dev = this.dictaphoneHandler.getActiveDevice(); return { isConnected: !!dev, device: dev }; }
-  async saveDictaphoneConfig(config) { if (!this.dictaphoneHandler) throw new Error('Handler no disp.'); /* Podría necesitar lógica para asignar antes de guardar */ return await this.dictaphoneHandler.saveConfig(); }
+  getActiveDictaphoneInfo() { if (!this.dictaphoneHandler) return { isConnected: false, device: null }; const dev = this.dictaphoneHandler.getActiveDevice(); return { isConnected: !!dev, device: dev, devices: this.dictaphoneHandler.getActiveDevices() }; }
+  async saveDictaphoneConfig(config) { if (!this.dictaphoneHandler) throw new Error('Handler no disp.'); const deviceConfig = this.dictaphoneHandler.getDeviceConfig(config?.devicePath); if (config?.buttons && deviceConfig) Object.assign(deviceConfig, { buttons: { ...config.buttons }, modified: true }); return await this.dictaphoneHandler.saveConfig(config?.buttons ? config.devicePath : null); }
   getDefaultMappings(modelName, productId) { if (!this.dictaphoneHandler) throw new Error('Handler no disp.'); return this.dictaphoneHandler.getDefaultMappings(modelName, productId); }
 
   async cleanup() {
@@ -0,0 +1,146 @@
+const logger = require('../utils/logger');
+
+// Sugerencia de plantillas a partir del tipo de estudio: "TC Tórax con contraste" -> modalidad 'TC', región 'thorax', resto de palabras.
+// Cada plantilla puntúa por coincidencia de modalidad, especialidad (región) y etiquetas, más su prioridad y las veces que se eligió.
+
+// Modalidad canónica -> formas en que aparece en descripciones de estudio y en las plantillas (sin tildes)
+const MODALITY_ALIASES = {
+  TC: ['tc', 'tac', 'ct', 'tomografia', 'tomografia computarizada', 'angio tc', 'angiotc'],
+  RM: ['rm', 'rmn', 'mr', 'mri', 'resonancia', 'resonancia magnetica', 'angio rm', 'angiorm'],
+  RX: ['rx', 'radiografia', 'radiologia simple', 'placa', 'xr', 'cr', 'dx'],
+  ECO: ['eco', 'ecografia', 'ecografico', 'us', 'ultrasonido', 'doppler', 'ecodoppler'],
+  MG: ['mg', 'mx', 'mamografia', 'tomosintesis'],
+  PET: ['pet', 'pet tc', 'pet-tc', 'pt'],
+  DXA: ['dxa', 'dexa', 'densitometria'],
+};
+
+// Región canónica (las especialidades de los paquetes de términos) -> palabras que la identifican
+const REGION_ALIASES = {
+  thorax: ['torax', 'toracico', 'toracica', 'thorax', 'chest', 'pulmon', 'pulmonar', 'pulmones', 'mediastino', 'pleura'],
+  abdomen: ['abdomen', 'abdominal', 'abdominopelvico', 'abdominopelvica', 'pelvis', 'pelvico', 'pelvica', 'higado', 'hepatico', 'renal', 'rinon', 'urologico', 'digestivo'],
+  neuro: ['neuro', 'neurorradiologia', 'craneo', 'craneal', 'cerebro', 'cerebral', 'encefalo', 'cabeza', 'orbitas', 'senos paranasales'],
+  musculoskeletal: ['musculoskeletal', 'musculoesqueletico', 'msk', 'osteoarticular', 'traumatologia', 'rodilla', 'hombro', 'cadera', 'tobillo', 'muneca', 'codo', 'mano', 'pie', 'columna'],
+  breast: ['breast', 'mama', 'mamas', 'mamaria', 'senologia'],
+  cardiac: ['cardiac', 'cardio', 'cardiaco', 'cardiaca', 'corazon', 'coronario', 'coronarias'],
+};
+
+const STOPWORDS = new Set(['de', 'del', 'la', 'el', 'los', 'las', 'y', 'e', 'en', 'a', 'con', 'sin', 'para', 'por', 'of', 'and', 'with', 'without']);
+
+// Pesos de la puntuación
+const WEIGHTS = Object.freeze({ modality: 4, modalityMismatch: -4, region: 3, regionMismatch: -2, tag: 2, nameWord: 0.5, priority: 0.3, usage: 1.5, usageInContext: 2 });
+
+// Minúsculas, sin tildes ni puntuación (los guiones separan: "PET-TC" -> "pet tc")
+const normalize = (text) => String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+
+// ¿Aparece la frase (normalizada) como palabras completas en el texto (normalizado)?
+const containsPhrase = (text, phrase) => phrase.length > 0 && ` ${text} `.includes(` ${phrase} `);
+
+// Primera clave cuyo alias aparece en el texto (los alias más largos primero: "pet tc" antes que "tc")
+function detectAlias(text, aliases) {
+  const normalized = normalize(text);
+  if (!normalized) return null;
+  let best = null;
+  for (const [key, forms] of Object.entries(aliases)) {
+    for (const form of forms) {
+      const phrase = normalize(form);
+      if (containsPhrase(normalized, phrase) && (!best || phrase.length > best.length)) best = { key, length: phrase.length };
+    }
+  }
+  return best?.key || null;
+}
+
+class TemplateSuggestionService {
+  constructor(dbManager, options = {}) {
+    if (!dbManager) throw new Error('TemplateSuggestionService requiere un DatabaseManager');
+    this.dbManager = dbManager;
+    this.logger = options.logger || logger;
+  }
+
+  /**
+   * Interpreta la descripción del estudio. modality/specialty explícitos tienen preferencia sobre lo detectado en el texto.
+   * @param {string|{description?: string, modality?: string, specialty?: string, bodyRegion?: string}} exam
+   * @returns {{description: string, modality: string|null, region: string|null, words: string[]}}
+   */
+  parseExam(exam) {
+    const data = typeof exam === 'string' ? { description: exam } : (exam || {});
+    const description = String(data.description || '').trim();
+    const modality = detectAlias(data.modality, MODALITY_ALIASES) || detectAlias(description, MODALITY_ALIASES);
+    const region = detectAlias(data.bodyRegion || data.specialty, REGION_ALIASES) || detectAlias(description, REGION_ALIASES);
+    const words = normalize(description).split(' ').filter(w => w && !STOPWORDS.has(w));
+    return { description, modality, region, words };
+  }
+
+  /**
+   * Plantillas ordenadas por afinidad con el estudio.
+   * @param {string|object} exam - Descripción ("TC Tórax con contraste") o { description?, modality?, specialty?, bodyRegion? }.
+   * @param {object} [options]
+   * @param {number} [options.limit=5]
+   * @returns {Promise<{exam: object, suggestions: Array<{template: object, score: number, reasons: string[]}>}>}
+   */
+  async suggest(exam, options = {}) {
+    const { limit = 5 } = options;
+    const parsed = this.parseExam(exam);
+    if (!parsed.modality && !parsed.region && parsed.words.length === 0) return { exam: parsed, suggestions: [] };
+
+    const [templates, usage] = await Promise.all([
+      this.dbManager.getAllTemplates(),
+      this.dbManager.getTemplateUsageStats({ modality: parsed.modality, region: parsed.region }),
+    ]);
+    const suggestions = templates
+      .map(template => ({ template, ...this._scoreTemplate(template, parsed, usage.get(template.id)) }))
+      .filter(s => s.relevant && s.score > 0)
+      .sort((a, b) => b.score - a.score || (b.template.priority || 0) - (a.template.priority || 0) || a.template.name.localeCompare(b.template.name))
+      .slice(0, limit)
+      .map(({ template, score, reasons }) => ({
+        template: { id: template.id, name: template.name, specialty: template.specialty, modality: template.modality, tags: template.tags, priority: template.priority },
+        score: Math.round(score * 100) / 100, reasons
+      }));
+    this.logger.debug(`Sugerencias de plantilla para '${parsed.description}' (${parsed.modality || '?'}/${parsed.region || '?'}): ${suggestions.map(s => s.template.name).join(', ') || 'ninguna'}`);
+    return { exam: parsed, suggestions };
+  }
+
+  // Registra la elección del usuario (alimenta el peso por uso)
+  async recordUsage(templateId, exam = null) {
+    const { modality, region } = exam ? this.parseExam(exam) : {};
+    return this.dbManager.recordTemplateUsage(templateId, { modality, region });
+  }
+
+  // relevant: coincide en algo del estudio (la prioridad y el uso solo ordenan, no bastan para sugerir)
+  _scoreTemplate(template, exam, usage) {
+    const reasons = []; let score = 0; let relevant = false;
+    const name = normalize(template.name);
+    const tags = (template.tags || []).map(normalize).filter(Boolean);
+
+    const modality = detectAlias(template.modality, MODALITY_ALIASES) || detectAlias(template.name, MODALITY_ALIASES);
+    if (exam.modality && modality) {
+      if (modality === exam.modality) { score += WEIGHTS.modality; relevant = true; reasons.push(`modalidad ${modality}`); }
+      else score += WEIGHTS.modalityMismatch;
+    }
+    const region = detectAlias(template.specialty, REGION_ALIASES) || tags.map(t => detectAlias(t, REGION_ALIASES)).find(Boolean) || detectAlias(template.name, REGION_ALIASES);
+    if (exam.region && region) {
+      if (region === exam.region) { score += WEIGHTS.region; relevant = true; reasons.push(`región ${region}`); }
+      else score += WEIGHTS.regionMismatch;
+    }
+    const description = normalize(exam.description);
+    for (const tag of tags) {
+      // "sin contraste" no casa con la etiqueta 'contraste'
+      if (containsPhrase(description, tag) && !containsPhrase(description, `sin ${tag}`)) { score += WEIGHTS.tag; relevant = true; reasons.push(`etiqueta '${tag}'`); }
+      else if (tag.startsWith('sin ') && containsPhrase(description, `con ${tag.slice(4)}`)) score -= WEIGHTS.tag; // 'sin contraste' para un estudio "con contraste"
+    }
+    const nameWords = exam.words.filter(word => containsPhrase(name, word));
+    if (nameWords.length > 0) { score += WEIGHTS.nameWord * nameWords.length; relevant = true; }
+
+    score += WEIGHTS.priority * Math.max(0, Math.min(template.priority || 0, 10));
+    if (usage?.total) {
+      score += WEIGHTS.usage * Math.log2(1 + usage.total) + WEIGHTS.usageInContext * Math.log2(1 + usage.inContext);
+      reasons.push(`elegida ${usage.total} ${usage.total === 1 ? 'vez' : 'veces'}`);
+    }
+    return { score, relevant, reasons };
+  }
+}
+
+module.exports = TemplateSuggestionService;
+module.exports.MODALITY_ALIASES = MODALITY_ALIASES;
+module.exports.REGION_ALIASES = REGION_ALIASES;
+module.exports.detectAlias = detectAlias;
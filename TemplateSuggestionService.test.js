@@ -0,0 +1,81 @@
+// tests/TemplateSuggestionService.test.js
+jest.mock('../utils/logger', () => require('./test-utils').mockLogger);
+
+const TemplateSuggestionService = require('../services/TemplateSuggestionService');
+const { MODALITY_ALIASES, REGION_ALIASES, detectAlias } = TemplateSuggestionService;
+const { mockLogger, mockDbManager } = require('./test-utils');
+
+const template = (id, name, extra = {}) => ({ id, name, specialty: null, modality: null, tags: [], priority: 0, ...extra });
+
+describe('TemplateSuggestionService - interpretación del estudio', () => {
+  let service;
+
+  beforeEach(() => { service = new TemplateSuggestionService(mockDbManager, { logger: mockLogger }); });
+
+  test('"TC Tórax con contraste" se resuelve a TC / thorax', () => {
+    expect(service.parseExam('TC Tórax con contraste')).toEqual({ description: 'TC Tórax con contraste', modality: 'TC', region: 'thorax', words: ['tc', 'torax', 'contraste'] });
+  });
+
+  test('la modalidad y la especialidad explícitas tienen preferencia sobre la descripción', () => {
+    const parsed = service.parseExam({ description: 'Resonancia de rodilla', modality: 'CT', specialty: 'abdomen' });
+    expect(parsed).toMatchObject({ modality: 'TC', region: 'abdomen' });
+  });
+
+  test('detectAlias: palabras completas, sin tildes, y el alias más largo gana', () => {
+    expect(detectAlias('PET-TC de cuerpo entero', MODALITY_ALIASES)).toBe('PET');
+    expect(detectAlias('Ecografía abdominal', MODALITY_ALIASES)).toBe('ECO');
+    expect(detectAlias('Ecografía abdominal', REGION_ALIASES)).toBe('abdomen');
+    expect(detectAlias('mamografía', REGION_ALIASES)).toBeNull(); // 'mama' no aparece como palabra completa
+    expect(detectAlias('', MODALITY_ALIASES)).toBeNull();
+  });
+});
+
+describe('TemplateSuggestionService - puntuación', () => {
+  let service;
+
+  beforeEach(() => { service = new TemplateSuggestionService(mockDbManager, { logger: mockLogger }); });
+
+  test('modalidad, región y etiquetas suman; la modalidad distinta resta', () => {
+    const exam = service.parseExam('TC Tórax con contraste');
+    const match = service._scoreTemplate(template(1, 'TC tórax', { modality: 'TC', specialty: 'thorax', tags: ['contraste'] }), exam);
+    const other = service._scoreTemplate(template(2, 'RM tórax', { modality: 'RM', specialty: 'thorax' }), exam);
+    expect(match.relevant).toBe(true);
+    expect(match.reasons).toEqual(['modalidad TC', 'región thorax', "etiqueta 'contraste'"]);
+    expect(match.score).toBeGreaterThan(other.score);
+  });
+
+  test('una plantilla con etiqueta "sin contraste" se penaliza para un estudio con contraste', () => {
+    const exam = service.parseExam('TC Tórax con contraste');
+    const withContrast = service._scoreTemplate(template(1, 'TC tórax', { modality: 'TC', specialty: 'thorax', tags: ['contraste'] }), exam);
+    const withoutContrast = service._scoreTemplate(template(2, 'TC tórax', { modality: 'TC', specialty: 'thorax', tags: ['sin contraste'] }), exam);
+    const untagged = service._scoreTemplate(template(3, 'TC tórax', { modality: 'TC', specialty: 'thorax' }), exam);
+    expect(withoutContrast.score).toBeLessThan(untagged.score);
+    expect(untagged.score).toBeLessThan(withContrast.score);
+    expect(withoutContrast.reasons).not.toContain("etiqueta 'sin contraste'");
+  });
+
+  test('"sin contraste" en el estudio no casa con la etiqueta "contraste"', () => {
+    const result = service._scoreTemplate(template(1, 'Plantilla', { tags: ['contraste'] }), service.parseExam('TC Tórax sin contraste'));
+    expect(result.reasons).not.toContain("etiqueta 'contraste'");
+  });
+
+  test('la prioridad y el uso ordenan pero no bastan para sugerir', () => {
+    const exam = service.parseExam('TC Tórax con contraste');
+    const result = service._scoreTemplate(template(1, 'Informe libre', { priority: 10 }), exam, { total: 50, inContext: 0 });
+    expect(result.relevant).toBe(false);
+    const used = service._scoreTemplate(template(2, 'TC tórax', { modality: 'TC' }), exam, { total: 3, inContext: 3 });
+    expect(used.score).toBeGreaterThan(service._scoreTemplate(template(3, 'TC tórax', { modality: 'TC' }), exam).score);
+    expect(used.reasons).toContain('elegida 3 veces');
+  });
+
+  test('suggest devuelve primero la plantilla más afín', async () => {
+    mockDbManager.getAllTemplates.mockResolvedValueOnce([
+      template(1, 'RM rodilla', { modality: 'RM', specialty: 'musculoskeletal' }),
+      template(2, 'TC tórax sin contraste', { modality: 'TC', specialty: 'thorax', tags: ['sin contraste'] }),
+      template(3, 'TC tórax con contraste', { modality: 'TC', specialty: 'thorax', tags: ['contraste'] }),
+    ]);
+    const dbManager = { ...mockDbManager, getTemplateUsageStats: jest.fn().mockResolvedValue(new Map()) };
+    const result = await new TemplateSuggestionService(dbManager, { logger: mockLogger }).suggest('TC Tórax con contraste');
+    expect(result.suggestions.map(s => s.template.id)).toEqual([3, 2]);
+  });
+});
@@ -0,0 +1,112 @@
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+
+// Acciones de edición/navegación que el renderer sabe ejecutar
+const VOICE_COMMAND_ACTIONS = Object.freeze(['delete_last_sentence', 'undo', 'goto_section', 'next_field', 'previous_field', 'select']);
+
+// Frases por defecto por idioma. '{texto}' al final captura el resto de la frase como argumento.
+const DEFAULT_VOICE_COMMANDS = {
+  es: [
+    { phrase: 'borrar última frase', action: 'delete_last_sentence' },
+    { phrase: 'borrar frase', action: 'delete_last_sentence' },
+    { phrase: 'deshacer', action: 'undo' },
+    { phrase: 'ir a técnica', action: 'goto_section', argument: 'technique' },
+    { phrase: 'ir a hallazgos', action: 'goto_section', argument: 'findings' },
+    { phrase: 'ir a impresión', action: 'goto_section', argument: 'impression' },
+    { phrase: 'ir a impresión diagnóstica', action: 'goto_section', argument: 'impression' },
+    { phrase: 'ir a conclusión', action: 'goto_section', argument: 'impression' },
+    { phrase: 'siguiente campo', action: 'next_field' },
+    { phrase: 'campo anterior', action: 'previous_field' },
+    { phrase: 'seleccionar {texto}', action: 'select' },
+  ],
+  en: [
+    { phrase: 'delete last sentence', action: 'delete_last_sentence' },
+    { phrase: 'undo', action: 'undo' },
+    { phrase: 'go to technique', action: 'goto_section', argument: 'technique' },
+    { phrase: 'go to findings', action: 'goto_section', argument: 'findings' },
+    { phrase: 'go to impression', action: 'goto_section', argument: 'impression' },
+    { phrase: 'next field', action: 'next_field' },
+    { phrase: 'previous field', action: 'previous_field' },
+    { phrase: 'select {text}', action: 'select' },
+  ]
+};
+
+const WILDCARD_REGEX = /\{\s*(texto|text)\s*\}$/i;
+
+// Minúsculas, sin tildes ni puntuación: "Ir a Hallazgos." -> "ir a hallazgos"
+const normalizePhrase = (text) => (text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}\s{}]/gu, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * Reconoce comandos de voz (frase completa) en las transcripciones finales.
+ * Las frases por defecto se combinan con las personalizadas de la tabla 'voice_commands'.
+ */
+class VoiceCommandService extends EventEmitter {
+  constructor(dbManager, options = {}) {
+    super();
+    this.dbManager = dbManager || null;
+    this.logger = options.logger || logger;
+    this.customCommands = []; // Filas de la BD
+    this.grammarCache = {}; // { lang: [{ words, hasWildcard, action, argument, phrase }] }
+  }
+
+  // Recarga las frases personalizadas (llamar tras guardar/eliminar)
+  async refresh() {
+    if (!this.dbManager) return;
+    try { this.customCommands = await this.dbManager.getVoiceCommands(); }
+    catch (error) { this.logger.warn(`No se pudieron cargar los comandos de voz personalizados: ${error.message}`); this.customCommands = []; }
+    this.grammarCache = {};
+    this.logger.info(`Comandos de voz cargados (${this.customCommands.length} personalizados).`);
+  }
+
+  /**
+   * Lista combinada de comandos del idioma; las personalizadas sustituyen a la predeterminada con la misma frase.
+   * @returns {Array<{id: number|null, phrase: string, action: string, argument: string|null, language: string, enabled: boolean, isCustom: boolean}>}
+   */
+  listCommands(language) {
+    const lang = this._languageKey(language);
+    const byPhrase = new Map();
+    (DEFAULT_VOICE_COMMANDS[lang] || []).forEach(cmd => byPhrase.set(normalizePhrase(cmd.phrase), { id: null, argument: null, ...cmd, language: lang, enabled: true, isCustom: false }));
+    this.customCommands.filter(cmd => cmd.language === lang).forEach(cmd => byPhrase.set(normalizePhrase(cmd.phrase), { ...cmd, isCustom: true }));
+    return [...byPhrase.values()];
+  }
+
+  /**
+   * Interpreta una transcripción final como comando si coincide completa con una frase.
+   * @returns {{action: string, argument: string|null, phrase: string}|null}
+   */
+  match(text, language) {
+    const normalized = normalizePhrase(text);
+    if (!normalized) return null;
+    const words = normalized.split(' ');
+    for (const cmd of this._getGrammar(language)) {
+        if (cmd.hasWildcard ? words.length <= cmd.words.length : words.length !== cmd.words.length) continue;
+        if (!cmd.words.every((w, i) => words[i] === w)) continue;
+        // El argumento conserva el texto original (mayúsculas/tildes) para buscarlo en el editor
+        const argument = cmd.hasWildcard ? (text || '').trim().split(/\s+/).slice(cmd.words.length).join(' ').replace(/[.,;:!?¡¿]+$/, '') : cmd.argument;
+        return { action: cmd.action, argument: argument ?? null, phrase: cmd.phrase };
+    }
+    return null;
+  }
+
+  _getGrammar(language) {
+    const lang = this._languageKey(language);
+    if (!this.grammarCache[lang]) {
+        this.grammarCache[lang] = this.listCommands(lang)
+            .filter(cmd => cmd.enabled && VOICE_COMMAND_ACTIONS.includes(cmd.action))
+            .map(cmd => {
+                const hasWildcard = WILDCARD_REGEX.test(cmd.phrase.trim());
+                const words = normalizePhrase(cmd.phrase.trim().replace(WILDCARD_REGEX, '')).split(' ').filter(Boolean);
+                return { ...cmd, words, hasWildcard };
+            })
+            .filter(cmd => cmd.words.length > 0)
+            .sort((a, b) => b.words.length - a.words.length); // Frases más largas primero
+    }
+    return this.grammarCache[lang];
+  }
+
+  _languageKey(language) { return (language || 'es').toLowerCase().split(/[-_]/)[0]; }
+}
+
+module.exports = VoiceCommandService;
+module.exports.VOICE_COMMAND_ACTIONS = VOICE_COMMAND_ACTIONS;
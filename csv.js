@@ -0,0 +1,58 @@
+// Lectura/escritura CSV (RFC 4180) sin dependencias: comillas, comillas escapadas ("") y saltos de línea dentro de celdas.
+// Excel en español exporta con ';' como separador: parseCsv lo detecta a partir de la cabecera.
+
+/**
+ * @param {string} text - Contenido CSV (admite BOM y finales de línea CRLF).
+ * @param {object} [options]
+ * @param {string} [options.delimiter] - Separador; por defecto se detecta entre ',', ';' y tabulador.
+ * @returns {string[][]} Filas como arrays de celdas (se omiten las filas vacías).
+ */
+function parseCsv(text, options = {}) {
+  const source = (text || '').replace(/^\uFEFF/, '');
+  const delimiter = options.delimiter || detectDelimiter(source);
+  const rows = []; let row = []; let cell = ''; let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') { cell += '"'; i++; }
+      else if (char === '"') inQuotes = false;
+      else cell += char;
+    } else if (char === '"' && cell === '') inQuotes = true;
+    else if (char === delimiter) { row.push(cell); cell = ''; }
+    else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += char;
+  }
+  if (cell !== '' || row.length > 0) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// El separador más frecuente fuera de comillas en la primera línea
+function detectDelimiter(text) {
+  const firstLine = (text.split(/\r?\n/, 1)[0] || '').replace(/"[^"]*"/g, '');
+  const counts = [',', ';', '\t'].map(d => [d, firstLine.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/**
+ * @param {object[]} records - Objetos a serializar.
+ * @param {string[]} columns - Claves de los objetos, en orden; también son la cabecera.
+ * @param {object} [options]
+ * @param {string} [options.delimiter=',']
+ * @returns {string} CSV con cabecera y finales de línea CRLF (compatible con Excel).
+ */
+function toCsv(records, columns, options = {}) {
+  const delimiter = options.delimiter || ',';
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [columns.map(escape).join(delimiter)];
+  for (const record of records || []) lines.push(columns.map(column => escape(record[column])).join(delimiter));
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsv, detectDelimiter };
@@ -0,0 +1,44 @@
+// tests/csv.test.js
+const { parseCsv, toCsv, detectDelimiter } = require('../utils/csv');
+
+describe('csv - lectura', () => {
+  test('detecta el separador de Excel en español (;) a partir de la cabecera', () => {
+    expect(detectDelimiter('termino;correcto\nviliar;biliar')).toBe(';');
+    expect(detectDelimiter('a\tb\n1\t2')).toBe('\t');
+    expect(detectDelimiter('sin separador')).toBe(',');
+  });
+
+  test('los separadores entre comillas de la cabecera no cuentan', () => {
+    expect(detectDelimiter('"a;b;c",d\n1,2')).toBe(',');
+  });
+
+  test('comillas escapadas, separadores y saltos de línea dentro de celdas', () => {
+    const text = 'oído,corregido\n"lobulo ""sup""","lóbulo, superior"\n"dos\nlíneas",x';
+    expect(parseCsv(text)).toEqual([
+      ['oído', 'corregido'],
+      ['lobulo "sup"', 'lóbulo, superior'],
+      ['dos\nlíneas', 'x'],
+    ]);
+  });
+
+  test('quita el BOM, admite CRLF y omite las filas vacías', () => {
+    expect(parseCsv('\uFEFFa;b\r\n\r\n1;2\r\n;\r\n')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  test('respeta el separador indicado', () => {
+    expect(parseCsv('a;b,c', { delimiter: ',' })).toEqual([['a;b', 'c']]);
+  });
+});
+
+describe('csv - escritura', () => {
+  test('cabecera, CRLF y celdas escapadas solo cuando hace falta', () => {
+    const csv = toCsv([{ a: 'simple', b: 'con "comillas"' }, { a: 'x,y', b: null }], ['a', 'b']);
+    expect(csv).toBe('a,b\r\nsimple,"con ""comillas"""\r\n"x,y",\r\n');
+  });
+
+  test('ida y vuelta con separador ;', () => {
+    const records = [{ heard: 'vesícula viliar', correct: 'vesícula; biliar' }, { heard: 'dos\nlíneas', correct: '"x"' }];
+    const rows = parseCsv(toCsv(records, ['heard', 'correct'], { delimiter: ';' }));
+    expect(rows).toEqual([['heard', 'correct'], ['vesícula viliar', 'vesícula; biliar'], ['dos\nlíneas', '"x"']]);
+  });
+});
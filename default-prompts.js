@@ -0,0 +1,59 @@
+// Prompts por defecto para las tareas IA sobre informes.
+// Se insertan en la tabla 'prompts' (migración v5) y sirven de respaldo si la BD no tiene ninguno para la tarea.
+// Placeholders disponibles: {{text}}, {{specialty}}, {{modality}}
+
+const PROMPT_TASKS = Object.freeze({
+  IMPROVE: 'improve',
+  SUMMARIZE_IMPRESSION: 'summarize_impression',
+  TRANSLATE: 'translate',
+  SIMPLIFY_PATIENT: 'simplify_patient',
+});
+
+const DEFAULT_PROMPTS = Object.freeze([
+  {
+    name: 'Mejorar informe (general)',
+    task: PROMPT_TASKS.IMPROVE,
+    description: 'Corrige gramática, terminología y estructura sin añadir información clínica.',
+    template: `Eres un asistente experto en radiología. Revisa el siguiente informe de {{specialty}} (modalidad: {{modality}}) y mejóralo significativamente: corrige errores gramaticales y de puntuación, reemplaza terminología vaga o incorrecta por términos médicos precisos y estándar, asegura una estructura clara y profesional (ej. Técnica, Hallazgos, Impresión Diagnóstica), y mejora la fluidez general. NO añadas información clínica nueva ni interpretes imágenes que no se describen. Mantén el significado clínico original.
+
+Informe Original:
+"{{text}}"
+
+Informe Mejorado:`
+  },
+  {
+    name: 'Resumir impresión diagnóstica',
+    task: PROMPT_TASKS.SUMMARIZE_IMPRESSION,
+    description: 'Redacta la impresión diagnóstica a partir de los hallazgos.',
+    template: `Eres un radiólogo experto en {{specialty}}. A partir de los siguientes hallazgos de un estudio de {{modality}}, redacta una Impresión Diagnóstica concisa en forma de lista numerada (1., 2., ...), ordenada por relevancia clínica. Usa terminología radiológica estándar, no repitas descripciones innecesarias y NO añadas hallazgos que no estén descritos. Responde solo con la lista numerada.
+
+Hallazgos:
+"{{text}}"
+
+Impresión Diagnóstica:`
+  },
+  {
+    name: 'Traducir informe al inglés',
+    task: PROMPT_TASKS.TRANSLATE,
+    description: 'Traducción fiel al inglés médico.',
+    template: `You are a medical translator specialised in radiology ({{specialty}}, {{modality}}). Translate the following Spanish radiology report into English, preserving its structure, measurements and clinical meaning exactly. Use standard English radiology terminology. Reply only with the translation.
+
+Report:
+"{{text}}"
+
+Translation:`
+  },
+  {
+    name: 'Simplificar para el paciente',
+    task: PROMPT_TASKS.SIMPLIFY_PATIENT,
+    description: 'Versión en lenguaje sencillo para entregar al paciente.',
+    template: `Eres un radiólogo que explica resultados a pacientes. Reescribe el siguiente informe de {{specialty}} ({{modality}}) en un lenguaje sencillo y claro para una persona sin formación médica: explica los términos técnicos, evita la jerga y mantén un tono tranquilo y neutral. NO añadas diagnósticos, pronósticos ni recomendaciones que no figuren en el informe.
+
+Informe:
+"{{text}}"
+
+Explicación para el paciente:`
+  },
+]);
+
+module.exports = { PROMPT_TASKS, DEFAULT_PROMPTS };
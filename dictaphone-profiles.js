@@ -0,0 +1,108 @@
+// Perfiles de micrófonos de dictado y pedales: identificación USB (VID/PID), disposición del informe HID y mapeo de botones por defecto.
+// DictaphoneHandler los usa para detectar cualquier dispositivo soportado; el mapeo se puede personalizar por dispositivo.
+// Las disposiciones salen de la documentación de los fabricantes y de drivers comunitarios: un firmware distinto puede variar,
+// en ese caso el modo aprendizaje permite capturar la disposición real.
+// reportLayout: ver HidReportDecoder. usagePage: interfaz HID de los botones (los micrófonos exponen también audio/ratón).
+
+const DEVICE_TYPES = Object.freeze({ MICROPHONE: 'microphone', FOOT_PEDAL: 'foot_pedal' });
+
+const DICTAPHONE_PROFILES = Object.freeze([
+  {
+    id: 'philips-speechmike',
+    modelName: 'Philips SpeechMike',
+    manufacturer: 'Philips',
+    type: DEVICE_TYPES.MICROPHONE,
+    devices: [
+      { vendorId: 0x0911, productId: 0x0c1c, model: 'SpeechMike III' },
+      { vendorId: 0x0911, productId: 0x0c1d, model: 'SpeechMike Premium' },
+      { vendorId: 0x0911, productId: 0x0c1e, model: 'SpeechMike Premium Touch' },
+      { vendorId: 0x0911, productId: 0x0fa0, model: 'SpeechMike Premium Air' },
+    ],
+    usagePage: 0xffa0,
+    reportLayout: {
+      buttons: {
+        record: { byte: 8, mask: 0x01 }, eol: { byte: 8, mask: 0x02 }, insert: { byte: 8, mask: 0x04 },
+        instruction: { byte: 8, mask: 0x10 }, f1: { byte: 8, mask: 0x20 }, f2: { byte: 8, mask: 0x40 },
+        fast_forward: { byte: 7, mask: 0x01 }, rewind: { byte: 7, mask: 0x02 }, play: { byte: 7, mask: 0x04 }, stop: { byte: 7, mask: 0x08 },
+        f3: { byte: 7, mask: 0x40 }, f4: { byte: 7, mask: 0x80 },
+      },
+    },
+    defaultMapping: { record: 'record', stop: 'stop', play: 'play_pause', rewind: 'rewind', fast_forward: 'fast_forward', eol: 'save_report', insert: 'toggle_dictation', instruction: 'new_report', f1: 'previous_field', f2: 'next_field', f3: 'improve_report', f4: null },
+  },
+  {
+    id: 'nuance-powermic',
+    modelName: 'Nuance PowerMic',
+    manufacturer: 'Nuance',
+    type: DEVICE_TYPES.MICROPHONE,
+    devices: [
+      { vendorId: 0x0554, productId: 0x1001, model: 'PowerMic II' },
+      { vendorId: 0x0554, productId: 0x0064, model: 'PowerMic III' },
+    ],
+    usagePage: 0xff00,
+    reportLayout: {
+      buttons: {
+        transcribe: { byte: 1, mask: 0x01 }, tab_back: { byte: 1, mask: 0x02 }, record: { byte: 1, mask: 0x04 }, tab_forward: { byte: 1, mask: 0x08 },
+        rewind: { byte: 1, mask: 0x10 }, fast_forward: { byte: 1, mask: 0x20 }, play: { byte: 1, mask: 0x40 }, custom_left: { byte: 1, mask: 0x80 },
+        enter: { byte: 2, mask: 0x01 }, custom_right: { byte: 2, mask: 0x02 },
+      },
+    },
+    // En PowerMic el botón de grabar se mantiene pulsado para dictar
+    defaultMapping: { record: 'record', play: 'play_pause', transcribe: 'improve_report', tab_back: 'previous_field', tab_forward: 'next_field', rewind: 'rewind', fast_forward: 'fast_forward', enter: 'save_report', custom_left: 'new_report', custom_right: null },
+  },
+  {
+    id: 'olympus-recmic',
+    modelName: 'Olympus RecMic',
+    manufacturer: 'OM Digital Solutions (Olympus)',
+    type: DEVICE_TYPES.MICROPHONE,
+    devices: [
+      { vendorId: 0x07b4, productId: 0x0218, model: 'RecMic DR-1000/1200' },
+      { vendorId: 0x07b4, productId: 0x0254, model: 'RecMic II DR-2000/2100' },
+    ],
+    usagePage: 0xff00,
+    reportLayout: { // Un bit por botón en el byte 1: varios pueden estar pulsados a la vez
+      buttons: {
+        record: { byte: 1, mask: 0x01 }, stop: { byte: 1, mask: 0x02 }, play: { byte: 1, mask: 0x04 }, rewind: { byte: 1, mask: 0x08 },
+        fast_forward: { byte: 1, mask: 0x10 }, f1: { byte: 1, mask: 0x20 }, f2: { byte: 1, mask: 0x40 }, eol: { byte: 1, mask: 0x80 },
+      },
+    },
+    defaultMapping: { record: 'record', stop: 'stop', play: 'play_pause', rewind: 'rewind', fast_forward: 'fast_forward', f1: 'previous_field', f2: 'next_field', eol: 'save_report' },
+  },
+  {
+    id: 'generic-foot-pedal',
+    modelName: 'Pedal USB (3 pedales)',
+    manufacturer: null,
+    type: DEVICE_TYPES.FOOT_PEDAL,
+    devices: [
+      { vendorId: 0x05f3, productId: 0x00ff, model: 'VEC Infinity IN-USB-2' },
+      { vendorId: 0x0911, productId: 0x1844, model: 'Philips ACC2310/2320' },
+      { vendorId: 0x07b4, productId: 0x0202, model: 'Olympus RS31H' },
+    ],
+    reportLayout: { buttons: { left: { byte: 0, mask: 0x01 }, center: { byte: 0, mask: 0x02 }, right: { byte: 0, mask: 0x04 } } },
+    // Disposición clásica de transcripción: izquierda rebobina, centro graba, derecha avanza
+    defaultMapping: { left: 'rewind', center: 'record', right: 'fast_forward' },
+  },
+]);
+
+const hex = (value) => `0x${Number(value).toString(16).padStart(4, '0')}`;
+
+/**
+ * Perfil de un dispositivo USB.
+ * @returns {{profile: object, device: {vendorId: number, productId: number, model: string}}|null}
+ */
+function findProfile(vendorId, productId, profiles = DICTAPHONE_PROFILES) {
+  for (const profile of profiles) {
+    const device = profile.devices.find(d => d.vendorId === vendorId && d.productId === productId);
+    if (device) return { profile, device };
+  }
+  return null;
+}
+
+// Perfil por id, nombre de modelo (perfil o modelo concreto) o productId
+function getProfile({ id, modelName, productId } = {}, profiles = DICTAPHONE_PROFILES) {
+  const name = (modelName || '').toLowerCase();
+  return profiles.find(p => (id && p.id === id)
+      || (name && (p.modelName.toLowerCase() === name || p.devices.some(d => d.model.toLowerCase() === name)))
+      || (productId !== undefined && productId !== null && p.devices.some(d => d.productId === Number(productId)))) || null;
+}
+
+module.exports = { DEVICE_TYPES, DICTAPHONE_PROFILES, findProfile, getProfile, hex };
@@ -17,6 +17,7 @@ if (!gotTheLock) {
 } else {
   app.on('second-instance', (event, commandLine, workingDirectory) => {
     // Alguien intentó ejecutar una segunda instancia, enfocar nuestra ventana.
+    appController?.openStudyFromArgs(commandLine); // El RIS abre el siguiente estudio lanzando de nuevo la aplicación
     if (mainWindow) {
       if (mainWindow.isMinimized()) mainWindow.restore();
       mainWindow.focus();
@@ -74,6 +75,7 @@ async function createMainWindow() {
     try {
       await appController.initialize(mainWindow);
       logger.info('RadiologistAppController inicializado correctamente.');
+      appController.openStudyFromArgs(process.argv); // Estudio pasado al arrancar (el renderer lo recoge al cargar)
 
       // Si el controlador inicializó bien, cargar la UI principal
       const indexUrl = new URL(path.join(__dirname, '../renderer/index.html'), 'file:').toString();
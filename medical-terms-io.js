@@ -0,0 +1,96 @@
+// Formatos de intercambio del diccionario de términos médicos (CSV para hojas de cálculo y JSON).
+// Las listas (variantes, palabras de contexto) van en CSV separadas por '|': "neumo torax|neumotorax".
+const { parseCsv, toCsv } = require('./csv');
+
+const TERM_FILE_FORMATS = Object.freeze(['csv', 'json']);
+const CSV_COLUMNS = ['heard_term', 'correct_term', 'specialty', 'modality', 'variants', 'context_words', 'frequency'];
+const JSON_FORMAT_ID = 'signia-medical-terms';
+
+// Cabeceras aceptadas (snake_case, camelCase o español) -> propiedad del término
+const HEADER_ALIASES = {
+  heard_term: 'heardTerm', heardterm: 'heardTerm', termino_oido: 'heardTerm', oido: 'heardTerm',
+  correct_term: 'correctTerm', correctterm: 'correctTerm', termino_correcto: 'correctTerm', correcto: 'correctTerm',
+  specialty: 'specialty', especialidad: 'specialty',
+  modality: 'modality', modalidad: 'modality',
+  variants: 'variants', variantes: 'variants',
+  context_words: 'contextWords', contextwords: 'contextWords', contexto: 'contextWords', palabras_contexto: 'contextWords',
+  frequency: 'frequency', frecuencia: 'frequency',
+};
+
+const normalizeHeader = (header) => header.trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[\s-]+/g, '_');
+
+// Celda de lista: array JSON o valores separados por '|'
+function parseListCell(value) {
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  const text = String(value ?? '').trim();
+  if (!text) return [];
+  if (text.startsWith('[')) { try { const parsed = JSON.parse(text); if (Array.isArray(parsed)) return parseListCell(parsed); } catch { /* Tratar como texto */ } }
+  return text.split('|').map(v => v.trim()).filter(Boolean);
+}
+
+// Los campos opcionales ausentes en el archivo quedan undefined: al sobrescribir se conserva el valor existente
+function normalizeTerm(raw) {
+  const has = (...keys) => keys.some(key => raw[key] !== undefined);
+  const frequency = raw.frequency === '' || raw.frequency === null || raw.frequency === undefined ? null : Number(raw.frequency);
+  return {
+    heardTerm: (raw.heardTerm ?? raw.heard_term ?? '').toString().trim(),
+    correctTerm: (raw.correctTerm ?? raw.correct_term ?? '').toString().trim(),
+    specialty: has('specialty') ? ((raw.specialty || '').toString().trim() || null) : undefined,
+    modality: has('modality') ? ((raw.modality || '').toString().trim() || null) : undefined,
+    variants: has('variants') ? parseListCell(raw.variants) : undefined,
+    contextWords: has('contextWords', 'context_words') ? parseListCell(raw.contextWords ?? raw.context_words) : undefined,
+    frequency: Number.isFinite(frequency) ? frequency : null,
+  };
+}
+
+/**
+ * Lee un archivo de diccionario. No valida el contenido (eso lo hace DatabaseManager.importMedicalTerms).
+ * @param {string} content - Contenido del archivo.
+ * @param {'csv'|'json'} format
+ * @returns {Array<{heardTerm: string, correctTerm: string, specialty?: string|null, modality?: string|null, variants?: string[], contextWords?: string[], frequency: number|null}>}
+ */
+function parseMedicalTermsFile(content, format) {
+  if (format === 'json') {
+    const data = JSON.parse(content);
+    const terms = Array.isArray(data) ? data : data?.terms;
+    if (!Array.isArray(terms)) throw new Error("JSON sin lista de términos (se espera un array o { terms: [...] })");
+    return terms.map(normalizeTerm);
+  }
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(content);
+    if (!header) return [];
+    const keys = header.map(h => HEADER_ALIASES[normalizeHeader(h)] || null);
+    if (!keys.includes('heardTerm') || !keys.includes('correctTerm')) throw new Error("El CSV debe tener las columnas 'heard_term' y 'correct_term'");
+    return rows.map(cells => {
+      const raw = {};
+      keys.forEach((key, i) => { if (key) raw[key] = cells[i] ?? ''; });
+      return normalizeTerm(raw);
+    });
+  }
+  throw new Error(`Formato de diccionario no soportado: ${format}`);
+}
+
+/**
+ * @param {object[]} terms - Términos en el formato de DatabaseManager.exportMedicalTerms.
+ * @param {'csv'|'json'} format
+ * @returns {string}
+ */
+function serializeMedicalTerms(terms, format) {
+  if (format === 'json') return JSON.stringify({ format: JSON_FORMAT_ID, version: 1, exportedAt: new Date().toISOString(), terms }, null, 2);
+  if (format === 'csv') {
+    const records = terms.map(t => ({
+      heard_term: t.heardTerm, correct_term: t.correctTerm, specialty: t.specialty, modality: t.modality,
+      variants: (t.variants || []).join('|'), context_words: (t.contextWords || []).join('|'), frequency: t.frequency,
+    }));
+    return '\uFEFF' + toCsv(records, CSV_COLUMNS); // BOM: Excel abre el UTF-8 con tildes correctas
+  }
+  throw new Error(`Formato de diccionario no soportado: ${format}`);
+}
+
+// 'csv' | 'json' según la extensión del archivo (null si no se reconoce)
+function formatFromPath(filePath) {
+  const ext = (filePath || '').split('.').pop().toLowerCase();
+  return TERM_FILE_FORMATS.includes(ext) ? ext : null;
+}
+
+module.exports = { TERM_FILE_FORMATS, parseMedicalTermsFile, serializeMedicalTerms, formatFromPath };
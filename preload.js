@@ -8,7 +8,8 @@ const validReceiveChannels = [
     'dictaphone-reconnecting', 'dictaphone-reconnect-failed', 'dictaphone-learning-data',
     'dictaphone-learning-started', 'dictaphone-learning-stopped',
     'app-error', 'config-changed', 'config-reloaded', 'initialization-warning',
-    'needs-user-setup', 'pull-progress', 'status-changed', 'busy', 'idle'
+    'needs-user-setup', 'pull-progress', 'status-changed', 'busy', 'idle',
+    'llm-stream-chunk', 'voice-command', 'study-opened', 'dictation-auto-stopped'
 ];
 
 // Mapa interno para listeners del renderer
@@ -25,8 +26,11 @@ contextBridge.exposeInMainWorld('api', {
     start: (options = {}) => ipcRenderer.invoke('start-dictation', options),
     stop: () => ipcRenderer.invoke('stop-dictation'),
     getStatus: () => ipcRenderer.invoke('get-dictation-status'),
+    getMode: () => ipcRenderer.invoke('get-dictation-mode'),
+    setMode: (config) => ipcRenderer.invoke('set-dictation-mode', config), // { mode: 'push_to_talk' | 'toggle' | 'hands_free', silenceTimeoutMs? }
+    recordButton: (pressed) => ipcRenderer.invoke('dictation-record-button', pressed), // Pulsación/liberación del botón en pantalla (push-to-talk)
     getDictaphoneInfo: () => ipcRenderer.invoke('get-dictaphone-info'),
-    getConnectedDictaphones: () => ipcRenderer.invoke('get-connected-dictaphones'),
+    getConnectedDictaphones: (options) => ipcRenderer.invoke('get-connected-dictaphones', options), // { includeUnsupported }
     setActiveDictaphone: (devicePath) => ipcRenderer.invoke('set-active-dictaphone', devicePath),
     saveDictaphoneConfig: (config) => ipcRenderer.invoke('save-dictaphone-config', config),
     getDefaultDictaphoneMappings: (modelInfo) => ipcRenderer.invoke('get-default-dictaphone-mappings', modelInfo),
@@ -38,14 +42,35 @@ contextBridge.exposeInMainWorld('api', {
   llm: {
     request: (methodName, ...args) => ipcRenderer.invoke('ollama-request', methodName, ...args),
     getStatus: () => ipcRenderer.invoke('get-ollama-status'),
-    updateConfig: (config) => ipcRenderer.invoke('update-ollama-config', config)
+    updateConfig: (config) => ipcRenderer.invoke('update-ollama-config', config),
+    // Los fragmentos llegan por el canal 'llm-stream-chunk'
+    improveReportStream: (text, specialty, options = {}) => ipcRenderer.invoke('ollama-request', 'improveReportStream', text, specialty, options),
+    // task: 'improve', 'summarize_impression', 'translate', 'simplify_patient'; options: { promptId, specialty, modality, model }
+    runTask: (task, text, options = {}) => ipcRenderer.invoke('ollama-request', 'runPromptTask', task, text, options),
+    runTaskStream: (task, text, options = {}) => ipcRenderer.invoke('ollama-request', 'runPromptTaskStream', task, text, options),
+    // Solo la sección Hallazgos; devuelve la impresión como lista numerada en data.response
+    generateImpression: (findings, specialty, modality) => ipcRenderer.invoke('ollama-request', 'generateImpression', findings, specialty, modality),
+    cancel: () => ipcRenderer.invoke('ollama-request', 'cancelCurrentRequest')
     // improveReport se llama vía: api.llm.request('improveReport', text, specialty)
   },
 
   terms: {
       processText: (text, options) => ipcRenderer.invoke('process-medical-text', text, options),
       addTerm: (heard, correct, options) => ipcRenderer.invoke('add-medical-term', heard, correct, options),
-      getSuggestions: (partial, options) => ipcRenderer.invoke('get-medical-term-suggestions', partial, options)
+      getSuggestions: (partial, options) => ipcRenderer.invoke('get-medical-term-suggestions', partial, options),
+      // Pares 'oído -> correcto' a partir de la edición manual de un texto dictado
+      proposeCorrections: (originalText, editedText) => ipcRenderer.invoke('propose-term-corrections', originalText, editedText),
+      // Reemplazo revertido en el editor (penaliza el término); options: { blacklist?: boolean } = no volver a aplicarlo a esa forma
+      rejectReplacement: (replacement, options) => ipcRenderer.invoke('reject-term-replacement', replacement, options),
+      // options: { filePath?, format?: 'csv'|'json', specialty?, modality? } (sin filePath se abre un diálogo)
+      exportDictionary: (options) => ipcRenderer.invoke('export-medical-terms', options),
+      // options: { filePath?, format?, strategy?: 'skip'|'overwrite'|'keep_higher_frequency', dryRun?: boolean }
+      importDictionary: (options) => ipcRenderer.invoke('import-medical-terms', options),
+      // Paquetes de diccionario por especialidad
+      listPacks: () => ipcRenderer.invoke('list-term-packs'),
+      installPack: (packId) => ipcRenderer.invoke('install-term-pack', packId),
+      updatePack: (packId) => ipcRenderer.invoke('update-term-pack', packId),
+      uninstallPack: (packId) => ipcRenderer.invoke('uninstall-term-pack', packId)
   },
 
   config: {
@@ -56,9 +81,47 @@ contextBridge.exposeInMainWorld('api', {
   },
 
   templates: {
-      getAll: () => ipcRenderer.invoke('get-templates'),
-      save: (templateData) => ipcRenderer.invoke('save-template', templateData)
-      // Podrías añadir get(id), delete(id) aquí
+      getAll: (filters = {}) => ipcRenderer.invoke('get-templates', filters), // { search?, tags?, specialty?, modality?, sortBy?: 'specialty'|'modality'|'priority'|'name'|'updated' }
+      get: (id) => ipcRenderer.invoke('get-template', id),
+      save: (templateData) => ipcRenderer.invoke('save-template', templateData), // { id?, name, content, specialty, modality, tags, priority }
+      duplicate: (id, name) => ipcRenderer.invoke('duplicate-template', id, name), // Sin nombre: "X (copia)"
+      // exam: "TC Tórax con contraste" o { description?, modality?, specialty?, bodyRegion? }; options: { limit? }
+      suggest: (exam, options) => ipcRenderer.invoke('suggest-templates', exam, options),
+      recordUsage: (id, exam) => ipcRenderer.invoke('record-template-usage', id, exam), // Plantilla elegida (pondera las sugerencias)
+      delete: (id) => ipcRenderer.invoke('delete-template', id),
+      // Paquete portable (JSON). options: { filePath?, templateIds?: number[], description? } (sin filePath se abre un diálogo)
+      exportBundle: (options) => ipcRenderer.invoke('export-templates', options),
+      // options: { filePath?, strategy?: 'rename'|'overwrite'|'skip', dryRun?: boolean }
+      importBundle: (options) => ipcRenderer.invoke('import-templates', options)
+  },
+
+  // Estudio abierto (worklist/RIS): exam { description?, modality?, specialty?, accessionNumber?, patientId?, patientName? }
+  study: {
+      open: (exam) => ipcRenderer.invoke('open-study', exam),
+      getCurrent: () => ipcRenderer.invoke('get-current-study') // El abierto por línea de comandos antes de cargar la UI
+  },
+
+  prompts: {
+      list: (filters = {}) => ipcRenderer.invoke('list-prompts', filters),
+      get: (id) => ipcRenderer.invoke('get-prompt', id),
+      save: (promptData) => ipcRenderer.invoke('save-prompt', promptData), // { id?, name, task, specialty, model, template, description }
+      delete: (id) => ipcRenderer.invoke('delete-prompt', id)
+  },
+
+  voiceCommands: {
+      list: (language) => ipcRenderer.invoke('list-voice-commands', language), // Predeterminadas + personalizadas
+      save: (commandData) => ipcRenderer.invoke('save-voice-command', commandData), // { id?, phrase, action, argument, language, enabled }
+      delete: (id) => ipcRenderer.invoke('delete-voice-command', id)
+  },
+
+  reports: {
+      save: (reportData) => ipcRenderer.invoke('save-report', reportData),
+      get: (id) => ipcRenderer.invoke('get-report', id),
+      list: (filters = {}) => ipcRenderer.invoke('list-reports', filters),
+      delete: (id) => ipcRenderer.invoke('delete-report', id),
+      listRevisions: (reportId) => ipcRenderer.invoke('list-report-revisions', reportId),
+      diffRevisions: (fromRevisionId, toRevisionId) => ipcRenderer.invoke('diff-report-revisions', fromRevisionId, toRevisionId),
+      diffTexts: (oldText, newText) => ipcRenderer.invoke('diff-texts', oldText, newText) // Ej: revisar cambios de la IA antes de aceptarlos
   },
 
   errors: {
@@ -2,6 +2,17 @@
  * renderer.js - Lógica UI para Signia
  */
 
+// Campos de plantilla: [[nombre]] o [[nombre:valor por defecto]]; también los antiguos '[...]' (solo navegación)
+const TEMPLATE_FIELD_REGEX = /\[\[([^\[\]:\n]+)(?::([^\[\]\n]*))?\]\]|\[([^\[\]\n]*)\]/g;
+
+// Acciones asignables a los botones del dictáfono (las que entiende handleDictaphoneAction)
+const DICTAPHONE_ACTIONS = [
+    { value: '', label: '(sin acción)' }, { value: 'record', label: 'Iniciar dictado' }, { value: 'stop', label: 'Detener dictado' },
+    { value: 'toggle_dictation', label: 'Alternar dictado' }, { value: 'next_field', label: 'Campo siguiente' }, { value: 'previous_field', label: 'Campo anterior' },
+    { value: 'new_report', label: 'Nuevo informe' }, { value: 'save_report', label: 'Guardar informe' },
+    { value: 'improve_report', label: 'Mejorar informe (IA)' }, { value: 'generate_impression', label: 'Generar impresión (IA)' }
+];
+
 // Clase principal que encapsula la lógica de la UI
 class RadiologyApp {
     constructor() {
@@ -9,10 +20,14 @@ class RadiologyApp {
       this.editor = document.getElementById('editor');
       this.startDictationBtn = document.getElementById('start-dictation');
       this.stopDictationBtn = document.getElementById('stop-dictation');
+      this.dictationModeSelect = document.getElementById('dictation-mode');
+      this.silenceTimeoutInput = document.getElementById('silence-timeout');
       this.clearTextBtn = document.getElementById('clear-text');
       this.newReportBtn = document.getElementById('new-report');
       this.saveReportBtn = document.getElementById('save-report');
       this.improveReportBtn = document.getElementById('improve-report');
+      this.generateImpressionBtn = document.getElementById('generate-impression');
+      this.aiPromptSelect = document.getElementById('ai-prompt');
       this.statusMessage = document.getElementById('status-message');
       this.wordCount = document.getElementById('word-count');
       this.dictationStatus = document.getElementById('dictation-status');
@@ -20,21 +35,94 @@ class RadiologyApp {
       this.ollamaStatus = document.getElementById('ollama-status');
       this.dictaphoneInfo = document.getElementById('dictaphone-info');
       this.refreshDictaphoneBtn = document.getElementById('refresh-dictaphone');
+      this.dictaphoneLearnBtn = document.getElementById('dictaphone-learn');
+      this.dictaphoneLearningDialog = document.getElementById('dictaphone-learning-dialog');
+      this.dictaphoneLearningStatus = document.getElementById('dictaphone-learning-status');
+      this.dictaphoneLearnedList = document.getElementById('dictaphone-learned-list');
+      this.dictaphoneLearningError = document.getElementById('dictaphone-learning-error');
+      this.dictaphoneLearningSaveBtn = document.getElementById('dictaphone-learning-save');
+      this.dictaphoneLearningDeviceSelect = document.getElementById('dictaphone-learning-device');
+      this.dictaphoneLearningConnectBtn = document.getElementById('dictaphone-learning-connect');
       this.notification = document.getElementById('notification');
       this.templatesList = document.getElementById('templates-list');
+      this.examDescriptionInput = document.getElementById('exam-description');
+      this.templateSearchInput = document.getElementById('template-search');
+      this.templateSortSelect = document.getElementById('template-sort');
+      this.templateNewBtn = document.getElementById('template-new');
+      this.templateExportBtn = document.getElementById('template-export');
+      this.templateImportBtn = document.getElementById('template-import');
+      this.templateImportDialog = document.getElementById('template-import-dialog');
+      this.templateImportSummary = document.getElementById('template-import-summary');
+      this.templateDialog = document.getElementById('template-dialog');
+      this.templateForm = document.getElementById('template-form');
+      this.templateDialogTitle = document.getElementById('template-dialog-title');
+      this.templateDialogError = document.getElementById('template-dialog-error');
+      this.templateDialogCancelBtn = document.getElementById('template-dialog-cancel');
+      this.templateFields = {
+          name: document.getElementById('template-name'), specialty: document.getElementById('template-specialty'),
+          modality: document.getElementById('template-modality'), tags: document.getElementById('template-tags'),
+          priority: document.getElementById('template-priority'), content: document.getElementById('template-content')
+      };
+      this.reportStatusSelect = document.getElementById('report-status');
+      this.showHistoryBtn = document.getElementById('show-history');
+      this.revisionsPanel = document.getElementById('revisions-panel');
+      this.revisionsTitle = document.getElementById('revisions-title');
+      this.revisionSelectors = document.getElementById('revision-selectors');
+      this.revisionFromSelect = document.getElementById('revision-from');
+      this.revisionToSelect = document.getElementById('revision-to');
+      this.revisionDiff = document.getElementById('revision-diff');
+      this.revisionStats = document.getElementById('revision-stats');
+      this.revisionAcceptBtn = document.getElementById('revision-accept');
+      this.revisionRejectBtn = document.getElementById('revision-reject');
+      this.revisionsCloseBtn = document.getElementById('revisions-close');
+      this.correctionsPanel = document.getElementById('corrections-panel');
+      this.correctionsList = document.getElementById('corrections-list');
+      this.correctionsConfirmBtn = document.getElementById('corrections-confirm');
+      this.correctionsDismissBtn = document.getElementById('corrections-dismiss');
+      this.voiceCommandIndicator = document.getElementById('voice-command-indicator');
+      this.editorHighlights = document.getElementById('editor-highlights');
+      this.replacementPopover = document.getElementById('replacement-popover');
+      this.replacementPopoverTitle = document.getElementById('replacement-popover-title');
+      this.replacementRevertBtn = document.getElementById('replacement-revert');
+      this.replacementBlacklistBtn = document.getElementById('replacement-blacklist');
+      this.replacementSuggestionsList = document.getElementById('replacement-suggestions');
       // Añadir más refs si son necesarias (ej. botón configuración)
   
       // --- Estado de la Aplicación ---
       this.isDictating = false;
-      this.currentReport = { id: null, title: 'Nuevo Informe', content: '', specialty: 'General', modality: null, modified: false };
-      this.dictaphoneConnected = false;
+      this.dictationMode = { mode: 'toggle', silenceTimeoutMs: 5000 }; // Lo aplica el main process (DictationModeService)
+      this.recordButtonHeld = false; // push_to_talk: botón en pantalla pulsado
+      this.currentReport = this._createEmptyReport();
+      this.dictaphoneConnected = false; // Algún dispositivo conectado
+      this.dictaphoneDevices = new Map(); // path -> { device, connected, reason }: micrófono, pedal... (todos envían acciones)
+      this.dictaphoneLearning = false; // Diálogo de aprendizaje de botones abierto y modo activo en el handler
+      this.dictaphoneLearningModified = false; // Asignaciones hechas y aún sin guardar
       this.ollamaAvailable = false;
       this.appSettings = {}; // Se carga desde el main process
       this.editorUpdateTimeout = null; // Para debounce de word count
-      this.templates = []; // Caché de plantillas
+      this.templates = []; // Caché de plantillas (ya filtradas/ordenadas según la barra de búsqueda)
+      this.templateSearchTimeout = null;
+      this.editingTemplateId = null; // Plantilla abierta en el diálogo de edición (null = nueva)
+      this.currentExam = null; // Estudio abierto: { description, modality?, specialty?, ... }
+      this.templateSuggestions = []; // Plantillas sugeridas para el estudio, de más a menos afín
+      this.examSuggestTimeout = null;
+      this.prompts = []; // Caché de la biblioteca de prompts IA
       this.webSpeechRecognition = null; // Instancia de Web Speech API
       this.webSpeechFinalTranscript = ''; // Acumulador para Web Speech
       this.notificationTimeout = null; // ID del timeout de notificación
+      this.pendingChangeSources = new Set(); // Origen de los cambios desde el último guardado ('dictation', 'ai', 'manual')
+      this.pendingReviewResolve = null; // Resolver de la revisión de cambios en curso (aceptar/descartar)
+      this.isAiStreaming = false; // Hay una generación IA en streaming (cancelable)
+      this.aiStreamText = ''; // Texto acumulado de la generación en curso
+      this.undoStack = []; // Instantáneas del editor antes de cambios programáticos (dictado, IA, comandos de voz)
+      this.voiceIndicatorTimeout = null;
+      this.dictatedSegment = null; // { original, start, end }: último texto entregado por 'dictation-stopped' y su rango en el editor
+      this.lastEditorValue = ''; // Valor del editor en el último 'input' (para localizar cada cambio)
+      this.correctionCheckTimeout = null;
+      this.pendingCorrections = []; // Pares { heard, correct } propuestos y pendientes de confirmar
+      this.dismissedCorrections = new Set(); // 'oído→correcto' descartados en esta sesión (no volver a proponer)
+      this.replacementHighlights = []; // Reemplazos de términos por revisar: { start, end, original, replacement, termId, matchType } (posiciones en el editor)
+      this.activeReplacement = null; // Reemplazo abierto en el popover
   
       // --- Bindings para Handlers de Eventos IPC (asegura el 'this') ---
       this._handleDictationStarted = this._handleDictationStarted.bind(this);
@@ -55,6 +143,9 @@ class RadiologyApp {
       this._handleDictaphoneLearningData = this._handleDictaphoneLearningData.bind(this);
       this._handleDictaphoneLearningStarted = this._handleDictaphoneLearningStarted.bind(this);
       this._handleDictaphoneLearningStopped = this._handleDictaphoneLearningStopped.bind(this);
+      this._handleLlmStreamChunk = this._handleLlmStreamChunk.bind(this);
+      this._handleVoiceCommand = this._handleVoiceCommand.bind(this);
+      this._handleStudyOpened = this._handleStudyOpened.bind(this);
   
     }
   
@@ -77,7 +168,10 @@ class RadiologyApp {
         this.setupIPCListeners();         // Suscribirse a eventos del main process
         await this.checkServicesStatus(); // Verificar estado inicial de servicios
         await this.loadSettings();        // Cargar configuración de usuario
+        await this.loadDictationMode();   // Modo del botón de grabar
         await this.loadTemplates();       // Cargar plantillas
+        await this.loadCurrentStudy();    // Estudio abierto por línea de comandos antes de cargar la UI
+        await this.loadPrompts();         // Cargar biblioteca de prompts IA
         this.setupEditor();               // Configurar editor
   
         this.updateStatusMessage('Aplicación lista.', 'info');
@@ -93,14 +187,51 @@ class RadiologyApp {
      * Configura listeners para elementos UI (botones, editor).
      */
     setupEventListeners() {
-      this.startDictationBtn?.addEventListener('click', () => this.startDictation());
+      this.startDictationBtn?.addEventListener('click', () => { if (this.dictationMode.mode !== 'push_to_talk') this.startDictation(); }); // En push-to-talk actúan pulsación y liberación
+      this.startDictationBtn?.addEventListener('pointerdown', (e) => { if (e.button === 0) this._setRecordButtonHeld(true); });
+      this.startDictationBtn?.addEventListener('keydown', (e) => { if ((e.key === ' ' || e.key === 'Enter') && !e.repeat && this.dictationMode.mode === 'push_to_talk') { e.preventDefault(); this._setRecordButtonHeld(true); } });
+      this.startDictationBtn?.addEventListener('keyup', (e) => { if (e.key === ' ' || e.key === 'Enter') this._setRecordButtonHeld(false); });
+      window.addEventListener('pointerup', () => this._setRecordButtonHeld(false)); // Se suelta aunque el puntero haya salido del botón
+      window.addEventListener('pointercancel', () => this._setRecordButtonHeld(false));
+      window.addEventListener('blur', () => this._setRecordButtonHeld(false));
+      this.dictationModeSelect?.addEventListener('change', () => this.setDictationMode({ mode: this.dictationModeSelect.value }));
+      this.silenceTimeoutInput?.addEventListener('change', () => this.setDictationMode({ silenceTimeoutMs: Math.round(Number(this.silenceTimeoutInput.value) * 1000) }));
       this.stopDictationBtn?.addEventListener('click', () => this.stopDictation());
       this.clearTextBtn?.addEventListener('click', () => this.clearEditor());
       this.newReportBtn?.addEventListener('click', () => this.createNewReport());
       this.saveReportBtn?.addEventListener('click', () => this.saveReport());
       this.improveReportBtn?.addEventListener('click', () => this.improveReport());
+      this.generateImpressionBtn?.addEventListener('click', () => this.generateImpression());
       this.refreshDictaphoneBtn?.addEventListener('click', () => this.refreshDictaphones());
-      this.editor?.addEventListener('input', () => this.onEditorChange());
+      this.dictaphoneLearnBtn?.addEventListener('click', () => this.openDictaphoneLearning());
+      this.dictaphoneLearningSaveBtn?.addEventListener('click', () => this.saveDictaphoneLearning());
+      this.dictaphoneLearningConnectBtn?.addEventListener('click', () => this.connectDictaphoneForLearning());
+      this.dictaphoneLearningDialog?.addEventListener('close', () => { if (this.dictaphoneLearning) this._stopDictaphoneLearning(); });
+      this.editor?.addEventListener('input', () => { this.pendingChangeSources.add('manual'); this._markUndoStale(); this.hideReplacementPopover(); this._trackDictationEdits(); this.onEditorChange(); });
+      this.editor?.addEventListener('click', () => this._onEditorCaretMove());
+      this.editor?.addEventListener('scroll', () => { if (this.editorHighlights) this.editorHighlights.scrollTop = this.editor.scrollTop; this.hideReplacementPopover(); });
+      this.editor?.addEventListener('keydown', (e) => { if (e.key === 'Escape') this.hideReplacementPopover(); });
+      this.replacementPopover?.addEventListener('keydown', (e) => { if (e.key === 'Escape') { this.hideReplacementPopover(); this.editor?.focus(); } });
+      this.replacementRevertBtn?.addEventListener('click', () => this.revertReplacement(this.activeReplacement));
+      this.replacementBlacklistBtn?.addEventListener('click', () => this.revertReplacement(this.activeReplacement, { blacklist: true }));
+      this.showHistoryBtn?.addEventListener('click', () => this.showRevisionHistory());
+      this.revisionFromSelect?.addEventListener('change', () => this.compareSelectedRevisions());
+      this.revisionToSelect?.addEventListener('change', () => this.compareSelectedRevisions());
+      this.revisionAcceptBtn?.addEventListener('click', () => this._resolvePendingReview(true));
+      this.revisionRejectBtn?.addEventListener('click', () => this._resolvePendingReview(false));
+      this.revisionsCloseBtn?.addEventListener('click', () => this.closeRevisionsPanel());
+      this.correctionsConfirmBtn?.addEventListener('click', () => this.confirmCorrections());
+      this.correctionsDismissBtn?.addEventListener('click', () => this.dismissCorrections());
+      this.examDescriptionInput?.addEventListener('input', () => { clearTimeout(this.examSuggestTimeout); this.examSuggestTimeout = setTimeout(() => this.setCurrentExam({ description: this.examDescriptionInput.value }), 400); });
+      this.examDescriptionInput?.addEventListener('keydown', (e) => { if (e.key === 'Enter') { e.preventDefault(); this.loadSuggestedTemplate(); } });
+      this.templateSearchInput?.addEventListener('input', () => { clearTimeout(this.templateSearchTimeout); this.templateSearchTimeout = setTimeout(() => this.loadTemplates(), 250); });
+      this.templateSortSelect?.addEventListener('change', () => this.loadTemplates());
+      this.templateNewBtn?.addEventListener('click', () => this.openTemplateEditor());
+      this.templateExportBtn?.addEventListener('click', () => this.exportTemplates());
+      this.templateImportBtn?.addEventListener('click', () => this.importTemplates());
+      this.templateForm?.addEventListener('submit', (e) => { e.preventDefault(); this.saveTemplateFromDialog(); });
+      this.templateDialogCancelBtn?.addEventListener('click', () => this.templateDialog?.close());
+      this.reportStatusSelect?.addEventListener('change', () => { this.currentReport.status = this.reportStatusSelect.value; this.currentReport.modified = true; });
       // Añadir listener para botón de configuración si existe
       // document.getElementById('settings-btn')?.addEventListener('click', () => this.openSettings());
     }
@@ -126,6 +257,10 @@ class RadiologyApp {
         window.api.receive('dictaphone-reconnecting', this._handleDictaphoneReconnecting);
         window.api.receive('dictaphone-reconnect-failed', this._handleDictaphoneReconnectFailed);
         window.api.receive('status-changed', this._handleOllamaStatusChanged);
+        window.api.receive('llm-stream-chunk', this._handleLlmStreamChunk);
+        window.api.receive('voice-command', this._handleVoiceCommand);
+        window.api.receive('study-opened', this._handleStudyOpened);
+        window.api.receive('dictation-auto-stopped', (data) => this.showNotification(`Dictado detenido tras ${Math.round((data?.silenceTimeoutMs || 0) / 100) / 10} s de silencio.`, 'info'));
         // Listeners para modo aprendizaje
         window.api.receive('dictaphone-learning-data', this._handleDictaphoneLearningData);
         window.api.receive('dictaphone-learning-started', this._handleDictaphoneLearningStarted);
@@ -137,10 +272,12 @@ class RadiologyApp {
     // --- Implementación de Handlers de Eventos IPC ---
   
     _handleDictationStarted() { this.isDictating = true; this.updateDictationUI(true); this.updateStatusMessage('Dictado en curso...', 'info'); }
-    _handleDictationStopped(data) { this.isDictating = false; this.updateDictationUI(false); if (data && (data.processed !== undefined || data.original !== undefined)) { const text = data.processed ?? data.original; this.appendToEditor(text); this.updateStatusMessage(`Transcripción: ${data.replacementsMade || 0} reemplazos.`); } else { this.updateStatusMessage('Dictado detenido.'); } }
+    _handleDictationStopped(data) { this.isDictating = false; this.updateDictationUI(false); if (data && (data.processed !== undefined || data.original !== undefined)) { const text = data.processed ?? data.original; const range = this.appendToEditor(text); this._trackDictatedSegment(text, range); this._trackReplacements(data.replacementDetails, range); this.updateStatusMessage(`Transcripción: ${data.replacementsMade || 0} reemplazos.`); } else { this.updateStatusMessage('Dictado detenido.'); } }
     _handleTranscriptionUpdate(data) { if (this.isDictating && data) { const text = data.processed ?? data.original ?? ''; if (!data.isFinal) this.updateStatusMessage(`Reconociendo: ${text.substring(0, 60)}...`, 'info'); } }
-    _handleDictaphoneConnected(data) { this.dictaphoneConnected = true; this.updateDictaphoneStatus(true); this.updateDictaphoneInfo(data?.device); this.showNotification(`Dictáfono: ${data?.device?.product || 'Dispositivo'} conectado`, 'success'); }
-    _handleDictaphoneDisconnected(data) { this.dictaphoneConnected = false; this.updateDictaphoneStatus(false); this.updateDictaphoneInfo(null); this.showNotification(`Dictáfono ${data?.device?.product || ''} desconectado (${data?.reason || ''})`, 'warn'); }
+    _handleDictaphoneConnected(data) { this._setDictaphoneDevice(data?.device, true); this.showNotification(`Dictáfono: ${data?.device?.product || 'Dispositivo'} conectado`, 'success'); }
+    _handleDictaphoneDisconnected(data) { this._setDictaphoneDevice(data?.device, false, data?.reason); if (data?.reason !== 'cleanup') this.showNotification(`Dictáfono ${data?.device?.product || ''} desconectado (${data?.reason || ''})`, 'warn'); }
+    _handleStudyOpened(exam) { if (!exam) return; if (!this.currentReport.id && !this.currentReport.modified) this.currentReport = { ...this.currentReport, modality: exam.modality || this.currentReport.modality, patientId: exam.patientId ?? this.currentReport.patientId, patientName: exam.patientName ?? this.currentReport.patientName, accessionNumber: exam.accessionNumber ?? this.currentReport.accessionNumber }; if (this.examDescriptionInput) this.examDescriptionInput.value = exam.description || exam.modality || ''; this.setCurrentExam(exam, { focus: true }); }
+    _handleVoiceCommand(command) { if (!command?.action) return; if (command.pendingText?.processed) this._trackReplacements(command.pendingText.replacementDetails, this.appendToEditor(command.pendingText.processed)); this.showVoiceCommandIndicator(command.heard || command.phrase); this.executeVoiceCommand(command); }
     _handleDictaphoneAction(data) { if (data?.action) this.handleDictaphoneAction(data.action); }
     _handleDictationError(data) { this.isDictating = false; this.updateDictationUI(false); const msg = `Error dictado: ${data?.message || 'Error desconocido'}`; this.updateStatusMessage(msg, 'error'); this.showNotification(msg, 'error'); }
     _handleDictaphoneError(data) { const msg = `Error dictáfono: ${data?.message || 'Error desconocido'}`; this.showNotification(msg, 'error'); }
@@ -149,11 +286,12 @@ class RadiologyApp {
     _handleInitializationWarning(data) { this.showNotification(`Advertencia: ${data?.message || 'Funcionalidad limitada.'}`, 'warn', 7000); }
     _handleNeedsUserSetup(data) { this.showNotification(`Configuración Requerida (${data?.service || '?'}): ${data?.message || 'Verifique config.'}`, 'warn', 10000); }
     _handleDictaphoneReconnecting(data) { const msg = `Reconectando dictáfono (${data?.attempt}/${data?.maxAttempts})...`; this.updateStatusMessage(msg, 'warn'); this.showNotification(msg, 'warn'); }
-    _handleDictaphoneReconnectFailed(data) { const msg = `Fallo reconexión dictáfono.`; this.updateStatusMessage(msg, 'error'); this.showNotification(`${msg} ${data?.message || ''}`, 'error'); this.dictaphoneConnected = false; this.updateDictaphoneStatus(false); this.updateDictaphoneInfo(null); }
+    _handleDictaphoneReconnectFailed(data) { const msg = `Fallo reconexión dictáfono.`; this.updateStatusMessage(msg, 'error'); this.showNotification(`${msg} ${data?.message || ''}`, 'error'); this.updateDictaphoneInfo(); }
     _handleOllamaStatusChanged(data) { if (data?.available !== undefined) { this.ollamaAvailable = data.available; this.updateOllamaStatus(data.available); if (!data.available) this.showNotification(`IA no disponible: ${data.error || ''}`, 'warn'); } }
-    _handleDictaphoneLearningData(data) { console.log("Learning Data:", data); /* Actualizar UI de aprendizaje */ }
-    _handleDictaphoneLearningStarted() { this.showNotification("Modo Aprendizaje Dictáfono: ACTIVO. Presione botones.", "info", 30000); /* Actualizar UI */ }
-    _handleDictaphoneLearningStopped(data) { this.showNotification("Modo Aprendizaje Dictáfono: TERMINADO.", "success"); /* Actualizar UI, mostrar botones aprendidos 'data' */ }
+    _handleLlmStreamChunk(data) { if (!this.isAiStreaming || !data?.content) return; this.aiStreamText += data.content; if (this.revisionDiff) { this.revisionDiff.textContent = this.aiStreamText; this.revisionDiff.scrollTop = this.revisionDiff.scrollHeight; } }
+    _handleDictaphoneLearningData(data) { if (data?.id) this._renderLearnedButton(data); }
+    _handleDictaphoneLearningStarted() { this.dictaphoneLearning = true; if (this.dictaphoneLearningStatus) this.dictaphoneLearningStatus.textContent = 'Pulse cada botón del dictáfono y elija su acción. Mientras tanto los botones no actúan.'; }
+    _handleDictaphoneLearningStopped(data) { this.dictaphoneLearning = false; if (this.dictaphoneLearningStatus) this.dictaphoneLearningStatus.textContent = `Aprendizaje terminado (${data?.learned?.length || 0} botones).`; }
   
   
     /**
@@ -196,25 +334,63 @@ class RadiologyApp {
         const dictStat = dictationStatus.status === 'fulfilled' ? dictationStatus.value : {available: false};
         this.updateDictationStatus(dictStat?.available || false);
         const dphInfo = dictaphoneInfo.status === 'fulfilled' ? dictaphoneInfo.value : {isConnected: false};
-        this.dictaphoneConnected = dphInfo?.isConnected || false;
-        this.updateDictaphoneStatus(this.dictaphoneConnected);
-        this.updateDictaphoneInfo(this.dictaphoneConnected ? dphInfo.device : null);
+        this.dictaphoneDevices.clear();
+        (dphInfo?.devices || (dphInfo?.device ? [dphInfo.device] : [])).forEach(device => this.dictaphoneDevices.set(device.path, { device, connected: true }));
+        this.updateDictaphoneInfo();
         const ollStat = ollamaStatus.status === 'fulfilled' ? ollamaStatus.value : {available: false};
         this.ollamaAvailable = ollStat?.available || false;
         this.updateOllamaStatus(this.ollamaAvailable);
         if(this.improveReportBtn) this.improveReportBtn.disabled = !this.ollamaAvailable;
+        if(this.generateImpressionBtn) this.generateImpressionBtn.disabled = !this.ollamaAvailable;
         this.updateStatusMessage('Servicios verificados.');
       } catch (error) {
         console.error('Error fatal verificando estado servicios:', error);
         this.updateStatusMessage(`Error verificando servicios: ${error.message}`, 'error');
         this.updateDictationStatus(false); this.updateDictaphoneStatus(false); this.updateOllamaStatus(false);
         if(this.improveReportBtn) this.improveReportBtn.disabled = true;
+        if(this.generateImpressionBtn) this.generateImpressionBtn.disabled = true;
       }
     }
   
     /**
      * Carga la configuración de la aplicación.
      */
+    async loadDictationMode() {
+      try {
+          const result = await window.api.dictation.getMode();
+          if (result?.success) this._applyDictationMode(result);
+      } catch (error) { console.warn('Modo de dictado no disponible:', error); }
+    }
+
+    async setDictationMode(changes) {
+      try {
+          const result = await window.api.dictation.setMode({ ...this.dictationMode, ...changes });
+          if (!result?.success) throw new Error(result?.error || 'Error desconocido');
+          this._applyDictationMode(result);
+      } catch (error) { this.showNotification(`Modo de dictado: ${error.message}`, 'error'); this._applyDictationMode(this.dictationMode); } // Restaurar los controles
+    }
+
+    _applyDictationMode({ mode, silenceTimeoutMs }) {
+      this.dictationMode = { mode, silenceTimeoutMs };
+      this.recordButtonHeld = false;
+      if (this.dictationModeSelect) this.dictationModeSelect.value = mode;
+      if (this.silenceTimeoutInput) { this.silenceTimeoutInput.value = silenceTimeoutMs / 1000; this.silenceTimeoutInput.hidden = mode !== 'hands_free'; }
+      if (this.startDictationBtn) {
+          const pushToTalk = mode === 'push_to_talk';
+          this.startDictationBtn.textContent = pushToTalk ? '🎙️ Mantener para dictar' : '▶️ Iniciar Dictado';
+          this.startDictationBtn.title = pushToTalk ? 'Mantenga pulsado (ratón o espacio) para dictar' : 'Iniciar Dictado';
+      }
+      this.updateDictationUI(this.isDictating);
+    }
+
+    // push_to_talk: pulsación/liberación del botón en pantalla (la liberación puede llegar fuera del botón)
+    _setRecordButtonHeld(held) {
+      if (this.dictationMode.mode !== 'push_to_talk' || held === this.recordButtonHeld) return;
+      this.recordButtonHeld = held;
+      window.api.dictation.recordButton(held).then(result => { if (!result?.success) throw new Error(result?.error || 'Error desconocido'); })
+          .catch(error => { this.recordButtonHeld = false; this.showNotification(`Error dictado: ${error.message}`, 'error'); });
+    }
+
     async loadSettings() {
       try {
           const response = await window.api.config.getAllSettings();
@@ -228,7 +404,7 @@ class RadiologyApp {
      */
     async loadTemplates() {
       try {
-          const result = await window.api.templates.getAll();
+          const result = await window.api.templates.getAll(this._templateFilters());
           if (result?.success) { this.templates = result.templates || []; }
           else { throw new Error(result?.error || 'Error desconocido'); }
           this.updateTemplatesList();
@@ -240,16 +416,213 @@ class RadiologyApp {
      */
     updateTemplatesList() {
       if (!this.templatesList) return; this.templatesList.innerHTML = '';
-      if (this.templates.length === 0) { const li = document.createElement('li'); li.textContent = 'No hay plantillas.'; li.style.padding = '5px 8px'; this.templatesList.appendChild(li); return; }
+      if (this.templates.length === 0) { const li = document.createElement('li'); li.textContent = this.templateSearchInput?.value.trim() ? 'Ninguna plantilla coincide.' : 'No hay plantillas.'; li.style.padding = '5px 8px'; this.templatesList.appendChild(li); return; }
+      const suggested = this.templateSuggestions[0];
       this.templates.forEach(template => {
           const li = document.createElement('li'); const a = document.createElement('a');
           a.href = '#'; a.textContent = template.name; a.dataset.templateId = template.id;
           a.title = `${template.modality || ''} - ${template.specialty || 'General'}`; a.role = 'button';
+          if (template.tags?.length) a.title += ` · #${template.tags.join(' #')}`;
+          if (template.priority) a.title += ` · prioridad ${template.priority}`;
           a.addEventListener('click', (e) => { e.preventDefault(); this.loadTemplate(template.id); });
-          li.appendChild(a); this.templatesList.appendChild(li);
+          const actions = document.createElement('span'); actions.className = 'template-actions';
+          for (const [label, title, handler] of [['✏️', 'Editar', () => this.openTemplateEditor(template.id)], ['⧉', 'Duplicar', () => this.duplicateTemplate(template.id)], ['🗑️', 'Eliminar', () => this.deleteTemplate(template.id)]]) {
+              const button = document.createElement('button'); button.type = 'button'; button.textContent = label; button.title = `${title} '${template.name}'`;
+              button.addEventListener('click', handler); actions.appendChild(button);
+          }
+          if (suggested?.template.id === template.id) {
+              li.classList.add('suggested'); a.setAttribute('aria-current', 'true');
+              a.title = `Sugerida para el estudio (${suggested.reasons.join(', ')}) · ${a.title}`;
+          }
+          li.append(a, actions); this.templatesList.appendChild(li);
       });
+      this.templatesList.querySelector('li.suggested')?.scrollIntoView({ block: 'nearest' });
+    }
+
+    // Estudio abierto (tipo de examen): sin descripción ni modalidad se quitan las sugerencias
+    setCurrentExam(exam, options = {}) {
+      this.currentExam = exam?.description?.trim() || exam?.modality ? exam : null;
+      return this.suggestTemplates(options);
+    }
+
+    async loadCurrentStudy() {
+      try {
+          const result = await window.api.study.getCurrent();
+          if (result?.success && result.exam) this._handleStudyOpened(result.exam);
+      } catch (error) { console.warn('No se pudo recuperar el estudio abierto:', error); }
+    }
+
+    // Intro en la descripción del estudio: carga la plantilla preseleccionada (sin esperar al retardo de la sugerencia)
+    async loadSuggestedTemplate() {
+      if (this.examSuggestTimeout) { clearTimeout(this.examSuggestTimeout); this.examSuggestTimeout = null; await this.setCurrentExam({ description: this.examDescriptionInput.value }); }
+      const [top] = this.templateSuggestions;
+      if (top && this.templates.some(t => t.id === top.template.id)) await this.loadTemplate(top.template.id);
+    }
+
+    /**
+     * Ordena las plantillas por afinidad con el estudio abierto y preselecciona la primera en la lista.
+     * @param {{focus?: boolean}} [options] - focus: mueve el foco a la preseleccionada (Intro la carga); no se usa mientras se escribe.
+     */
+    async suggestTemplates({ focus = false } = {}) {
+      if (!this.currentExam) { this.templateSuggestions = []; this.updateTemplatesList(); return; }
+      try {
+          const result = await window.api.templates.suggest(this.currentExam);
+          if (!result?.success) throw new Error(result?.error || 'Error desconocido');
+          this.templateSuggestions = result.suggestions || [];
+          this.updateTemplatesList();
+          const [top] = this.templateSuggestions;
+          const preselected = this.templatesList?.querySelector('li.suggested a');
+          if (focus) preselected?.focus({ preventScroll: true });
+          this.updateStatusMessage(top ? `Plantilla sugerida: ${top.template.name}${preselected ? ' (Intro para cargarla)' : ''}.` : 'Ninguna plantilla coincide con el estudio.');
+      } catch (error) { this.templateSuggestions = []; this.updateTemplatesList(); this.showNotification(`Error sugiriendo plantillas: ${error.message}`, 'warn'); }
+    }
+
+    // Filtros de la barra de plantillas: las palabras '#etiqueta' filtran por etiqueta, el resto busca en nombre/etiquetas
+    _templateFilters() {
+      const words = (this.templateSearchInput?.value || '').trim().split(/\s+/).filter(Boolean);
+      const tags = words.filter(w => w.startsWith('#') && w.length > 1).map(w => w.slice(1));
+      const search = words.filter(w => !w.startsWith('#')).join(' ');
+      return { search: search || undefined, tags: tags.length ? tags : undefined, sortBy: this.templateSortSelect?.value || 'specialty' };
+    }
+
+    /**
+     * Abre el diálogo de edición. Sin id crea una plantilla nueva a partir del contenido del editor.
+     */
+    async openTemplateEditor(templateId = null) {
+      if (!this.templateDialog) return;
+      let template = null;
+      if (templateId !== null) {
+          try {
+              const result = await window.api.templates.get(templateId); // Contenido fresco (la caché puede estar filtrada)
+              if (!result?.success) throw new Error(result?.error || 'Error desconocido');
+              template = result.template;
+          } catch (error) { this.showNotification(`Error abriendo plantilla: ${error.message}`, 'error'); return; }
+      }
+      const specialty = this.currentReport.specialty && this.currentReport.specialty !== 'General' ? this.currentReport.specialty : '';
+      const values = template || { name: '', content: this.editor?.value || '', specialty, modality: this.currentReport.modality || '', tags: [], priority: 0 };
+      this.editingTemplateId = template?.id ?? null;
+      this.templateDialogTitle.textContent = template ? `Editar plantilla: ${template.name}` : 'Nueva plantilla';
+      const f = this.templateFields;
+      f.name.value = values.name || ''; f.specialty.value = values.specialty || ''; f.modality.value = values.modality || '';
+      f.tags.value = (values.tags || []).join(', '); f.priority.value = values.priority ?? 0; f.content.value = values.content || '';
+      this.templateDialogError.textContent = '';
+      this.templateDialog.showModal(); f.name.focus();
+    }
+
+    async saveTemplateFromDialog() {
+      const f = this.templateFields;
+      const data = {
+          id: this.editingTemplateId, name: f.name.value.trim(), content: f.content.value,
+          specialty: f.specialty.value.trim() || null, modality: f.modality.value.trim() || null,
+          tags: f.tags.value.split(',').map(t => t.trim()).filter(Boolean), priority: Number.parseInt(f.priority.value, 10) || 0
+      };
+      try {
+          const result = await window.api.templates.save(data);
+          if (!result?.success) throw new Error(result?.error || 'Error desconocido');
+          this.templateDialog.close();
+          this.showNotification(`Plantilla '${data.name}' guardada.`, 'success');
+          await this.loadTemplates();
+      } catch (error) { this.templateDialogError.textContent = error.message; } // El diálogo sigue abierto para corregir
+    }
+
+    async duplicateTemplate(templateId) {
+      try {
+          const result = await window.api.templates.duplicate(templateId);
+          if (!result?.success) throw new Error(result?.error || 'Error desconocido');
+          await this.loadTemplates();
+          this.openTemplateEditor(result.id); // Normalmente se duplica para cambiarla
+      } catch (error) { this.showNotification(`Error duplicando plantilla: ${error.message}`, 'error'); }
+    }
+
+    /**
+     * Exporta las plantillas listadas (la búsqueda actúa como selección: "#normales" exporta las etiquetadas así).
+     */
+    async exportTemplates() {
+      const filtered = !!this.templateSearchInput?.value.trim();
+      if (this.templates.length === 0) { this.showNotification('No hay plantillas que exportar.', 'warn'); return; }
+      if (filtered && !confirm(`¿Exportar las ${this.templates.length} plantillas que coinciden con la búsqueda?`)) return;
+      try {
+          const result = await window.api.templates.exportBundle({ templateIds: filtered ? this.templates.map(t => t.id) : undefined });
+          if (result?.cancelled) return;
+          if (!result?.success) throw new Error(result?.error || 'Error desconocido');
+          this.showNotification(`${result.count} plantillas exportadas.`, 'success');
+      } catch (error) { this.showNotification(`Error exportando plantillas: ${error.message}`, 'error'); }
+    }
+
+    /**
+     * Importa un paquete: primero simula para mostrar los conflictos de nombre y después aplica la estrategia elegida.
+     */
+    async importTemplates() {
+      try {
+          const preview = await window.api.templates.importBundle({ dryRun: true });
+          if (preview?.cancelled) return;
+          if (!preview?.success) throw new Error(preview?.error || 'Error desconocido');
+          const { report, bundle, filePath } = preview;
+          let strategy = 'rename';
+          if (report.conflicts.length > 0 && this.templateImportDialog) {
+              strategy = await this._askTemplateImportStrategy(report, bundle);
+              if (strategy === 'cancel') return;
+          } else if (report.inserted === 0) { this.showNotification(`Nada que importar (${report.unchanged} ya existen sin cambios, ${report.invalid.length} inválidas).`, 'info'); return; }
+          const result = await window.api.templates.importBundle({ filePath, strategy });
+          if (!result?.success) throw new Error(result?.error || 'Error desconocido');
+          const r = result.report;
+          this.showNotification(`Plantillas importadas: ${r.inserted} nuevas, ${r.renamed} renombradas, ${r.updated} sobrescritas, ${r.skipped} omitidas.`, 'success');
+          await this.loadTemplates();
+      } catch (error) { this.showNotification(`Error importando plantillas: ${error.message}`, 'error'); }
+    }
+
+    // Muestra el resumen de la simulación; resuelve con 'rename' | 'overwrite' | 'skip' | 'cancel'
+    _askTemplateImportStrategy(report, bundle) {
+      const lines = [
+          bundle?.description ? `Paquete: ${bundle.description}` : null,
+          `${report.total} plantillas: ${report.inserted} nuevas, ${report.unchanged} sin cambios${report.invalid.length ? `, ${report.invalid.length} inválidas` : ''}.`,
+          `${report.conflicts.length} ya existen con otro contenido:`,
+          ...report.conflicts.map(c => `• ${c.name}`)
+      ];
+      this.templateImportSummary.textContent = lines.filter(Boolean).join('\n');
+      return new Promise(resolve => {
+          this.templateImportDialog.addEventListener('close', () => resolve(this.templateImportDialog.returnValue || 'cancel'), { once: true });
+          this.templateImportDialog.returnValue = '';
+          this.templateImportDialog.showModal();
+      });
+    }
+
+    async deleteTemplate(templateId) {
+      const template = this.templates.find(t => t.id === templateId);
+      if (!confirm(`¿Eliminar la plantilla '${template?.name || templateId}'? Los informes creados con ella se conservan.`)) return;
+      try {
+          const result = await window.api.templates.delete(templateId);
+          if (!result?.success) throw new Error(result?.error || 'Plantilla no encontrada');
+          if (this.currentReport.templateId === templateId) this.currentReport.templateId = null; // ON DELETE SET NULL en la DB
+          this.showNotification(`Plantilla '${template?.name || templateId}' eliminada.`, 'success');
+          await this.loadTemplates();
+      } catch (error) { this.showNotification(`Error eliminando plantilla: ${error.message}`, 'error'); }
     }
   
+    /**
+     * Carga la biblioteca de prompts IA y rellena el selector (agrupado por tarea).
+     */
+    async loadPrompts() {
+      try {
+          const result = await window.api.prompts.list();
+          if (result?.success) { this.prompts = result.prompts || []; }
+          else { throw new Error(result?.error || 'Error desconocido'); }
+      } catch (error) { this.showNotification(`Error cargando prompts IA: ${error.message}`, 'warn'); this.prompts = []; }
+      if (!this.aiPromptSelect) return;
+      const taskLabels = { improve: 'Mejorar', summarize_impression: 'Impresión diagnóstica', translate: 'Traducir', simplify_patient: 'Paciente' };
+      const selected = this.aiPromptSelect.value;
+      this.aiPromptSelect.innerHTML = '<option value="">Mejorar (automático)</option>';
+      const groups = new Map();
+      this.prompts.forEach(prompt => {
+          if (!groups.has(prompt.task)) { const group = document.createElement('optgroup'); group.label = taskLabels[prompt.task] || prompt.task; groups.set(prompt.task, group); this.aiPromptSelect.appendChild(group); }
+          const option = document.createElement('option'); option.value = prompt.id;
+          option.textContent = [prompt.name, prompt.specialty, prompt.model].filter(Boolean).join(' · ');
+          if (prompt.description) option.title = prompt.description;
+          groups.get(prompt.task).appendChild(option);
+      });
+      if (this.prompts.some(p => String(p.id) === selected)) this.aiPromptSelect.value = selected;
+    }
+
     /**
      * Configura el editor.
      */
@@ -284,7 +657,7 @@ class RadiologyApp {
      */
     clearEditor() {
       if (this.currentReport.modified && !confirm('¿Limpiar el texto actual? Se perderán los cambios no guardados.')) return;
-      if (this.editor) { this.editor.value = ''; this.currentReport.content = ''; this.currentReport.modified = false; this.updateWordCount(); this.updateStatusMessage('Editor limpiado.'); }
+      if (this.editor) { this._pushUndoSnapshot(); this.editor.value = ''; this._syncEditorRanges(); this.currentReport.content = ''; this.currentReport.modified = false; this.updateWordCount(); this.updateStatusMessage('Editor limpiado.'); }
     }
   
     /**
@@ -292,24 +665,43 @@ class RadiologyApp {
      */
     createNewReport() {
       if (this.currentReport.modified && !confirm('¿Crear nuevo informe? Se perderán los cambios no guardados.')) return;
-      this.currentReport = { id: null, title: 'Nuevo Informe', content: '', specialty: 'General', modality: null, modified: false };
+      this.currentReport = this._createEmptyReport(); this.pendingChangeSources.clear(); this.undoStack = [];
       if (this.editor) this.editor.value = '';
+      this._clearReplacementHighlights(); this._trackDictatedSegment(null);
+      this.updateReportStatusUI();
       this.updateWordCount(); this.updateStatusMessage('Nuevo informe listo.');
       // Podrías también resetear título de ventana o campos relacionados
     }
   
     /**
-     * Guarda el informe actual (requiere implementación IPC real).
+     * Estado inicial de un informe nuevo.
+     */
+    _createEmptyReport() {
+      return { id: null, title: 'Nuevo Informe', content: '', status: 'draft', patientId: null, patientName: null, accessionNumber: null, specialty: 'General', modality: null, templateId: null, modified: false, savedStatus: null }; // savedStatus: estado en la BD
+    }
+
+    /**
+     * Guarda el informe actual en la tabla de informes.
      */
     async saveReport() {
+      if (!this._confirmUnfilledFields()) return;
+      // Un informe firmado solo admite cambios como adenda ('final' -> 'amended'); sin cambios no hay nada que guardar
+      if (this.currentReport.savedStatus === 'final' && this.currentReport.status === 'final') {
+          if (!this.currentReport.modified) { this.updateStatusMessage('El informe firmado no tiene cambios.'); return; }
+          if (!confirm('El informe ya está firmado. ¿Guardar los cambios como adenda?')) return;
+          this.currentReport.status = 'amended'; this.updateReportStatusUI();
+      }
       try {
           this.updateStatusMessage('Guardando...', 'info'); if (this.saveReportBtn) this.saveReportBtn.disabled = true;
           this.currentReport.content = this.editor?.value || '';
-          // Llamada IPC para guardar
-          const result = await window.api.templates.save(this.currentReport); // saveTemplate puede crear/actualizar
+          // Llamada IPC para guardar (crea o actualiza según exista id)
+          const { modified, savedStatus, ...reportData } = this.currentReport;
+          const source = [...this.pendingChangeSources].sort().join(',') || 'manual';
+          const result = await window.api.reports.save({ ...reportData, source });
           if (result?.success) {
               if (result.id && !this.currentReport.id) this.currentReport.id = result.id; // Actualizar ID si es nuevo
-              this.currentReport.modified = false;
+              this.currentReport.savedStatus = reportData.status;
+              this.currentReport.modified = false; this.pendingChangeSources.clear();
               this.updateStatusMessage('Informe guardado.'); this.showNotification('Guardado', 'success');
           } else { throw new Error(result?.error || 'Error al guardar'); }
       } catch (error) { this.updateStatusMessage(`Error guardando: ${error.message}`, 'error'); this.showNotification(`Error: ${error.message}`, 'error'); }
@@ -320,25 +712,117 @@ class RadiologyApp {
      * Solicita mejora del texto actual usando Ollama.
      */
     async improveReport() {
+      if (this.isAiStreaming) { await this.cancelAiRequest(); return; } // El botón actúa como "Cancelar" durante el streaming
       if (!this.editor?.value.trim()) { this.showNotification('No hay texto para mejorar', 'info'); return; }
       if (!this.ollamaAvailable) { this.showNotification('Asistente IA no disponible', 'error'); return; }
       try {
-          this.updateStatusMessage('Mejorando con IA...', 'info'); if (this.improveReportBtn) this.improveReportBtn.disabled = true;
+          this.updateStatusMessage('Mejorando con IA...', 'info');
           const reportText = this.editor.value; const specialty = this.currentReport.specialty || null;
-          // Llamar a la API expuesta
-          const result = await window.api.llm.request('improveReport', reportText, specialty);
+          // Prompt elegido en el selector; sin selección, el main elige el más específico para 'improve'
+          const prompt = this.prompts.find(p => String(p.id) === this.aiPromptSelect?.value);
+          const options = { promptId: prompt?.id, specialty, modality: this.currentReport.modality || null };
+          // Streaming: el texto se va pintando en el panel mediante 'llm-stream-chunk'
+          this._setAiStreaming(true); this._openRevisionsPanel('IA redactando...', 'stream'); if (this.revisionDiff) this.revisionDiff.textContent = '';
+          const result = await window.api.llm.runTaskStream(prompt?.task || 'improve', reportText, options);
+          this._setAiStreaming(false); if (this.improveReportBtn) this.improveReportBtn.disabled = true; // Hasta terminar la revisión
+          if (result?.cancelled) { this.closeRevisionsPanel(); this.updateStatusMessage('Mejora IA cancelada.'); return; }
           if (result?.success && result.data) {
               const improvedText = result.data.response || result.data.message?.content;
               if (!improvedText) throw new Error("Respuesta IA vacía.");
-              // Confirmar reemplazo
-              if (confirm(`Texto Mejorado:\n-------------\n${improvedText.substring(0, 300)}...\n-------------\n¿Reemplazar texto actual?`)) {
-                  this.editor.value = improvedText; this.currentReport.content = improvedText;
-                  this.currentReport.modified = true; this.updateWordCount();
+              // Revisar el diff antes de aceptar el reemplazo
+              if (await this.reviewTextChange(reportText, improvedText, 'Cambios propuestos por IA')) {
+                  this._pushUndoSnapshot(); this.editor.value = improvedText; this._syncEditorRanges(); this.currentReport.content = improvedText;
+                  this.currentReport.modified = true; this.pendingChangeSources.add('ai'); this.updateWordCount();
                   this.updateStatusMessage('Informe mejorado con IA.');
               } else { this.updateStatusMessage('Mejora cancelada.'); }
           } else { throw new Error(result?.error || 'Fallo al mejorar'); }
-      } catch (error) { this.updateStatusMessage(`Error mejora IA: ${error.message}`, 'error'); this.showNotification(`Error IA: ${error.message}`, 'error'); }
-      finally { if (this.improveReportBtn) this.improveReportBtn.disabled = false; }
+      } catch (error) { this._setAiStreaming(false); this.closeRevisionsPanel(); this.updateStatusMessage(`Error mejora IA: ${error.message}`, 'error'); this.showNotification(`Error IA: ${error.message}`, 'error'); }
+      finally { this._setAiStreaming(false); if (this.improveReportBtn) this.improveReportBtn.disabled = !this.ollamaAvailable; }
+    }
+
+    /**
+     * Genera la Impresión diagnóstica a partir de la sección Hallazgos y la inserta en su sección.
+     */
+    async generateImpression() {
+      if (!this.ollamaAvailable) { this.showNotification('Asistente IA no disponible', 'error'); return; }
+      const reportText = this.editor?.value || '';
+      const sections = this.findReportSections(reportText);
+      const findings = sections.find(s => s.key === 'findings');
+      const findingsText = findings ? reportText.slice(findings.contentStart, findings.end).trim() : '';
+      if (!findingsText) { this.showNotification('No se encontró texto en la sección Hallazgos', 'info'); return; }
+      if (this.generateImpressionBtn) this.generateImpressionBtn.disabled = true;
+      try {
+          this.updateStatusMessage('Generando impresión diagnóstica con IA...', 'info');
+          const result = await window.api.llm.generateImpression(findingsText, this.currentReport.specialty || null, this.currentReport.modality || null);
+          if (result?.cancelled) { this.updateStatusMessage('Generación de impresión cancelada.'); return; }
+          if (!result?.success) throw new Error(result?.error || 'Fallo al generar impresión');
+          const impression = result.data?.response;
+          if (!impression) throw new Error('Respuesta IA vacía.');
+          const newText = this._replaceSectionContent(reportText, 'impression', impression);
+          if (await this.reviewTextChange(reportText, newText, 'Impresión propuesta por IA')) {
+              this._pushUndoSnapshot(); this.editor.value = newText; this._syncEditorRanges(); this.currentReport.content = newText;
+              this.currentReport.modified = true; this.pendingChangeSources.add('ai'); this.updateWordCount();
+              this.updateStatusMessage('Impresión diagnóstica insertada.');
+          } else { this.updateStatusMessage('Impresión descartada.'); }
+      } catch (error) { this.updateStatusMessage(`Error impresión IA: ${error.message}`, 'error'); this.showNotification(`Error IA: ${error.message}`, 'error'); }
+      finally { if (this.generateImpressionBtn) this.generateImpressionBtn.disabled = !this.ollamaAvailable; }
+    }
+
+    // Secciones y sustitución de una sección: report-sections.js
+    findReportSections(text) { return locateReportSections(text); }
+
+    /**
+     * Localiza los campos de plantilla del texto.
+     * @returns {Array<{start: number, end: number, name: string, defaultValue: string|null, legacy: boolean}>} En orden de aparición.
+     */
+    findTemplateFields(text) {
+      return [...(text || '').matchAll(TEMPLATE_FIELD_REGEX)].map(m => ({
+        start: m.index, end: m.index + m[0].length, legacy: m[1] === undefined,
+        name: (m[1] ?? m[3]).trim(), defaultValue: m[2] !== undefined && m[2].trim() ? m[2].trim() : null
+      }));
+    }
+
+    _replaceSectionContent(text, key, content) { return replaceReportSection(text, key, content); }
+
+    /**
+     * Antes de guardar: señala los campos [[...]] sin rellenar. Los valores por defecto solo se aplican si se confirma;
+     * si no (o si algún campo no tiene valor por defecto) se selecciona el primero pendiente y no se guarda.
+     * @returns {boolean} true si se puede guardar.
+     */
+    _confirmUnfilledFields() {
+      const fields = this.findTemplateFields(this.editor?.value || '').filter(f => !f.legacy);
+      if (fields.length === 0) return true;
+      const list = fields.map(f => `• ${f.name}: ${f.defaultValue ? `«${f.defaultValue}»` : '(sin valor por defecto)'}`).join('\n');
+      if (!confirm(`Hay ${fields.length} campo(s) de plantilla sin rellenar:\n${list}\n\n¿Aplicar los valores por defecto y guardar?`)) {
+          this._selectField(fields[0]); this.updateStatusMessage('Guardado cancelado: rellene los campos pendientes.', 'warn'); return false;
+      }
+      const withDefault = fields.filter(f => f.defaultValue);
+      if (withDefault.length > 0) {
+          this._pushUndoSnapshot();
+          let value = this.editor.value;
+          for (const field of [...withDefault].reverse()) value = value.slice(0, field.start) + field.defaultValue + value.slice(field.end);
+          this.editor.value = value; this._syncEditorRanges();
+          this.currentReport.content = value; this.currentReport.modified = true; this.pendingChangeSources.add('manual'); this.updateWordCount();
+      }
+      const remaining = this.findTemplateFields(this.editor.value).filter(f => !f.legacy);
+      if (remaining.length === 0) return true;
+      this._selectField(remaining[0]);
+      this.showNotification(`${remaining.length} campo(s) sin valor por defecto: rellénelos antes de guardar.`, 'warn');
+      return false;
+    }
+
+    /**
+     * Cancela la generación IA en curso (el texto parcial se descarta).
+     */
+    async cancelAiRequest() {
+      if (!this.isAiStreaming) return;
+      try { await window.api.llm.cancel(); this.updateStatusMessage('Cancelando IA...', 'info'); }
+      catch (error) { this.showNotification(`Error cancelando IA: ${error.message}`, 'error'); }
+    }
+
+    _setAiStreaming(isStreaming) {
+      this.isAiStreaming = isStreaming; if (isStreaming) this.aiStreamText = '';
+      if (this.improveReportBtn) { this.improveReportBtn.textContent = isStreaming ? '⏹️ Cancelar IA' : '✨ Mejorar IA'; this.improveReportBtn.disabled = false; }
     }
   
     /**
@@ -352,63 +836,149 @@ class RadiologyApp {
            // Usar contenido de la plantilla cargada desde DB
            const templateContent = template.content || `# ${template.name}\n\n[Contenido...]`;
            if (this.editor) this.editor.value = templateContent;
-           this.currentReport = { ...this.currentReport, id: template.id, title: template.name, content: templateContent, specialty: template.specialty, modality: template.modality, modified: false };
+           this._clearReplacementHighlights(); this._trackDictatedSegment(null);
+           // El informe conserva su propio id; la plantilla solo se registra como origen
+           this.currentReport = { ...this.currentReport, templateId: template.id, title: template.name, content: templateContent, specialty: template.specialty, modality: template.modality, modified: false };
            this.updateWordCount(); this.updateStatusMessage(`Plantilla cargada: ${template.name}.`);
+           window.api.templates.recordUsage(template.id, this.currentExam).catch(e => console.warn('No se pudo registrar el uso de la plantilla:', e)); // Pondera futuras sugerencias
+           const [firstField] = this.findTemplateFields(templateContent);
+           if (firstField && this.editor) this._selectField(firstField); // Listo para dictar el primer campo
        } catch (error) { this.showNotification(`Error cargando plantilla: ${error.message}`, 'error'); }
     }
   
     /**
-     * Busca dictáfonos conectados y permite seleccionar uno.
+     * Busca dictáfonos y pedales soportados y conecta los que aún no lo estén (todos funcionan a la vez).
      */
     async refreshDictaphones() {
       try {
         this.updateStatusMessage('Buscando dictáfonos...', 'info'); if (this.refreshDictaphoneBtn) this.refreshDictaphoneBtn.disabled = true;
         const dictaphones = await window.api.dictation.getConnectedDictaphones();
-        if (dictaphones?.length > 0) { this.showDictaphoneSelector(dictaphones); }
-        else { this.updateStatusMessage('No hay dictáfonos.'); this.updateDictaphoneInfo(null); this.updateDictaphoneStatus(false); this.showNotification('No se detectaron dictáfonos.', 'info'); }
+        if (!dictaphones?.length) { this.updateStatusMessage('No hay dictáfonos.'); this.showNotification('No se detectaron dictáfonos.', 'info'); return; }
+        if (dictaphones.some(d => !d.connected)) {
+            const result = await window.api.dictation.setActiveDictaphone(null); // Sin ruta conecta todos (eventos 'dictaphone-connected')
+            if (!result?.success) throw new Error(result?.error || 'Fallo al conectar');
+        }
+        dictaphones.forEach(device => { if (device.connected) this._setDictaphoneDevice(device, true); });
+        this.updateStatusMessage(`${dictaphones.length} dispositivo(s) de dictado.`);
       } catch (error) { this.updateStatusMessage(`Error buscando: ${error.message}`, 'error'); this.showNotification(`Error: ${error.message}`, 'error'); }
       finally { if (this.refreshDictaphoneBtn) this.refreshDictaphoneBtn.disabled = false; }
     }
-  
-    /**
-     * Muestra un selector simple (prompt) para elegir dictáfono.
-     */
-    showDictaphoneSelector(dictaphones) {
-      const deviceNames = dictaphones.map((d, i) => `${i + 1}. ${d.manufacturer || '?'} ${d.product || 'Dispositivo'}`);
-      const message = `Dictáfonos disponibles:\n${deviceNames.join('\n')}\n\nNúmero a usar (0 para cancelar):`;
-      const selection = prompt(message, '1');
-      if (selection === null || selection === '0') return;
-      const index = parseInt(selection) - 1;
-      if (!isNaN(index) && index >= 0 && index < dictaphones.length) this.setActiveDictaphone(dictaphones[index]);
-      else this.showNotification('Selección inválida', 'error');
+
+    _setDictaphoneDevice(device, connected, reason = null) {
+      if (!device?.path) return;
+      if (connected) { // Al reconectar la ruta HID puede cambiar: se retira la entrada desconectada del mismo modelo
+          for (const [path, entry] of this.dictaphoneDevices) if (!entry.connected && entry.device.vendorId === device.vendorId && entry.device.productId === device.productId) this.dictaphoneDevices.delete(path);
+      }
+      this.dictaphoneDevices.set(device.path, { device, connected, reason });
+      this.updateDictaphoneInfo();
     }
   
     /**
-     * Intenta activar un dictáfono específico.
+     * Abre el diálogo de aprendizaje: cada botón pulsado aparece en la lista para asignarle una acción.
+     * Un dispositivo no reconocido se elige en la lista de dispositivos HID y se conecta para aprenderlo.
      */
-    async setActiveDictaphone(device) {
-      if (!device?.path) { this.showNotification('Dispositivo inválido', 'error'); return; }
+    async openDictaphoneLearning() {
+      if (!this.dictaphoneLearningDialog) return;
+      this.dictaphoneLearnedList.innerHTML = ''; this.dictaphoneLearningError.textContent = ''; this.dictaphoneLearningModified = false;
+      this.dictaphoneLearningDialog.showModal();
+      await this._loadDictaphoneLearningDevices();
+      if (this.dictaphoneConnected) await this._startDictaphoneLearning();
+      else this.dictaphoneLearningStatus.textContent = 'Ningún dictáfono reconocido: elija el dispositivo HID y pulse Conectar.';
+    }
+
+    async _startDictaphoneLearning() {
+      this.dictaphoneLearningStatus.textContent = 'Iniciando aprendizaje...';
       try {
-        this.updateStatusMessage(`Activando: ${device.product || '?'}...`, 'info');
-        const result = await window.api.dictation.setActiveDictaphone(device.path);
-        if (!result?.success) throw new Error(result?.error || 'Fallo al activar');
-        // Esperar evento 'dictaphone-connected' para actualizar UI
-        this.updateStatusMessage('Dictáfono activado.');
-      } catch (error) { this.updateStatusMessage(`Error activando: ${error.message}`, 'error'); this.showNotification(`Error: ${error.message}`, 'error'); }
+          const result = await window.api.dictation.startLearningMode();
+          if (!result?.success) throw new Error(result?.error || 'Error desconocido');
+          this.dictaphoneLearning = true;
+      } catch (error) { this.dictaphoneLearningStatus.textContent = ''; this.dictaphoneLearningError.textContent = `No se pudo iniciar el aprendizaje: ${error.message}`; }
     }
-  
+
+    // Dispositivos HID aún no conectados (los no reconocidos se conectan con una disposición vacía)
+    async _loadDictaphoneLearningDevices() {
+      if (!this.dictaphoneLearningDeviceSelect) return;
+      try {
+          const devices = (await window.api.dictation.getConnectedDictaphones({ includeUnsupported: true }) || []).filter(d => !d.connected);
+          const hexId = (value) => Number(value).toString(16).padStart(4, '0');
+          this.dictaphoneLearningDeviceSelect.replaceChildren(...devices.map(d => new Option(`${d.product || d.modelName} (${hexId(d.vendorId)}:${hexId(d.productId)})${d.supported ? '' : ' · no reconocido'}`, d.path)));
+          if (this.dictaphoneLearningConnectBtn) this.dictaphoneLearningConnectBtn.disabled = devices.length === 0;
+      } catch (error) { this.dictaphoneLearningError.textContent = `No se pudieron listar los dispositivos: ${error.message}`; }
+    }
+
+    async connectDictaphoneForLearning() {
+      const path = this.dictaphoneLearningDeviceSelect?.value;
+      if (!path) return;
+      try {
+          const result = await window.api.dictation.setActiveDictaphone(path); // Evento 'dictaphone-connected' al abrirlo
+          if (!result?.success) throw new Error(result?.error || 'Fallo al conectar');
+          this.dictaphoneLearningError.textContent = '';
+          await this._loadDictaphoneLearningDevices();
+          if (!this.dictaphoneLearning) await this._startDictaphoneLearning(); // Si ya estaba activo, el nuevo dispositivo entra en él
+      } catch (error) { this.dictaphoneLearningError.textContent = `No se pudo conectar: ${error.message}`; }
+    }
+
+    // Fila por botón físico (id estable: byte/bit o código); al volver a pulsarlo solo se resalta
+    _renderLearnedButton(data) {
+      if (!this.dictaphoneLearnedList) return;
+      this.dictaphoneLearnedList.querySelectorAll('li.pressed').forEach(li => li.classList.remove('pressed'));
+      let item = [...this.dictaphoneLearnedList.children].find(li => li.dataset.id === data.id);
+      if (!item) {
+          item = document.createElement('li'); item.dataset.id = data.id;
+          const label = document.createElement('span'); label.textContent = this.dictaphoneDevices.size > 1 ? `${data.deviceName}: ${data.label}` : data.label;
+          const button = document.createElement('span'); button.className = 'learned-button'; button.textContent = data.button || 'nuevo botón';
+          const select = document.createElement('select'); select.setAttribute('aria-label', `Acción para ${data.label}`);
+          const actions = DICTAPHONE_ACTIONS.some(a => a.value === (data.action || '')) ? DICTAPHONE_ACTIONS : [...DICTAPHONE_ACTIONS, { value: data.action, label: data.action }];
+          actions.forEach(a => select.add(new Option(a.label, a.value)));
+          select.value = data.action || '';
+          select.addEventListener('change', () => this.assignDictaphoneButton(data, select.value, item));
+          item.append(label, button, select);
+          this.dictaphoneLearnedList.appendChild(item);
+      }
+      item.classList.add('pressed'); item.scrollIntoView({ block: 'nearest' });
+      item.querySelector('select')?.focus();
+    }
+
+    async assignDictaphoneButton(data, action, item) {
+      try {
+          const result = await window.api.dictation.assignButton(data, action || null);
+          if (!result?.success) throw new Error(result?.error || 'El botón no encaja en la disposición del dispositivo');
+          this.dictaphoneLearningError.textContent = '';
+          this.dictaphoneLearningModified = true;
+          item?.classList.remove('pressed');
+      } catch (error) { this.dictaphoneLearningError.textContent = `No se pudo asignar '${data.label}': ${error.message}`; }
+    }
+
+    async saveDictaphoneLearning() {
+      try {
+          await this._stopDictaphoneLearning({ warnUnsaved: false });
+          const result = await window.api.dictation.saveDictaphoneConfig({}); // Guarda el mapeo activo (incluye lo asignado)
+          if (!result?.success) throw new Error(result?.error || 'Error desconocido');
+          this.dictaphoneLearningModified = false;
+          this.dictaphoneLearningDialog.close();
+          this.showNotification('Configuración del dictáfono guardada.', 'success');
+      } catch (error) { this.dictaphoneLearningError.textContent = `Error guardando: ${error.message}`; }
+    }
+
+    async _stopDictaphoneLearning({ warnUnsaved = true } = {}) {
+      this.dictaphoneLearning = false;
+      try { await window.api.dictation.stopLearningMode(); } catch (error) { console.warn('Error deteniendo aprendizaje:', error); }
+      if (warnUnsaved && this.dictaphoneLearningModified) this.showNotification('Asignaciones activas sin guardar: se perderán al reconectar el dictáfono.', 'warn');
+    }
+
     /**
      * Maneja acciones recibidas del dictáfono (mapeadas).
      */
     handleDictaphoneAction(action) {
       this.showNotification(`Acción Dictáfono: ${action}`, 'info');
       switch (action) {
-        case 'start_dictation': case 'record': this.startDictation(); break;
-        case 'toggle_dictation': case 'play_pause': if (this.isDictating) this.stopDictation(); else this.startDictation(); break;
-        case 'stop_dictation': case 'stop': this.stopDictation(); break;
+        case 'start_dictation': case 'record': case 'toggle_dictation': case 'play_pause': case 'stop_dictation': case 'stop': break; // Inicio/parada los gestiona el main process según el modo de dictado
         case 'new_report': this.createNewReport(); break;
         case 'save_report': this.saveReport(); break;
         case 'improve_report': this.improveReport(); break;
+        case 'generate_impression': this.generateImpression(); break;
+        case 'next_field': case 'fast_forward': this.selectAdjacentField(1); break;
+        case 'previous_field': case 'rewind': this.selectAdjacentField(-1); break;
         default: console.warn(`Acción dictáfono no manejada: ${action}`);
       }
     }
@@ -419,19 +989,366 @@ class RadiologyApp {
     appendToEditor(text) {
       if (!text || !this.editor) return;
       const editor = this.editor; const start = editor.selectionStart; const end = editor.selectionEnd;
+      this._pushUndoSnapshot();
       const currentValue = editor.value;
       const precedingChar = currentValue.substring(start - 1, start);
-      const needsSpacer = start > 0 && !/\s$/.test(precedingChar); // Añadir espacio si no hay uno antes
+      // El dictado sustituye solo el campo seleccionado: sin espacio añadido ("([[medida]])" -> "(3 cm)")
+      const replacingField = start !== end && this.findTemplateFields(currentValue).some(f => f.start === start && f.end === end);
+      const needsSpacer = start > 0 && !replacingField && !/\s$/.test(precedingChar); // Añadir espacio si no hay uno antes
       const spacer = needsSpacer ? ' ' : '';
       const textToInsert = spacer + text;
       editor.value = currentValue.substring(0, start) + textToInsert + currentValue.substring(end);
+      this._syncEditorRanges();
       const newPosition = start + textToInsert.length;
       editor.setSelectionRange(newPosition, newPosition);
-      this.currentReport.content = editor.value; this.currentReport.modified = true;
+      this.currentReport.content = editor.value; this.currentReport.modified = true; this.pendingChangeSources.add('dictation');
       this.onEditorChange(); // Actualizar contador palabras, etc.
       editor.focus(); editor.scrollTop = editor.scrollHeight; // Enfocar y scroll
+      return { start: start + spacer.length, end: newPosition }; // Rango del texto insertado
     }
   
+    /**
+     * Ejecuta un comando de voz de edición/navegación sobre el editor.
+     */
+    executeVoiceCommand(command) {
+      if (!this.editor) return;
+      switch (command.action) {
+        case 'delete_last_sentence': this.deleteLastSentence(); break;
+        case 'undo': this.undoLastChange(); break;
+        case 'goto_section': this.goToSection(command.argument); break;
+        case 'next_field': this.selectAdjacentField(1); break;
+        case 'previous_field': this.selectAdjacentField(-1); break;
+        case 'select': this.selectTextInEditor(command.argument); break;
+        default: console.warn(`Comando de voz no manejado: ${command.action}`);
+      }
+    }
+
+    /**
+     * Borra la frase que termina en el cursor (hasta el '.', '?', '!' o salto de línea anterior).
+     */
+    deleteLastSentence() {
+      const editor = this.editor; const cursor = editor.selectionStart; const value = editor.value;
+      const before = value.slice(0, cursor).replace(/\s+$/, '');
+      if (!before) { this.updateStatusMessage('No hay frase que borrar.'); return; }
+      const body = before.replace(/[.!?]+$/, ''); // Ignorar el terminador de la propia frase
+      const start = Math.max(body.lastIndexOf('.'), body.lastIndexOf('!'), body.lastIndexOf('?'), body.lastIndexOf('\n')) + 1;
+      this._pushUndoSnapshot();
+      const kept = value.slice(0, start).replace(/[ \t]+$/, '');
+      editor.value = kept + value.slice(before.length); // Se conservan los espacios/saltos entre la frase y el cursor
+      editor.setSelectionRange(kept.length, kept.length);
+      this._afterVoiceEdit('Última frase borrada.');
+    }
+
+    /**
+     * Restaura el editor al estado anterior al último cambio programático.
+     * Si después se ha escrito a mano no se deshace: se perdería lo escrito.
+     */
+    undoLastChange() {
+      const snapshot = this.undoStack[this.undoStack.length - 1];
+      if (!snapshot) { this.updateStatusMessage('Nada que deshacer.'); return; }
+      if (snapshot.stale) { this.updateStatusMessage('No se puede deshacer: el texto se ha editado a mano después del último cambio.', 'warn'); return; }
+      this.undoStack.pop();
+      this.editor.value = snapshot.value; this.editor.setSelectionRange(snapshot.selectionStart, snapshot.selectionEnd);
+      this._trackDictatedSegment(null);
+      this._afterVoiceEdit('Cambio deshecho.');
+    }
+
+    /**
+     * Sitúa el cursor al final del contenido de una sección ('technique', 'findings', 'impression').
+     */
+    goToSection(key) {
+      const text = this.editor.value;
+      const section = this.findReportSections(text).find(s => s.key === key);
+      if (!section) { this.showNotification(`Sección no encontrada: ${key}`, 'info'); return; }
+      const contentEnd = section.contentStart + text.slice(section.contentStart, section.end).replace(/\s+$/, '').length;
+      this.editor.focus(); this.editor.setSelectionRange(contentEnd, contentEnd);
+      this.updateStatusMessage(`Cursor en ${REPORT_SECTION_PATTERNS.find(p => p.key === key)?.label || key}.`);
+    }
+
+    /**
+     * Selecciona el siguiente/anterior campo de plantilla (con vuelta al principio/final); el dictado lo sustituye.
+     */
+    selectAdjacentField(direction = 1) {
+      const fields = this.findTemplateFields(this.editor.value);
+      if (fields.length === 0) { this.updateStatusMessage('No hay campos pendientes.'); return; }
+      const target = direction > 0
+          ? fields.find(f => f.start >= this.editor.selectionEnd) || fields[0]
+          : [...fields].reverse().find(f => f.end <= this.editor.selectionStart) || fields[fields.length - 1];
+      this._selectField(target);
+    }
+
+    _selectField(field) {
+      this.editor.focus(); this.editor.setSelectionRange(field.start, field.end);
+      this.updateStatusMessage(`Campo: ${field.name}${field.defaultValue ? ` (por defecto: ${field.defaultValue})` : ''}`);
+    }
+
+    /**
+     * Selecciona la última aparición del texto (antes del cursor si existe); el siguiente dictado la sustituye.
+     */
+    selectTextInEditor(text) {
+      if (!text) return;
+      const haystack = this.editor.value.toLowerCase(); const needle = text.toLowerCase();
+      let index = haystack.lastIndexOf(needle, Math.max(0, this.editor.selectionStart - needle.length));
+      if (index === -1) index = haystack.lastIndexOf(needle);
+      if (index === -1) { this.showNotification(`No se encontró "${text}"`, 'info'); return; }
+      this.editor.focus(); this.editor.setSelectionRange(index, index + needle.length);
+    }
+
+    /**
+     * Muestra brevemente la frase interpretada como comando (en lugar de texto).
+     */
+    showVoiceCommandIndicator(phrase) {
+      if (!this.voiceCommandIndicator) return;
+      this.voiceCommandIndicator.textContent = `🗣️ Comando: «${phrase}»`; this.voiceCommandIndicator.hidden = false;
+      clearTimeout(this.voiceIndicatorTimeout);
+      this.voiceIndicatorTimeout = setTimeout(() => { this.voiceCommandIndicator.hidden = true; }, 2500);
+    }
+
+    // --- Aprendizaje de correcciones manuales sobre el texto dictado ---
+
+    // Sigue el rango del último texto dictado en el editor (null = dejar de seguir)
+    _trackDictatedSegment(text, range = null) {
+      clearTimeout(this.correctionCheckTimeout);
+      this.dictatedSegment = text && range ? { original: text, start: range.start, end: range.end } : null;
+      this._syncEditorRanges();
+    }
+
+    // En cada 'input': desplaza o amplía el rango dictado según dónde cayó el cambio y programa la revisión
+    _trackDictationEdits() {
+      const change = this._syncEditorRanges(); const segment = this.dictatedSegment;
+      if (!change || !segment) return;
+      const { start: prefix, oldEnd: changeEnd, delta } = change;
+      if (changeEnd < segment.start) { segment.start += delta; segment.end += delta; return; } // Cambio antes del dictado
+      if (prefix > segment.end) return; // Cambio después del dictado
+      segment.start = Math.min(segment.start, prefix); segment.end = Math.max(segment.end, changeEnd) + delta;
+      if (segment.end <= segment.start) { this._trackDictatedSegment(null); return; } // Dictado borrado por completo
+      clearTimeout(this.correctionCheckTimeout);
+      this.correctionCheckTimeout = setTimeout(() => this._checkDictationCorrections(), 3000); // Al dejar de escribir
+    }
+
+    async _checkDictationCorrections() {
+      clearTimeout(this.correctionCheckTimeout);
+      const segment = this.dictatedSegment;
+      if (!segment || !this.editor || !window.api?.terms?.proposeCorrections) return;
+      const edited = this.editor.value.slice(segment.start, segment.end);
+      if (edited === segment.lastChecked || edited.trim() === segment.original.trim()) return;
+      segment.lastChecked = edited;
+      try {
+        const result = await window.api.terms.proposeCorrections(segment.original, edited);
+        if (!result?.success) throw new Error(result?.error || 'Fallo analizando correcciones');
+        const known = new Set([...this.dismissedCorrections, ...this.pendingCorrections.map(c => this._correctionKey(c))]);
+        const fresh = (result.corrections || []).filter(c => !known.has(this._correctionKey(c)));
+        if (fresh.length === 0) return;
+        this.pendingCorrections.push(...fresh); this.renderCorrectionsPanel();
+      } catch (error) { console.error('Error proponiendo correcciones:', error); }
+    }
+
+    // Revisa ya el dictado seguido (si se editó) y deja de seguirlo
+    _flushDictationCorrections() {
+      if (!this.dictatedSegment) return;
+      this._checkDictationCorrections(); // Lee el editor de forma síncrona antes de su primer await
+      this._trackDictatedSegment(null);
+    }
+
+    renderCorrectionsPanel() {
+      if (!this.correctionsPanel || !this.correctionsList) return;
+      this.correctionsList.innerHTML = '';
+      this.pendingCorrections.forEach((correction, index) => {
+        const item = document.createElement('li'); const label = document.createElement('label'); const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox'; checkbox.checked = true; checkbox.dataset.index = String(index);
+        const heard = document.createElement('span'); heard.className = 'correction-heard'; heard.textContent = correction.heard;
+        const correct = document.createElement('span'); correct.className = 'correction-correct'; correct.textContent = correction.correct;
+        label.append(checkbox, heard, ' → ', correct); item.appendChild(label); this.correctionsList.appendChild(item);
+      });
+      this.correctionsPanel.hidden = this.pendingCorrections.length === 0;
+    }
+
+    async confirmCorrections() {
+      const checked = new Set([...(this.correctionsList?.querySelectorAll('input[type="checkbox"]') || [])].filter(cb => cb.checked).map(cb => Number(cb.dataset.index)));
+      const selected = this.pendingCorrections.filter((_, index) => checked.has(index));
+      const scope = this._termScope(); let learned = 0;
+      for (const correction of selected) {
+        try {
+          const result = await window.api.terms.addTerm(correction.heard, correction.correct, scope);
+          if (!result?.success || !result.id) throw new Error(result?.error || 'Término no guardado');
+          learned++;
+        } catch (error) { console.error(`Error aprendiendo '${correction.heard}':`, error); }
+      }
+      this.pendingCorrections.filter((_, index) => !checked.has(index)).forEach(c => this.dismissedCorrections.add(this._correctionKey(c)));
+      this.pendingCorrections = []; this.renderCorrectionsPanel();
+      if (selected.length > 0) this.showNotification(`${learned} de ${selected.length} correcciones añadidas al diccionario.`, learned === selected.length ? 'success' : 'warn');
+    }
+
+    dismissCorrections() {
+      this.pendingCorrections.forEach(c => this.dismissedCorrections.add(this._correctionKey(c)));
+      this.pendingCorrections = []; this.renderCorrectionsPanel();
+    }
+
+    _correctionKey(correction) { return `${correction.heard}→${correction.correct}`; }
+
+    // Especialidad/modalidad con la que se aprenden términos ('General' es la de un informe nuevo: el término aplica a todas)
+    _termScope() {
+      const specialty = this.currentReport.specialty && this.currentReport.specialty !== 'General' ? this.currentReport.specialty : null;
+      return { specialty, modality: this.currentReport.modality || null };
+    }
+
+    // --- Revisión de reemplazos de términos (resaltado en el editor + popover) ---
+
+    // Resalta los reemplazos de un texto recién insertado en 'range' (processedIndices son relativos a ese texto)
+    _trackReplacements(replacements, range) {
+      if (!range || !replacements?.length || !this.editor) return;
+      for (const rep of replacements) {
+        if (!rep?.termId || !rep.processedIndices) continue;
+        const start = range.start + rep.processedIndices.start; const end = range.start + rep.processedIndices.end;
+        if (this.editor.value.slice(start, end) !== rep.replacement) continue; // Índices que no cuadran: no resaltar algo distinto
+        this.replacementHighlights.push({ start, end, original: rep.original, replacement: rep.replacement, termId: rep.termId, matchType: rep.matchType });
+      }
+      this.replacementHighlights.sort((a, b) => a.start - b.start);
+      this.renderReplacementHighlights();
+    }
+
+    // Ajusta los reemplazos resaltados al último cambio del editor; devuelve el cambio { start, oldEnd, delta } o null
+    _syncEditorRanges() {
+      const value = this.editor?.value || ''; const previous = this.lastEditorValue; this.lastEditorValue = value;
+      if (value === previous) return null;
+      const minLength = Math.min(previous.length, value.length);
+      let prefix = 0; while (prefix < minLength && previous[prefix] === value[prefix]) prefix++;
+      let suffix = 0; while (suffix < minLength - prefix && previous[previous.length - 1 - suffix] === value[value.length - 1 - suffix]) suffix++;
+      const change = { start: prefix, oldEnd: previous.length - suffix, delta: value.length - previous.length };
+      if (this.replacementHighlights.length > 0) {
+        // Un reemplazo tocado por el cambio ya no es el automático: deja de resaltarse
+        this.replacementHighlights = this.replacementHighlights.filter(h => change.oldEnd <= h.start || change.start >= h.end);
+        this.replacementHighlights.forEach(h => { if (change.oldEnd <= h.start) { h.start += change.delta; h.end += change.delta; } });
+        if (this.activeReplacement && !this.replacementHighlights.includes(this.activeReplacement)) this.hideReplacementPopover();
+        this.renderReplacementHighlights();
+      }
+      return change;
+    }
+
+    _clearReplacementHighlights() { this.replacementHighlights = []; this.hideReplacementPopover(); this.renderReplacementHighlights(); }
+
+    // Capa bajo el textarea con el mismo texto (transparente) y <mark> en cada reemplazo
+    renderReplacementHighlights() {
+      const layer = this.editorHighlights; if (!layer || !this.editor) return;
+      layer.innerHTML = '';
+      if (this.replacementHighlights.length === 0) return;
+      const value = this.editor.value; let last = 0;
+      this.replacementHighlights.forEach((h, index) => {
+        layer.append(value.slice(last, h.start));
+        const mark = document.createElement('mark'); mark.textContent = value.slice(h.start, h.end); mark.dataset.index = String(index);
+        if (h === this.activeReplacement) mark.classList.add('active');
+        layer.appendChild(mark); last = h.end;
+      });
+      layer.append(value.slice(last) + '\n'); // El salto final conserva la altura de una última línea vacía
+      layer.scrollTop = this.editor.scrollTop;
+    }
+
+    // Abre el popover si el cursor (sin selección) cae dentro de un reemplazo resaltado
+    _onEditorCaretMove() {
+      const { selectionStart, selectionEnd } = this.editor;
+      const item = selectionStart === selectionEnd ? this.replacementHighlights.find(h => selectionStart >= h.start && selectionStart <= h.end) : null;
+      if (item) this.showReplacementPopover(item); else this.hideReplacementPopover();
+    }
+
+    /**
+     * Popover de un reemplazo: revertir, revertir siempre (lista negra) u otra sugerencia del diccionario.
+     */
+    async showReplacementPopover(item) {
+      if (!this.replacementPopover || item === this.activeReplacement) return;
+      this.activeReplacement = item; this.renderReplacementHighlights();
+      if (this.replacementPopoverTitle) {
+        const heard = document.createElement('span'); heard.className = 'correction-heard'; heard.textContent = item.original;
+        const correct = document.createElement('span'); correct.className = 'correction-correct'; correct.textContent = item.replacement;
+        this.replacementPopoverTitle.replaceChildren(heard, ' → ', correct, ` (${item.matchType || '?'})`);
+      }
+      const mark = this.editorHighlights?.querySelector(`mark[data-index="${this.replacementHighlights.indexOf(item)}"]`);
+      const rect = (mark || this.editor).getBoundingClientRect();
+      this.replacementPopover.style.left = `${Math.round(rect.left)}px`; this.replacementPopover.style.top = `${Math.round(rect.bottom + 4)}px`;
+      this.replacementPopover.hidden = false;
+      if (!this.replacementSuggestionsList) return;
+      this.replacementSuggestionsList.innerHTML = '';
+      try {
+        const result = await window.api.terms.getSuggestions(item.original, { ...this._termScope(), limit: 6 });
+        if (this.activeReplacement !== item) return; // Cerrado o cambiado mientras se buscaba
+        if (!result?.success) throw new Error(result?.error || 'Error obteniendo sugerencias');
+        const excluded = new Set([item.replacement.toLowerCase(), item.original.toLowerCase()]);
+        (result.suggestions || []).filter(s => !excluded.has(s.term.toLowerCase())).slice(0, 5).forEach(suggestion => {
+          const li = document.createElement('li'); const button = document.createElement('button');
+          button.textContent = suggestion.term; button.title = `Sustituir por «${suggestion.term}» y aprenderlo`;
+          button.addEventListener('click', () => this.chooseReplacementSuggestion(item, suggestion.term));
+          li.appendChild(button); this.replacementSuggestionsList.appendChild(li);
+        });
+      } catch (error) { console.error('Error obteniendo sugerencias:', error); }
+    }
+
+    hideReplacementPopover() {
+      if (!this.activeReplacement) return;
+      this.activeReplacement = null;
+      if (this.replacementPopover) this.replacementPopover.hidden = true;
+      this.renderReplacementHighlights();
+    }
+
+    /**
+     * Devuelve un reemplazo al texto dictado y penaliza el término; con blacklist no vuelve a aplicarse a esa forma.
+     */
+    async revertReplacement(item, { blacklist = false } = {}) {
+      if (!item || !this.replacementHighlights.includes(item)) return;
+      this._replaceHighlightedText(item, item.original);
+      try {
+        const result = await window.api.terms.rejectReplacement({ termId: item.termId, original: item.original, replacement: item.replacement }, { blacklist });
+        if (!result?.success) throw new Error(result?.error || 'Rechazo no registrado');
+        this.updateStatusMessage(blacklist ? `«${item.original}» no volverá a sustituirse por «${item.replacement}».` : `Reemplazo revertido: «${item.original}».`);
+      } catch (error) { this.showNotification(`Error revirtiendo reemplazo: ${error.message}`, 'error'); }
+    }
+
+    /**
+     * Sustituye un reemplazo por otra sugerencia: penaliza el término aplicado y aprende 'dictado -> elegido'.
+     */
+    async chooseReplacementSuggestion(item, term) {
+      if (!item || !term || !this.replacementHighlights.includes(item)) return;
+      const text = /^\p{Lu}/u.test(item.original) ? term.charAt(0).toUpperCase() + term.slice(1) : term;
+      this._replaceHighlightedText(item, text);
+      try {
+        const rejected = await window.api.terms.rejectReplacement({ termId: item.termId, original: item.original, replacement: item.replacement });
+        if (!rejected?.success) throw new Error(rejected?.error || 'Rechazo no registrado');
+        const learned = await window.api.terms.addTerm(item.original, term, this._termScope());
+        if (!learned?.success) throw new Error(learned?.error || 'Término no guardado');
+        this.updateStatusMessage(`«${item.original}» se corregirá como «${term}».`);
+      } catch (error) { this.showNotification(`Error aplicando sugerencia: ${error.message}`, 'error'); }
+    }
+
+    // Cambio deshacible que sustituye el texto de un reemplazo resaltado y lo deja de resaltar
+    _replaceHighlightedText(item, text) {
+      this.hideReplacementPopover();
+      this._pushUndoSnapshot(); // Cierra también el seguimiento del dictado: revisar un reemplazo no es una corrección que aprender
+      this.replacementHighlights = this.replacementHighlights.filter(h => h !== item);
+      const value = this.editor.value;
+      this.editor.value = value.slice(0, item.start) + text + value.slice(item.end);
+      this.editor.setSelectionRange(item.start + text.length, item.start + text.length);
+      this._syncEditorRanges();
+      this.currentReport.content = this.editor.value; this.currentReport.modified = true; this.pendingChangeSources.add('manual');
+      this.updateWordCount(); this.editor.focus();
+    }
+
+    _pushUndoSnapshot() {
+      if (!this.editor) return;
+      this._flushDictationCorrections(); // Un cambio programático cierra el seguimiento del último dictado
+      this.undoStack.push({ value: this.editor.value, selectionStart: this.editor.selectionStart, selectionEnd: this.editor.selectionEnd });
+      if (this.undoStack.length > 50) this.undoStack.shift();
+    }
+
+    // Edición a mano tras un cambio programático: su instantánea ya no corresponde a lo que ese cambio dejó
+    _markUndoStale() {
+      const snapshot = this.undoStack[this.undoStack.length - 1];
+      if (snapshot) snapshot.stale = true;
+    }
+
+    _afterVoiceEdit(message) {
+      this._syncEditorRanges();
+      this.currentReport.content = this.editor.value; this.currentReport.modified = true; this.pendingChangeSources.add('dictation');
+      this.updateWordCount(); this.editor.focus(); this.updateStatusMessage(message);
+    }
+
     /**
      * Se dispara al cambiar el editor (con debounce).
      */
@@ -444,6 +1361,90 @@ class RadiologyApp {
       }, 300);
     }
   
+    /**
+     * Muestra el historial de revisiones del informe actual y compara las dos últimas.
+     */
+    async showRevisionHistory() {
+      if (!this.currentReport.id) { this.showNotification('Guarde el informe para ver su historial.', 'info'); return; }
+      try {
+          const result = await window.api.reports.listRevisions(this.currentReport.id);
+          if (!result?.success) throw new Error(result?.error || 'Error cargando historial');
+          const revisions = result.revisions || [];
+          if (revisions.length === 0) { this.showNotification('El informe no tiene revisiones.', 'info'); return; }
+          this._openRevisionsPanel('Historial de revisiones', 'history');
+          [this.revisionFromSelect, this.revisionToSelect].forEach(select => {
+              select.innerHTML = '';
+              revisions.forEach(rev => {
+                  const option = document.createElement('option'); option.value = rev.id;
+                  option.textContent = `#${rev.revisionNumber} · ${rev.status} · ${rev.source || '?'} · ${rev.createdAt}`;
+                  select.appendChild(option);
+              });
+          });
+          // Por defecto: penúltima -> última (la lista viene de más reciente a más antigua)
+          this.revisionToSelect.value = revisions[0].id;
+          this.revisionFromSelect.value = revisions[Math.min(1, revisions.length - 1)].id;
+          await this.compareSelectedRevisions();
+      } catch (error) { this.showNotification(`Error historial: ${error.message}`, 'error'); }
+    }
+
+    /**
+     * Compara las revisiones elegidas en los selectores del panel.
+     */
+    async compareSelectedRevisions() {
+      const fromId = parseInt(this.revisionFromSelect?.value, 10); const toId = parseInt(this.revisionToSelect?.value, 10);
+      if (isNaN(fromId) || isNaN(toId)) return;
+      try {
+          const result = await window.api.reports.diffRevisions(fromId, toId);
+          if (!result?.success) throw new Error(result?.error || 'Error comparando revisiones');
+          this.renderDiff(result.diff);
+      } catch (error) { this.showNotification(`Error comparando: ${error.message}`, 'error'); }
+    }
+
+    /**
+     * Muestra el diff entre dos textos y espera a que el usuario acepte o descarte.
+     * @returns {Promise<boolean>} true si se aceptan los cambios.
+     */
+    async reviewTextChange(oldText, newText, title = 'Revisar cambios') {
+      const result = await window.api.reports.diffTexts(oldText, newText);
+      if (!result?.success) throw new Error(result?.error || 'Error calculando diferencias');
+      this._resolvePendingReview(false); // Descartar revisión anterior si quedó abierta
+      this._openRevisionsPanel(title, 'review');
+      this.renderDiff(result.diff);
+      return new Promise(resolve => { this.pendingReviewResolve = resolve; });
+    }
+
+    /**
+     * Pinta un diff por palabras (inserciones/eliminaciones) en el panel.
+     */
+    renderDiff(diff) {
+      if (!this.revisionDiff) return; this.revisionDiff.innerHTML = '';
+      (diff?.ops || []).forEach(op => {
+          const el = document.createElement(op.type === 'insert' ? 'ins' : op.type === 'delete' ? 'del' : 'span');
+          el.textContent = op.text; this.revisionDiff.appendChild(el);
+      });
+      const stats = diff?.stats || {};
+      if (this.revisionStats) this.revisionStats.textContent = `+${stats.inserted || 0} / -${stats.deleted || 0} palabras (${stats.unchanged || 0} sin cambios)`;
+    }
+
+    closeRevisionsPanel() { this._resolvePendingReview(false); if (this.isAiStreaming) this.cancelAiRequest(); if (this.revisionsPanel) this.revisionsPanel.hidden = true; }
+
+    // mode: 'history' (selectores de revisión), 'review' (aceptar/descartar) o 'stream' (texto IA en vivo)
+    _openRevisionsPanel(title, mode) {
+      if (!this.revisionsPanel) return;
+      this.revisionsPanel.hidden = false; if (this.revisionsTitle) this.revisionsTitle.textContent = title;
+      if (this.revisionSelectors) this.revisionSelectors.hidden = mode !== 'history';
+      if (this.revisionAcceptBtn) this.revisionAcceptBtn.hidden = mode !== 'review';
+      if (this.revisionRejectBtn) this.revisionRejectBtn.hidden = mode !== 'review';
+      if (this.revisionStats) this.revisionStats.textContent = '';
+    }
+
+    _resolvePendingReview(accepted) {
+      if (!this.pendingReviewResolve) return;
+      const resolve = this.pendingReviewResolve; this.pendingReviewResolve = null;
+      if (this.revisionsPanel) this.revisionsPanel.hidden = true;
+      resolve(accepted);
+    }
+
     /**
      * Actualiza el contador de palabras.
      */
@@ -457,9 +1458,20 @@ class RadiologyApp {
     // --- Actualizadores de UI de Estado ---
     updateDictationStatus(available) { const el = this.dictationStatus; if(el) { el.classList.toggle('active', !!available); el.setAttribute('aria-label', `Dictado ${available ? 'disponible' : 'no disponible'}`); } }
     updateDictaphoneStatus(connected) { const el = this.dictaphoneStatus; if(el) { el.classList.toggle('active', !!connected); el.setAttribute('aria-label', `Dictáfono ${connected ? 'conectado' : 'desconectado'}`); } }
-    updateOllamaStatus(available) { const el = this.ollamaStatus; if(el) { el.classList.toggle('active', !!available); el.setAttribute('aria-label', `IA ${available ? 'disponible' : 'no disponible'}`); } if(this.improveReportBtn) this.improveReportBtn.disabled = !available; }
-    updateDictaphoneInfo(device) { if (!this.dictaphoneInfo) return; if (device) { const name = `${device.manufacturer || '?'} ${device.product || '?'}`; this.dictaphoneInfo.textContent = `Activo: ${name}`; this.dictaphoneInfo.setAttribute('aria-label', `Activo: ${name}`); } else { this.dictaphoneInfo.textContent = 'No conectado'; this.dictaphoneInfo.setAttribute('aria-label', 'No conectado'); } }
-    updateDictationUI(isDictating) { if (this.startDictationBtn) this.startDictationBtn.disabled = isDictating; if (this.stopDictationBtn) this.stopDictationBtn.disabled = !isDictating; if (this.editor) { this.editor.classList.toggle('dictating', isDictating); this.editor.setAttribute('aria-live', isDictating ? 'polite' : 'off'); } }
+    updateOllamaStatus(available) { const el = this.ollamaStatus; if(el) { el.classList.toggle('active', !!available); el.setAttribute('aria-label', `IA ${available ? 'disponible' : 'no disponible'}`); } if(this.improveReportBtn) this.improveReportBtn.disabled = !available; if(this.generateImpressionBtn) this.generateImpressionBtn.disabled = !available; }
+    // Una línea por dispositivo (los desconectados siguen listados con el motivo); el LED indica si alguno está conectado
+    updateDictaphoneInfo() {
+      const entries = [...this.dictaphoneDevices.values()];
+      this.dictaphoneConnected = entries.some(e => e.connected);
+      this.updateDictaphoneStatus(this.dictaphoneConnected);
+      if (!this.dictaphoneInfo) return;
+      const typeLabels = { microphone: 'micrófono', foot_pedal: 'pedal' };
+      const lines = entries.map(({ device, connected, reason }) => `${connected ? '●' : '○'} ${device.modelName || device.product || '?'}${typeLabels[device.type] ? ` (${typeLabels[device.type]})` : ''}: ${connected ? 'conectado' : `desconectado${reason ? ` (${reason})` : ''}`}`);
+      this.dictaphoneInfo.replaceChildren(...(lines.length ? lines : ['No conectado']).map(text => Object.assign(document.createElement('div'), { textContent: text })));
+      this.dictaphoneInfo.setAttribute('aria-label', lines.length ? lines.join('; ') : 'No conectado');
+    }
+    updateReportStatusUI() { if (this.reportStatusSelect) this.reportStatusSelect.value = this.currentReport.status || 'draft'; }
+    updateDictationUI(isDictating) { if (this.startDictationBtn) this.startDictationBtn.disabled = isDictating && this.dictationMode.mode !== 'push_to_talk'; /* En push-to-talk sigue activo para soltarlo */ if (this.stopDictationBtn) this.stopDictationBtn.disabled = !isDictating; if (this.editor) { this.editor.classList.toggle('dictating', isDictating); this.editor.setAttribute('aria-live', isDictating ? 'polite' : 'off'); } }
     updateStatusMessage(message, type = 'info') { if (!this.statusMessage) return; this.statusMessage.textContent = message; this.statusMessage.className = `status-message ${type}`; this.statusMessage.setAttribute('aria-live', type === 'error' ? 'assertive' : 'polite'); }
   
     /**
@@ -0,0 +1,62 @@
+// Secciones del informe (TÉCNICA, HALLAZGOS, IMPRESIÓN) localizadas por sus encabezados en el texto del editor.
+// Se carga con <script> antes de renderer.js; en Node (tests) se exporta como módulo.
+
+// Encabezados de sección reconocidos en el editor: al inicio de línea (admite '#') y seguidos de ':' o fin de línea
+const REPORT_SECTION_PATTERNS = [
+    { key: 'technique', label: 'TÉCNICA', regex: /^[ \t]*#*[ \t]*(t[ée]cnica)[ \t]*(?::|$)/i },
+    { key: 'findings', label: 'HALLAZGOS', regex: /^[ \t]*#*[ \t]*(hallazgos)[ \t]*(?::|$)/i },
+    { key: 'impression', label: 'IMPRESIÓN DIAGNÓSTICA', regex: /^[ \t]*#*[ \t]*(impresi[oó]n(?:[ \t]+diagn[oó]stica)?|conclusi[oó]n(?:es)?)[ \t]*(?::|$)/i }
+];
+
+// Línea con aspecto de encabezado aunque no sea una sección reconocida ('RECOMENDACIONES:', 'Firma:')
+const HEADING_LIKE_LINE_REGEX = /^[ \t]*#*[ \t]*\p{Lu}[^\n:.]{0,40}:[ \t]*$/u;
+
+/**
+ * Localiza las secciones del informe por sus encabezados.
+ * @param {string} text
+ * @returns {Array<{key: string, headingStart: number, contentStart: number, end: number}>} En orden de aparición.
+ */
+function locateReportSections(text) {
+  const sections = []; let offset = 0;
+  for (const line of (text || '').split('\n')) {
+      for (const pattern of REPORT_SECTION_PATTERNS) {
+          const match = line.match(pattern.regex);
+          if (!match) continue;
+          if (sections.length) sections[sections.length - 1].end = offset;
+          sections.push({ key: pattern.key, headingStart: offset, contentStart: offset + match[0].length, end: text.length });
+          break;
+      }
+      offset += line.length + 1;
+  }
+  return sections;
+}
+
+// Fin del cuerpo de una sección: el siguiente encabezado, reconocido o con aspecto de serlo (recomendaciones, firma...).
+// Las líneas en blanco no lo cortan: una impresión puede tener varios párrafos
+function sectionBodyEnd(text, section) {
+  let offset = section.contentStart;
+  for (const [i, line] of text.slice(section.contentStart, section.end).split('\n').entries()) {
+      if (i > 0 && HEADING_LIKE_LINE_REGEX.test(line)) return offset;
+      offset += line.length + 1;
+  }
+  return section.end;
+}
+
+/**
+ * Sustituye el contenido de una sección (o la añade al final si no existe); lo que sigue a su cuerpo se conserva.
+ * @param {string} text
+ * @param {string} key - 'technique' | 'findings' | 'impression'
+ * @param {string} content
+ * @returns {string}
+ */
+function replaceReportSection(text, key, content) {
+  const section = locateReportSections(text).find(s => s.key === key);
+  if (!section) {
+      const label = REPORT_SECTION_PATTERNS.find(p => p.key === key)?.label || key.toUpperCase();
+      return `${text.trimEnd()}\n\n${label}:\n${content}\n`;
+  }
+  const after = text.slice(sectionBodyEnd(text, section));
+  return `${text.slice(0, section.contentStart).trimEnd()}\n${content}\n${after.trim() ? '\n' + after.trimStart() : ''}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) module.exports = { REPORT_SECTION_PATTERNS, locateReportSections, replaceReportSection };
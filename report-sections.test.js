@@ -0,0 +1,37 @@
+// tests/report-sections.test.js
+const { locateReportSections, replaceReportSection } = require('../../renderer/report-sections');
+
+const REPORT = [
+  'TÉCNICA:', 'TC de tórax con contraste.', '',
+  'HALLAZGOS:', 'Nódulo de 8 mm en el lóbulo superior derecho.', '',
+  'IMPRESIÓN DIAGNÓSTICA:', '1. Nódulo pulmonar indeterminado.', '', '2. Sin adenopatías.', '', '3. Control en 3 meses.', '',
+  'RECOMENDACIONES:', 'Comparar con estudios previos.', '',
+  'Firma:', 'Dr. Pérez',
+].join('\n');
+
+describe('report-sections', () => {
+  test('localiza las secciones reconocidas en orden', () => {
+    const sections = locateReportSections(REPORT);
+    expect(sections.map(s => s.key)).toEqual(['technique', 'findings', 'impression']);
+    const findings = sections[1];
+    expect(REPORT.slice(findings.contentStart, findings.end).trim()).toBe('Nódulo de 8 mm en el lóbulo superior derecho.');
+  });
+
+  test('una impresión de varios párrafos se sustituye entera y se conserva lo que sigue', () => {
+    const result = replaceReportSection(REPORT, 'impression', 'Nódulo pulmonar de 8 mm; control en 3 meses.');
+    expect(result).toContain('IMPRESIÓN DIAGNÓSTICA:\nNódulo pulmonar de 8 mm; control en 3 meses.\n\nRECOMENDACIONES:');
+    expect(result).not.toMatch(/Sin adenopatías|Control en 3 meses/);
+    expect(result.endsWith('Firma:\nDr. Pérez')).toBe(true);
+    expect(locateReportSections(result).filter(s => s.key === 'impression')).toHaveLength(1);
+  });
+
+  test('la última sección sin encabezados detrás llega hasta el final', () => {
+    const text = 'HALLAZGOS:\nSin hallazgos.\n\nIMPRESIÓN:\nPrimera línea.\n\nSegunda línea.\n';
+    expect(replaceReportSection(text, 'impression', 'Estudio normal.')).toBe('HALLAZGOS:\nSin hallazgos.\n\nIMPRESIÓN:\nEstudio normal.\n');
+  });
+
+  test('sin la sección la añade al final con su encabezado', () => {
+    expect(replaceReportSection('HALLAZGOS:\nSin hallazgos.\n', 'impression', 'Estudio normal.'))
+      .toBe('HALLAZGOS:\nSin hallazgos.\n\nIMPRESIÓN DIAGNÓSTICA:\nEstudio normal.\n');
+  });
+});
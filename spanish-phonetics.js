@@ -0,0 +1,60 @@
+// Clave fonética para términos médicos en español.
+// Dos palabras que "suenan igual" al dictarlas comparten clave aunque se escriban muy distinto:
+//   "hepatomegalia" / "epatomegalia" -> EPATOMEGALIA,  "colelitiasis" / "kolelitiazis" -> KOLELITIASIS
+
+// Grupos iniciales cuya primera consonante no se pronuncia ("pneumo", "psoas", "gnatología")
+const SILENT_INITIAL_GROUPS = [['pn', 'n'], ['ps', 's'], ['gn', 'n'], ['mn', 'n']];
+
+const isFrontVowel = (char) => char === 'e' || char === 'i';
+const isVowel = (char) => 'aeiou'.includes(char);
+
+/**
+ * Calcula la clave fonética de una palabra o expresión.
+ * Equivalencias: b/v/w, c(a,o,u)/k/qu, c(e,i)/s/z, g(e,i)/j, ll/y, h muda, rr/r, x -> ks, ñ -> ni.
+ * @param {string} text - Palabra o término (las tildes y mayúsculas se ignoran).
+ * @returns {string} Clave en mayúsculas ('' si no hay letras).
+ */
+function spanishPhoneticKey(text) {
+  let word = (text || '').toLowerCase()
+    .replace(/ñ/g, '\u0001') // Proteger la ñ antes de quitar tildes
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/\u0001/g, 'ñ')
+    .replace(/[^a-zñ]/g, '');
+  if (!word) return '';
+  for (const [group, replacement] of SILENT_INITIAL_GROUPS) {
+    if (word.startsWith(group)) { word = replacement + word.slice(group.length); break; }
+  }
+
+  let key = '';
+  for (let i = 0; i < word.length; i++) {
+    const char = word[i]; const next = word[i + 1] || '';
+    switch (char) {
+      case 'b': case 'v': case 'w': key += 'B'; break;
+      case 'c':
+        if (next === 'h') { key += 'CH'; i++; }
+        else key += isFrontVowel(next) ? 'S' : 'K';
+        break;
+      case 'k': key += 'K'; break;
+      case 'q': key += 'K'; if (next === 'u') i++; break; // "qu" -> K
+      case 'z': case 's': key += 'S'; break;
+      case 'x': key += 'KS'; break;
+      case 'g':
+        if (isFrontVowel(next)) key += 'J';
+        else if (next === 'u' && isFrontVowel(word[i + 2] || '')) { key += 'G'; i++; } // "gue", "gui"
+        else key += 'G';
+        break;
+      case 'j': key += 'J'; break;
+      case 'h': break; // Muda ("ch" ya tratado)
+      case 'l':
+        if (next === 'l') { key += 'Y'; i++; } else key += 'L';
+        break;
+      case 'y': key += (isVowel(next) ? 'Y' : 'I'); break; // "y" final o entre consonantes suena como "i"
+      case 'ñ': key += 'NI'; break;
+      default: key += char.toUpperCase();
+    }
+  }
+  // Letras dobles ("rr", "nn") se pronuncian como una
+  return key.replace(/(.)\1+/g, '$1');
+}
+
+module.exports = { spanishPhoneticKey };
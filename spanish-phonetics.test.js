@@ -0,0 +1,39 @@
+// tests/spanish-phonetics.test.js
+const { spanishPhoneticKey } = require('../utils/spanish-phonetics');
+
+describe('spanishPhoneticKey', () => {
+  test('palabras que suenan igual comparten clave', () => {
+    expect(spanishPhoneticKey('hepatomegalia')).toBe(spanishPhoneticKey('epatomegalia'));
+    expect(spanishPhoneticKey('colelitiasis')).toBe(spanishPhoneticKey('kolelitiazis'));
+    expect(spanishPhoneticKey('vesícula biliar')).toBe(spanishPhoneticKey('besicula viliar'));
+    expect(spanishPhoneticKey('quiste')).toBe(spanishPhoneticKey('kiste'));
+    expect(spanishPhoneticKey('gestación')).toBe(spanishPhoneticKey('jestasion'));
+    expect(spanishPhoneticKey('callo')).toBe(spanishPhoneticKey('cayo'));
+  });
+
+  test('ignora tildes, mayúsculas y signos, pero conserva la ñ', () => {
+    expect(spanishPhoneticKey('Lóbulo')).toBe('LOBULO');
+    expect(spanishPhoneticKey('niño')).toBe('NINIO');
+    expect(spanishPhoneticKey('niño')).not.toBe(spanishPhoneticKey('nino'));
+  });
+
+  test('grupos iniciales mudos, x, "gue/gui" y letras dobles', () => {
+    expect(spanishPhoneticKey('pneumotórax')).toBe(spanishPhoneticKey('neumotorax'));
+    expect(spanishPhoneticKey('psoas')).toBe('SOAS');
+    expect(spanishPhoneticKey('tórax')).toBe('TORAKS');
+    expect(spanishPhoneticKey('sangre')).not.toBe(spanishPhoneticKey('sanjre'));
+    expect(spanishPhoneticKey('guía')).toBe('GIA');
+    expect(spanishPhoneticKey('perro')).toBe(spanishPhoneticKey('pero'));
+  });
+
+  test('sonidos distintos dan claves distintas', () => {
+    expect(spanishPhoneticKey('casa')).not.toBe(spanishPhoneticKey('cesa'));
+    expect(spanishPhoneticKey('quiste')).not.toBe(spanishPhoneticKey('triste'));
+  });
+
+  test('sin letras devuelve cadena vacía', () => {
+    expect(spanishPhoneticKey('')).toBe('');
+    expect(spanishPhoneticKey(null)).toBe('');
+    expect(spanishPhoneticKey('123 - ,')).toBe('');
+  });
+});
@@ -0,0 +1,59 @@
+// Paquete portable de plantillas (JSON) para distribuir un conjunto estándar entre estaciones de trabajo.
+// No lleva ids ni fechas: al importar, las plantillas se identifican por nombre (templates.name es UNIQUE).
+
+const TEMPLATE_BUNDLE_FORMAT_ID = 'signia-template-bundle';
+const TEMPLATE_BUNDLE_VERSION = 1; // Subir si cambia la estructura de 'templates'; las versiones nuevas no se leen con código antiguo
+
+function normalizeTemplate(raw) {
+  const tags = Array.isArray(raw.tags) ? raw.tags : String(raw.tags || '').split(',');
+  const priority = Number.parseInt(raw.priority, 10);
+  return {
+    name: String(raw.name ?? '').trim(),
+    content: String(raw.content ?? ''),
+    specialty: (raw.specialty || '').toString().trim() || null,
+    modality: (raw.modality || '').toString().trim() || null,
+    tags: tags.map(tag => String(tag).trim()).filter(Boolean),
+    priority: Number.isFinite(priority) ? priority : 0,
+  };
+}
+
+/**
+ * @param {object[]} templates - Plantillas de DatabaseManager.exportTemplates.
+ * @param {object} [options]
+ * @param {string} [options.description] - Texto libre (ej. "Normales del servicio, revisión 2024").
+ * @returns {string}
+ */
+function serializeTemplateBundle(templates, options = {}) {
+  const bundle = { format: TEMPLATE_BUNDLE_FORMAT_ID, version: TEMPLATE_BUNDLE_VERSION, exportedAt: new Date().toISOString() };
+  if (options.description) bundle.description = options.description;
+  bundle.templates = templates.map(normalizeTemplate);
+  return JSON.stringify(bundle, null, 2);
+}
+
+/**
+ * Lee un paquete. No valida las plantillas una a una (eso lo hace DatabaseManager.importTemplates).
+ * @param {string} content - Contenido del archivo.
+ * @returns {{version: number, description: string|null, exportedAt: string|null, templates: object[]}}
+ */
+function parseTemplateBundle(content) {
+  let data;
+  try { data = JSON.parse(String(content || '').replace(/^\uFEFF/, '')); } catch (error) { throw new Error(`El paquete de plantillas no es JSON válido: ${error.message}`); }
+  if (data?.format !== TEMPLATE_BUNDLE_FORMAT_ID || !Array.isArray(data.templates)) throw new Error(`El archivo no es un paquete de plantillas (${TEMPLATE_BUNDLE_FORMAT_ID})`);
+  const version = Number(data.version) || 1;
+  if (version > TEMPLATE_BUNDLE_VERSION) throw new Error(`Paquete de plantillas v${version} no soportado (máximo v${TEMPLATE_BUNDLE_VERSION}): actualice la aplicación`);
+  return { version, description: data.description || null, exportedAt: data.exportedAt || null, templates: data.templates.map(normalizeTemplate) };
+}
+
+/**
+ * Nombre libre para una plantilla importada que choca con otra: "X (importada)", "X (importada 2)"...
+ * @param {string} name
+ * @param {(candidate: string) => Promise<boolean>|boolean} isTaken
+ * @returns {Promise<string>}
+ */
+async function importedTemplateName(name, isTaken) {
+  let candidate = `${name} (importada)`;
+  for (let n = 2; await isTaken(candidate); n++) candidate = `${name} (importada ${n})`;
+  return candidate;
+}
+
+module.exports = { TEMPLATE_BUNDLE_FORMAT_ID, TEMPLATE_BUNDLE_VERSION, serializeTemplateBundle, parseTemplateBundle, importedTemplateName };
@@ -0,0 +1,40 @@
+// tests/template-bundle.test.js
+const { serializeTemplateBundle, parseTemplateBundle, importedTemplateName, TEMPLATE_BUNDLE_FORMAT_ID, TEMPLATE_BUNDLE_VERSION } = require('../utils/template-bundle');
+
+const TEMPLATES = [
+  { name: 'TC tórax', content: 'HALLAZGOS:\n[[hallazgos]]\n', specialty: 'thorax', modality: 'TC', tags: ['contraste', 'oncología'], priority: 3 },
+  { name: 'RM rodilla', content: 'Menisco "interno": [[menisco:íntegro]]', specialty: null, modality: 'RM', tags: [], priority: 0 },
+];
+
+describe('template-bundle', () => {
+  test('ida y vuelta: serializar y leer conserva las plantillas', () => {
+    const json = serializeTemplateBundle(TEMPLATES, { description: 'Normales del servicio' });
+    const data = JSON.parse(json);
+    expect(data).toMatchObject({ format: TEMPLATE_BUNDLE_FORMAT_ID, version: TEMPLATE_BUNDLE_VERSION, description: 'Normales del servicio' });
+    expect(data.templates[0]).not.toHaveProperty('id');
+    const bundle = parseTemplateBundle(json);
+    expect(bundle).toMatchObject({ version: TEMPLATE_BUNDLE_VERSION, description: 'Normales del servicio' });
+    expect(bundle.templates).toEqual(TEMPLATES);
+  });
+
+  test('normaliza etiquetas en texto, prioridades inválidas y el BOM', () => {
+    const content = '\uFEFF' + JSON.stringify({ format: TEMPLATE_BUNDLE_FORMAT_ID, version: 1, templates: [{ name: ' X ', content: 'c', tags: 'a, b,', priority: 'alta' }] });
+    expect(parseTemplateBundle(content).templates).toEqual([{ name: 'X', content: 'c', specialty: null, modality: null, tags: ['a', 'b'], priority: 0 }]);
+  });
+
+  test('rechaza un paquete de una versión más nueva que la soportada', () => {
+    const content = JSON.stringify({ format: TEMPLATE_BUNDLE_FORMAT_ID, version: TEMPLATE_BUNDLE_VERSION + 1, templates: [] });
+    expect(() => parseTemplateBundle(content)).toThrow(/no soportado/);
+  });
+
+  test('rechaza JSON inválido y archivos que no son paquetes de plantillas', () => {
+    expect(() => parseTemplateBundle('{')).toThrow(/no es JSON válido/);
+    expect(() => parseTemplateBundle(JSON.stringify({ format: 'otro', templates: [] }))).toThrow(/no es un paquete de plantillas/);
+  });
+
+  test('un nombre importado que vuelve a chocar pasa a "X (importada 2)"', async () => {
+    const taken = new Set(['TC tórax', 'TC tórax (importada)']);
+    await expect(importedTemplateName('TC tórax', name => taken.has(name))).resolves.toBe('TC tórax (importada 2)');
+    await expect(importedTemplateName('RM rodilla', async () => false)).resolves.toBe('RM rodilla (importada)');
+  });
+});
@@ -17,6 +17,8 @@ const mockDbManager = {
     findExactTerm: jest.fn().mockResolvedValue(null),
     getMostFrequentTerms: jest.fn().mockResolvedValue([]),
     incrementTermFrequency: jest.fn().mockResolvedValue({ changes: 1 }),
+    penalizeMedicalTerm: jest.fn().mockResolvedValue(0),
+    setMedicalTermRejectedForms: jest.fn().mockResolvedValue(undefined),
     // ... otros métodos ...
     initialize: jest.fn().mockResolvedValue(true),
     cleanup: jest.fn().mockResolvedValue(undefined),
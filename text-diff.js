@@ -0,0 +1,94 @@
+// Diff a nivel de palabra entre dos textos (LCS sobre tokens palabra/espacio)
+
+// Por encima de este número de celdas (tokens centrales a x b) el diff fino bloquearía el proceso principal demasiado tiempo
+const MAX_DIFF_CELLS = 25000000;
+
+// Separa en palabras y bloques de espacios, conservando ambos para poder reconstruir el texto
+function tokenize(text) {
+  return (text || '').split(/(\s+)/).filter(token => token.length > 0);
+}
+
+// Fila final de longitudes LCS de a[aStart, aEnd) frente a los prefijos de b[bStart, bEnd)
+// (o frente a los sufijos si 'reverse'), con solo dos filas en memoria
+function lcsLengths(a, aStart, aEnd, b, bStart, bEnd, reverse) {
+  const cols = bEnd - bStart;
+  let prev = new Uint32Array(cols + 1); let cur = new Uint32Array(cols + 1);
+  for (let step = 0; step < aEnd - aStart; step++) {
+    const token = reverse ? a[aEnd - 1 - step] : a[aStart + step];
+    if (reverse) {
+      cur[cols] = 0;
+      for (let j = cols - 1; j >= 0; j--) cur[j] = token === b[bStart + j] ? prev[j + 1] + 1 : Math.max(prev[j], cur[j + 1]);
+    } else {
+      cur[0] = 0;
+      for (let j = 1; j <= cols; j++) cur[j] = token === b[bStart + j - 1] ? prev[j - 1] + 1 : Math.max(prev[j], cur[j - 1]);
+    }
+    [prev, cur] = [cur, prev];
+  }
+  return prev;
+}
+
+// Hirschberg: parte 'a' por la mitad, busca el corte de 'b' que maximiza el LCS y recurre en cada mitad
+function diffRange(a, aStart, aEnd, b, bStart, bEnd, push) {
+  if (aStart === aEnd) { for (let j = bStart; j < bEnd; j++) push('insert', b[j]); return; }
+  if (bStart === bEnd) { for (let i = aStart; i < aEnd; i++) push('delete', a[i]); return; }
+  if (aEnd - aStart === 1) {
+    const match = b.indexOf(a[aStart], bStart);
+    if (match === -1 || match >= bEnd) {
+      push('delete', a[aStart]);
+      for (let j = bStart; j < bEnd; j++) push('insert', b[j]);
+      return;
+    }
+    for (let j = bStart; j < match; j++) push('insert', b[j]);
+    push('equal', a[aStart]);
+    for (let j = match + 1; j < bEnd; j++) push('insert', b[j]);
+    return;
+  }
+  const mid = (aStart + aEnd) >> 1;
+  const forward = lcsLengths(a, aStart, mid, b, bStart, bEnd, false);
+  const backward = lcsLengths(a, mid, aEnd, b, bStart, bEnd, true);
+  let split = 0; let best = -1;
+  for (let k = 0; k <= bEnd - bStart; k++) {
+    if (forward[k] + backward[k] > best) { best = forward[k] + backward[k]; split = k; }
+  }
+  diffRange(a, aStart, mid, b, bStart, bStart + split, push);
+  diffRange(a, mid, aEnd, b, bStart + split, bEnd, push);
+}
+
+/**
+ * Calcula el diff por palabras entre dos textos.
+ * @param {string} oldText - Texto original.
+ * @param {string} newText - Texto modificado.
+ * @returns {{ ops: Array<{type: 'equal'|'insert'|'delete', text: string}>, stats: {inserted: number, deleted: number, unchanged: number} }}
+ */
+function diffWords(oldText, newText) {
+  const a = tokenize(oldText); const b = tokenize(newText);
+  const n = a.length; const m = b.length;
+
+  // Recortar prefijo y sufijo comunes: en una corrección típica solo queda un tramo central pequeño
+  let prefix = 0;
+  while (prefix < n && prefix < m && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < n - prefix && suffix < m - prefix && a[n - 1 - suffix] === b[m - 1 - suffix]) suffix++;
+
+  const ops = [];
+  const push = (type, text) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) last.text += text; else ops.push({ type, text });
+  };
+  if (prefix > 0) push('equal', a.slice(0, prefix).join(''));
+  // Hirschberg sobre el tramo central: memoria lineal en vez de la matriz LCS completa
+  const rows = n - suffix - prefix; const cols = m - suffix - prefix;
+  if (rows * cols > MAX_DIFF_CELLS) {
+    // Diff grueso: el tramo central entero como borrado + inserción
+    push('delete', a.slice(prefix, n - suffix).join(''));
+    push('insert', b.slice(prefix, m - suffix).join(''));
+  } else {
+    diffRange(a, prefix, n - suffix, b, prefix, m - suffix, push);
+  }
+  if (suffix > 0) push('equal', a.slice(n - suffix).join(''));
+
+  const countWords = (type) => ops.filter(op => op.type === type).reduce((sum, op) => sum + tokenize(op.text).filter(t => /\S/.test(t)).length, 0);
+  return { ops, stats: { inserted: countWords('insert'), deleted: countWords('delete'), unchanged: countWords('equal') } };
+}
+
+module.exports = { diffWords, tokenize };